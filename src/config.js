@@ -1,6 +1,30 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * CREDENTIALS_ENCRYPTION_KEYS="kid:base64key,oldkid:base64key" - 32-byte keys,
+ * the first one encrypts, the rest can still decrypt (key rotation). Required in
+ * production; elsewhere a fixed development key is used.
+ */
+function parseEncryptionKeys(raw) {
+    if (!raw) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('CREDENTIALS_ENCRYPTION_KEYS must be set in production');
+        }
+        return [{ id: 'dev', key: crypto.createHash('sha256').update('dev-credentials-key').digest() }];
+    }
+
+    return raw.split(',').map(entry => {
+        const [id, value] = entry.trim().split(':');
+        const key = Buffer.from(value || '', 'base64');
+        if (!id || key.length !== 32) {
+            throw new Error(`Invalid CREDENTIALS_ENCRYPTION_KEYS entry "${id}": expected kid:<32-byte base64 key>`);
+        }
+        return { id, key };
+    });
+}
+
 export default {
     port: process.env.PORT || 8000,
     nodeEnv: process.env.NODE_ENV || 'development',
@@ -19,14 +43,113 @@ export default {
         apiKey: process.env.OPENAI_API_KEY,
     },
 
+    anthropic: {
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        baseUrl: process.env.ANTHROPIC_BASE_URL,
+    },
+
+    llm: {
+        // 'openai', 'openai-compatible' (LLM_BASE_URL, e.g. a local Ollama or vLLM),
+        // 'anthropic' or 'fake' (deterministic replies, no API calls; tests/offline dev)
+        provider: process.env.LLM_PROVIDER || 'openai',
+        // Override the provider's default models: assistant/summaries, and triage
+        model: process.env.LLM_MODEL,
+        fastModel: process.env.LLM_FAST_MODEL,
+        baseUrl: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY,
+        // Other "provider:model" choices users may switch to (PATCH /auth/me)
+        userModels: (process.env.LLM_USER_MODELS || '')
+            .split(',')
+            .map(choice => choice.trim())
+            .filter(Boolean),
+    },
+
+    imap: {
+        // Hosts POST /auth/imap may connect to: "imap.fastmail.com" or ".example.com"
+        // for any subdomain. Empty allows any public host on a standard mail port.
+        allowedHosts: (process.env.IMAP_ALLOWED_HOSTS || '')
+            .split(',')
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean),
+        // Local test servers: private addresses, any port, self-signed certificates
+        allowLocalServers: process.env.IMAP_ALLOW_LOCAL_SERVERS === 'true',
+    },
+
     pubsub: {
         // Format: projects/PROJECT_ID/topics/TOPIC_NAME
         topicName: process.env.PUBSUB_TOPIC_NAME || 'projects/your-project/topics/gmail-notifications',
+        // OIDC push authentication: the subscription's service account and audience
+        serviceAccount: process.env.PUBSUB_PUSH_SERVICE_ACCOUNT,
+        audience: process.env.PUBSUB_PUSH_AUDIENCE
+            || `${process.env.BACKEND_URL || 'http://localhost:8000'}/webhook/gmail`,
+        // Shared secret fallback for local testing (?token= or X-Webhook-Token)
+        verificationToken: process.env.PUBSUB_VERIFICATION_TOKEN,
     },
 
     jwt: {
         secret: process.env.JWT_SECRET || 'dev-secret-change-in-production',
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+        // Access tokens are short-lived; sessions continue via rotating refresh tokens
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+        refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
+    },
+
+    scheduler: {
+        // Set SCHEDULER_ENABLED=false on instances that shouldn't run background jobs
+        enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    },
+
+    queue: {
+        // Set QUEUE_WORKER_ENABLED=false on instances that should only enqueue
+        workerEnabled: process.env.QUEUE_WORKER_ENABLED !== 'false',
+        concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+    },
+
+    messageCache: {
+        // Serve Gmail inbox/sent/search/count from Mongo while the webhook keeps it current
+        enabled: process.env.MESSAGE_CACHE_ENABLED !== 'false',
+        windowDays: parseInt(process.env.MESSAGE_CACHE_DAYS) || 30,
+    },
+
+    triage: {
+        // Opt-in: classify new inbox mail (category, priority, summary) as the webhook
+        // delivers it (sends mail content to the LLM provider)
+        enabled: process.env.AI_TRIAGE_ENABLED === 'true',
+    },
+
+    embeddings: {
+        // Opt-in: index message content for GET /mail/semantic-search and the semantic_search
+        // tool (sends mail content to the embeddings provider)
+        enabled: process.env.SEMANTIC_SEARCH_ENABLED === 'true',
+        // 'openai' (also any OpenAI-compatible server via EMBEDDINGS_BASE_URL, e.g. a local
+        // Ollama or vLLM) or 'stub' (deterministic word-hash vectors, no API calls; tests/dev)
+        provider: process.env.EMBEDDINGS_PROVIDER || 'openai',
+        model: process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small',
+        baseUrl: process.env.EMBEDDINGS_BASE_URL,
+        apiKey: process.env.EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY,
+        // How far back the first index build goes
+        backfillDays: parseInt(process.env.EMBEDDINGS_BACKFILL_DAYS) || 180,
+    },
+
+    eventLog: {
+        // 'memory' (per instance) or 'mongo' (survives restarts, shared by instances)
+        store: process.env.SSE_EVENT_LOG || 'memory',
+        size: parseInt(process.env.SSE_EVENT_LOG_SIZE) || 200,
+        maxAgeHours: parseInt(process.env.SSE_EVENT_LOG_HOURS) || 24,
+    },
+
+    eventBus: {
+        // 'memory' (single instance) or 'mongo' (fan SSE events out across instances)
+        driver: process.env.SSE_EVENT_BUS || 'memory',
+    },
+
+    // Users allowed to use /admin routes
+    adminEmails: (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean),
+
+    encryption: {
+        keys: parseEncryptionKeys(process.env.CREDENTIALS_ENCRYPTION_KEYS),
     },
 
     frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import config from './config.js';
+import { encryptField, decryptField } from './services/encryption.js';
 
 export async function connectDB() {
     try {
@@ -11,17 +12,61 @@ export async function connectDB() {
     }
 }
 
+// Credentials are encrypted at rest and decrypted transparently on read
+const encryptedString = { type: String, set: encryptField, get: decryptField };
+
 // User schema
 const userSchema = new mongoose.Schema({
     email: { type: String, required: true, unique: true },
     name: String,
     picture: String,
-    googleAccessToken: String,
-    googleRefreshToken: String,
+    googleAccessToken: encryptedString,
+    googleRefreshToken: encryptedString,
+    googleTokenExpiry: Number,  // Access token expiry (ms timestamp)
+    provider: { type: String, enum: ['gmail', 'imap'], default: 'gmail' },
+    imap: {
+        host: String,
+        port: Number,
+        secure: Boolean,
+        user: String,
+        password: encryptedString,
+        allowSelfSigned: Boolean, // Local test servers only
+    },
+    smtp: {
+        host: String,
+        port: Number,
+        secure: Boolean,
+        user: String,
+        password: encryptedString,
+        allowSelfSigned: Boolean,
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
+    timezone: String, // IANA zone for scheduling ("9am tomorrow"); see PATCH /auth/me
+    // Chat model the user picked instead of the deployment default (see services/llm.js)
+    llm: {
+        provider: String,
+        model: String,
+    },
     watchExpiration: { type: Number }, // Timestamp when watch expires
+    watchStatus: { type: String, enum: ['active', 'failing', 'revoked'] },
+    watchError: { message: String, code: String, at: Date }, // Last renewal failure
+    watchFailures: { type: Number, default: 0 },
     lastHistoryId: { type: String },   // Last synced historyId
+    lastHistoryAt: Date,               // When it was synced (where a resync picks up missed mail)
+    // Local message metadata cache (see services/messageCache.js)
+    messageCache: {
+        historyId: String,  // Mailbox state the cache reflects
+        since: Date,        // Oldest message date the cache covers
+        reachedStart: Boolean, // Nothing older than since: the cache holds the whole mailbox
+        seededAt: Date,
+        counts: { type: mongoose.Schema.Types.Mixed, default: undefined }, // label -> messagesTotal
+    },
+    // Semantic search index (see services/semanticIndex.js)
+    embeddingIndex: {
+        model: String,      // Embedding provider/model the backfill ran with
+        backfilledAt: Date,
+    },
 });
 
 export const User = mongoose.model('User', userSchema);
@@ -7,12 +7,29 @@ import cors from 'cors';
 import config from './config.js';
 import { connectDB } from './database.js';
 import { authMiddleware } from './middleware/auth.js';
-import { createSSEHandler, getConnectionCount } from './services/sse.js';
+import { providerMiddleware } from './middleware/provider.js';
+import { adminMiddleware } from './middleware/admin.js';
+import { createSSEHandler, getConnectionCount, getLocalConnectionCount } from './services/sse.js';
+import { eventBus } from './services/eventBus.js';
+import { registerJob, startScheduler } from './services/scheduler.js';
+import { registerHandler, startQueue } from './services/queue.js';
+import { renewGmailWatches, WATCH_RENEWAL_INTERVAL_MS } from './jobs/watchRenewal.js';
+import { processGmailNotification, GMAIL_NOTIFICATION_JOB } from './jobs/gmailNotification.js';
+import { processMessageCacheSeed } from './jobs/messageCacheSeed.js';
+import { SEED_MESSAGE_CACHE_JOB } from './services/messageCache.js';
+import { processScheduledSend } from './jobs/scheduledSend.js';
+import { SCHEDULED_SEND_JOB } from './services/scheduledSend.js';
+import { processUnsnooze } from './jobs/unsnooze.js';
+import { UNSNOOZE_JOB } from './services/snooze.js';
+import { processEmbeddingBackfill } from './jobs/embeddingBackfill.js';
+import { EMBEDDING_BACKFILL_JOB } from './services/semanticIndex.js';
 
 import authRoutes from './routes/auth.js';
 import mailRoutes from './routes/mail.js';
 import assistantRoutes from './routes/assistant.js';
 import webhookRoutes from './routes/webhook.js';
+import adminRoutes from './routes/admin.js';
+import rulesRoutes from './routes/rules.js';
 import mongoose from 'mongoose';
 
 const app = express();
@@ -56,7 +73,7 @@ app.get('/', (req, res) => {
     });
 });
 
-app.get('/health', cors({ origin: '*' }), (req, res) => {
+app.get('/health', cors({ origin: '*' }), async (req, res) => {
     const mongooseStatus = {
         0: 'disconnected',
         1: 'connected',
@@ -67,28 +84,40 @@ app.get('/health', cors({ origin: '*' }), (req, res) => {
 
     const dbState = mongoose.connection.readyState;
 
+    // Cluster-wide count needs the DB; fall back to this instance's streams
+    const localConnections = getLocalConnectionCount();
+    const connections = dbState === 1
+        ? await getConnectionCount().catch(() => localConnections)
+        : localConnections;
+
     res.json({
         status: dbState === 1 ? 'healthy' : 'degraded',
         mongodb: mongooseStatus[dbState] || 'unknown',
         gmail_api: config.google.clientId ? 'configured' : 'not configured',
         openai: config.openai.apiKey ? 'configured' : 'not configured',
+        llm_provider: config.llm.provider,
         pubsub: config.pubsub.topicName ? 'configured' : 'not configured',
-        sse_connections: getConnectionCount(),
+        sse_connections: connections,
+        sse_connections_local: localConnections,
     });
 });
 
 // SSE endpoint for real-time notifications
 app.get('/events', createSSEHandler);
 
-// Webhook routes (public - receives from Pub/Sub)
+// Webhook routes (Pub/Sub push - authenticated by push token, not JWT)
 app.use('/webhook', webhookRoutes);
 
 // Public routes (auth has its own protected routes)
 app.use('/auth', authRoutes);
 
 // Protected routes (require auth)
-app.use('/mail', authMiddleware, mailRoutes);
-app.use('/assistant', authMiddleware, assistantRoutes);
+app.use('/mail', authMiddleware, providerMiddleware, mailRoutes);
+app.use('/assistant', authMiddleware, providerMiddleware, assistantRoutes);
+app.use('/rules', authMiddleware, providerMiddleware, rulesRoutes);
+
+// Admin routes (ADMIN_EMAILS only)
+app.use('/admin', authMiddleware, adminMiddleware, adminRoutes);
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -104,6 +133,7 @@ async function start() {
             console.log(`🚀 Server running on http://0.0.0.0:${config.port}`);
             console.log(`📧 Gmail API: ${config.google.clientId ? '✅ Configured' : '❌ Not configured'}`);
             console.log(`🤖 OpenAI: ${config.openai.apiKey ? '✅ Configured' : '❌ Not configured'}`);
+            console.log(`🧠 LLM: ${config.llm.provider}${config.llm.model ? ` (${config.llm.model})` : ''}`);
             console.log(`📡 Pub/Sub: ${config.pubsub.topicName !== 'projects/your-project/topics/gmail-notifications' ? '✅ Configured' : '⚠️ Using default'}`);
             console.log(`📺 SSE: ✅ Enabled at /events`);
         });
@@ -111,6 +141,24 @@ async function start() {
         // Connect to DB asynchronously
         connectDB();
 
+        // Cross-instance SSE delivery (waits for the DB on its own)
+        eventBus.start();
+
+        // Background jobs (each runs on one instance at a time via Mongo leases)
+        if (config.scheduler.enabled) {
+            registerJob('renew-gmail-watches', WATCH_RENEWAL_INTERVAL_MS, renewGmailWatches);
+            startScheduler();
+        }
+
+        registerHandler(GMAIL_NOTIFICATION_JOB, processGmailNotification);
+        registerHandler(SEED_MESSAGE_CACHE_JOB, processMessageCacheSeed);
+        registerHandler(SCHEDULED_SEND_JOB, processScheduledSend);
+        registerHandler(UNSNOOZE_JOB, processUnsnooze);
+        registerHandler(EMBEDDING_BACKFILL_JOB, processEmbeddingBackfill);
+        if (config.queue.workerEnabled) {
+            startQueue();
+        }
+
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
@@ -0,0 +1,28 @@
+/**
+ * Embedding Backfill Job - Builds a user's semantic search index from older mail
+ *
+ * Indexes one page per run and queues the next page as a new job, so a large
+ * mailbox never holds a worker for long and a failure only retries one page.
+ */
+
+import { getMailProvider } from '../providers/index.js';
+import { User } from '../database.js';
+import { EMBEDDING_BACKFILL_JOB, backfillEmbeddings, isBackfilled, isSemanticSearchEnabled } from '../services/semanticIndex.js';
+import { enqueue } from '../services/queue.js';
+
+/**
+ * @param {Object} payload - { userId, pageToken?, processed? }
+ * @param {Object} job - The queue job (its key is reused for the next page)
+ */
+export async function processEmbeddingBackfill({ userId, pageToken, processed }, job) {
+    if (!isSemanticSearchEnabled()) return;
+
+    const user = await User.findById(userId);
+    // Another chain may have finished the index meanwhile
+    if (!user || isBackfilled(user)) return;
+
+    const next = await backfillEmbeddings(user, getMailProvider(user), { pageToken, processed });
+    if (next) {
+        await enqueue(EMBEDDING_BACKFILL_JOB, { userId, ...next }, { key: job.key });
+    }
+}
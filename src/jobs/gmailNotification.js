@@ -0,0 +1,318 @@
+/**
+ * Gmail Notification Job - Turns a Pub/Sub notification into SSE events
+ *
+ * Runs on the job queue, one at a time per mailbox. Throwing retries the whole
+ * notification: nothing is sent and lastHistoryId isn't advanced until every
+ * fetch and store update succeeded, so a retry doesn't skip or duplicate emails.
+ *
+ * Events sent to the user:
+ *   email:new      { count, emails }  - full emails that arrived in INBOX, with `triage`
+ *                  ({ category, priority, summary, corrected }) once classified
+ *   email:updated  { count, emails }  - { id, threadId, labels, label_names, is_read } after
+ *                  label/read changes
+ *   email:deleted  { count, ids }     - permanently deleted message ids
+ *   rule:notify    { rule_id, rule_name, message, email } - from rules with a notify action
+ *   email:resync   { emails, nextPageToken, total_estimate } - fresh first inbox page
+ *                  when history was too old to replay; replaces the client's list.
+ *                  Inbox mail that arrived during the gap goes through triage and rules
+ *                  and out as email:new first; deletions and label changes in the gap
+ *                  only show in the new list.
+ */
+
+import { getMailProvider } from '../providers/index.js';
+import { withLabelNames } from '../providers/labeled.js';
+import { sendToUser } from '../services/sse.js';
+import { User } from '../database.js';
+import config from '../config.js';
+import { classifyEmails, updateTriageLabels, removeTriage } from '../services/triage.js';
+import { runRules } from '../services/rules.js';
+import { isSemanticSearchEnabled, indexEmails, removeEmbeddings } from '../services/semanticIndex.js';
+import {
+    isCacheInSync,
+    hasLiveWatch,
+    requestCacheSeed,
+    upsertMessages,
+    updateMessageLabels,
+    removeMessages,
+    findUncachedIds,
+    advanceCacheHistoryId,
+    setCachedCount,
+} from '../services/messageCache.js';
+
+export const GMAIL_NOTIFICATION_JOB = 'gmail-notification';
+
+// Keep individual SSE payloads a reasonable size during bursts
+const EVENT_BATCH_SIZE = 25;
+const RESYNC_PAGE_SIZE = 50;
+// Newest arrivals replayed after a history gap; older ones only appear in the resync list
+const MAX_MISSED_ARRIVALS = 200;
+
+function isNotFound(error) {
+    return error.code === 404 || error.response?.status === 404;
+}
+
+/**
+ * Collapse history records into one net change per message. A message can be
+ * added, relabelled and deleted within the same window; only the end state matters.
+ */
+function collectChanges(records) {
+    const changes = new Map(); // id -> { id, threadId, added, deleted, labelIds }
+
+    const touch = (message) => {
+        let change = changes.get(message.id);
+        if (!change) {
+            change = { id: message.id, threadId: message.threadId, added: false, deleted: false, labelIds: null };
+            changes.set(message.id, change);
+        }
+        // Every record carries the message's labels as of that change
+        if (message.labelIds) change.labelIds = message.labelIds;
+        return change;
+    };
+
+    for (const record of records) {
+        for (const { message } of record.messagesAdded || []) touch(message).added = true;
+        for (const { message } of record.messagesDeleted || []) touch(message).deleted = true;
+        for (const { message } of record.labelsAdded || []) touch(message);
+        for (const { message } of record.labelsRemoved || []) touch(message);
+    }
+
+    const added = [];
+    const updated = [];
+    const deleted = [];
+
+    for (const change of changes.values()) {
+        if (change.deleted) {
+            // Came and went before the client saw it
+            if (!change.added) deleted.push(change.id);
+        } else if (change.added) {
+            // Only INBOX arrivals are "new"; sent mail and drafts also show up as added
+            added.push({ id: change.id, inbox: Boolean(change.labelIds?.includes('INBOX')) });
+        } else if (change.labelIds) {
+            updated.push({
+                id: change.id,
+                threadId: change.threadId,
+                labels: change.labelIds,
+                is_read: !change.labelIds.includes('UNREAD'),
+            });
+        }
+    }
+
+    return { added, updated, deleted };
+}
+
+async function sendInBatches(emailAddress, event, key, items) {
+    for (let i = 0; i < items.length; i += EVENT_BATCH_SIZE) {
+        const batch = items.slice(i, i + EVENT_BATCH_SIZE);
+        await sendToUser(emailAddress, event, { count: batch.length, [key]: batch });
+    }
+}
+
+/**
+ * @param {Object} payload - { emailAddress, historyId } from decodeNotification
+ */
+export async function processGmailNotification({ emailAddress, historyId }) {
+    // Find user in database
+    const user = await User.findOne({ email: emailAddress });
+    if (!user) {
+        console.log(`User ${emailAddress} not found in database`);
+        return;
+    }
+
+    const provider = withLabelNames(getMailProvider(user), user);
+
+    // Get history since last known historyId
+    const history = await provider.listChanges(user.lastHistoryId || historyId);
+
+    if (history === null) {
+        await resyncMailbox(user, provider);
+        return;
+    }
+
+    await applyChanges(user, provider, collectChanges(history.records), maxHistoryId(history.historyId, historyId), {
+        cacheInSync: isCacheInSync(user),
+    });
+}
+
+/**
+ * Fetch, classify, store and announce one set of changes, then move the cursor
+ *
+ * @param {Object} changes - { added, updated, deleted } from collectChanges
+ * @param {string} cursor - historyId the changes bring the mailbox up to
+ * @param {Object} options - { cacheInSync: apply the changes to the message cache }
+ */
+async function applyChanges(user, provider, { added, updated, deleted }, cursor, { cacheInSync }) {
+    const emailAddress = user.email;
+
+    // The message cache also tracks sent mail, drafts and messages restored from trash
+    const toFetch = added.filter(change => change.inbox || cacheInSync).map(change => change.id);
+    if (cacheInSync) {
+        const visible = updated.filter(change => !change.labels.includes('TRASH') && !change.labels.includes('SPAM'));
+        toFetch.push(...await findUncachedIds(user._id, visible.map(change => change.id)));
+    }
+
+    // Fetch the new emails
+    const fetched = [];
+    for (const messageId of toFetch) {
+        try {
+            fetched.push(await provider.get(messageId));
+        } catch (error) {
+            // Already deleted again; anything else (429, 5xx) retries the job
+            if (!isNotFound(error)) throw error;
+        }
+    }
+
+    const inboxIds = new Set(added.filter(change => change.inbox).map(change => change.id));
+    const triaged = await triage(user, fetched.filter(email => inboxIds.has(email.id)));
+
+    // Rules may archive some of them; those never reach the client's inbox
+    const newEmails = (await applyRules(user, provider, triaged)).filter(email => email.labels?.includes('INBOX'));
+
+    const relabelled = await provider.describeLabels(updated);
+    const changed = added.length || updated.length || deleted.length;
+
+    // Everything that can fail happens before the events go out, so a retry
+    // doesn't send them twice
+    await removeTriage(user._id, deleted);
+    await updateTriageLabels(user._id, updated);
+    await updateSemanticIndex(user, fetched, updated, deleted);
+
+    // Cache first, so it's never seen behind lastHistoryId
+    if (cacheInSync) {
+        await removeMessages(user._id, deleted);
+        await updateMessageLabels(user._id, updated);
+        await upsertMessages(user._id, fetched);
+        if (changed) await refreshCachedCounts(user, provider);
+        await advanceCacheHistoryId(user, cursor);
+    }
+
+    // Notify user via SSE
+    await sendInBatches(emailAddress, 'email:deleted', 'ids', deleted);
+    await sendInBatches(emailAddress, 'email:updated', 'emails', relabelled);
+    await sendInBatches(emailAddress, 'email:new', 'emails', newEmails);
+
+    if (changed) {
+        console.log(`📬 ${emailAddress}: ${newEmails.length} new, ${updated.length} updated, ${deleted.length} deleted`);
+    }
+
+    await advanceHistoryId(user, cursor);
+}
+
+/**
+ * Classify new emails. A failed classification doesn't hold up delivery; those
+ * emails just go out without triage.
+ */
+async function triage(user, emails) {
+    if (!config.triage.enabled) return emails;
+
+    try {
+        return await classifyEmails(user, emails);
+    } catch (error) {
+        console.error(`Triage failed for ${user.email}:`, error.message);
+        return emails;
+    }
+}
+
+/**
+ * Run the user's rules. Each (rule, message) runs at most once, so there's nothing
+ * to gain from retrying the notification; a failure only skips the rules.
+ */
+async function applyRules(user, provider, emails) {
+    try {
+        return await runRules(user, provider, emails);
+    } catch (error) {
+        console.error(`Rules failed for ${user.email}:`, error.message);
+        return emails;
+    }
+}
+
+/**
+ * Embed newly fetched mail; drop what was deleted or moved to spam/trash. A failed
+ * embedding call leaves those emails out of semantic search rather than retrying.
+ */
+async function updateSemanticIndex(user, fetched, updated, deleted) {
+    if (!isSemanticSearchEnabled()) return;
+
+    const binned = updated.filter(change => change.labels.includes('TRASH') || change.labels.includes('SPAM'));
+    await removeEmbeddings(user._id, [...deleted, ...binned.map(change => change.id)]);
+
+    try {
+        await indexEmails(user, fetched);
+    } catch (error) {
+        console.error(`Semantic indexing failed for ${user.email}:`, error.message);
+    }
+}
+
+/**
+ * Re-read the label totals the cache serves to /mail/count
+ */
+async function refreshCachedCounts(user, provider) {
+    for (const label of Object.keys(user.messageCache.counts || {})) {
+        await setCachedCount(user, label, await provider.count(label));
+    }
+}
+
+/**
+ * Inbox messages that arrived since the last sync, newest first
+ */
+async function findMissedArrivals(user, provider) {
+    // Users synced before lastHistoryAt was recorded only get the resync list
+    if (!user.lastHistoryAt) return [];
+
+    const query = `in:inbox after:${Math.floor(user.lastHistoryAt.getTime() / 1000)}`;
+    const ids = [];
+    let pageToken;
+    do {
+        const page = await provider.search(query, 100, pageToken);
+        ids.push(...page.emails.map(email => email.id));
+        pageToken = page.nextPageToken;
+    } while (pageToken && ids.length < MAX_MISSED_ARRIVALS);
+
+    if (pageToken || ids.length > MAX_MISSED_ARRIVALS) {
+        console.warn(`⚠️ ${user.email}: more than ${MAX_MISSED_ARRIVALS} emails arrived during the history gap; replaying the newest`);
+    }
+    return ids.slice(0, MAX_MISSED_ARRIVALS);
+}
+
+/**
+ * History is too old to replay (Gmail keeps about a week): take a fresh cursor,
+ * run inbox mail that arrived meanwhile through the usual pipeline, and send the
+ * current first inbox page so the client can replace its list.
+ */
+async function resyncMailbox(user, provider) {
+    // Take the cursor before listing so changes made meanwhile are replayed next time
+    const historyId = String(await provider.getHistoryId());
+    const missed = await findMissedArrivals(user, provider);
+    const { emails, nextPageToken, resultSizeEstimate } = await provider.list({ maxResults: RESYNC_PAGE_SIZE });
+
+    // The cache missed the same history, so it's rebuilt below rather than patched
+    const added = missed.map(id => ({ id, inbox: true }));
+    await applyChanges(user, provider, { added, updated: [], deleted: [] }, historyId, { cacheInSync: false });
+
+    await sendToUser(user.email, 'email:resync', {
+        emails,
+        nextPageToken,
+        total_estimate: resultSizeEstimate,
+    });
+    console.log(`🔁 Resynced ${user.email} at historyId ${historyId} (${missed.length} missed arrivals replayed)`);
+
+    if (hasLiveWatch(user)) await requestCacheSeed(user);
+}
+
+function maxHistoryId(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return BigInt(a) >= BigInt(b) ? a : b;
+}
+
+/**
+ * Move the user's sync cursor forward, never back (a retried older
+ * notification can finish after a newer one)
+ */
+async function advanceHistoryId(user, historyId) {
+    if (user.lastHistoryId && BigInt(user.lastHistoryId) >= BigInt(historyId)) return;
+
+    await User.updateOne(
+        { _id: user._id },
+        { lastHistoryId: String(historyId), lastHistoryAt: new Date() }
+    );
+}
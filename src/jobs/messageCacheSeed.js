@@ -0,0 +1,21 @@
+/**
+ * Message Cache Seed Job - (Re)builds a user's message metadata cache
+ *
+ * Queued on the mailbox key, so it never runs alongside that mailbox's
+ * notification jobs (see services/messageCache.js).
+ */
+
+import { getMailProvider } from '../providers/index.js';
+import { seedMessageCache, hasLiveWatch } from '../services/messageCache.js';
+import { User } from '../database.js';
+
+/**
+ * @param {Object} payload - { userId }
+ */
+export async function processMessageCacheSeed({ userId }) {
+    const user = await User.findById(userId);
+    // Without a live watch nothing would keep the cache current
+    if (!user || user.provider === 'imap' || !hasLiveWatch(user)) return;
+
+    await seedMessageCache(user, getMailProvider(user));
+}
@@ -0,0 +1,92 @@
+/**
+ * Scheduled Send Job - Sends a ScheduledEmail when it's due
+ *
+ * Events sent to the user:
+ *   scheduled:sent    { id, message_id }
+ *   scheduled:failed  { id, error } - gave up; the email stays in the list as failed
+ */
+
+import { getUserMailProvider } from '../providers/index.js';
+import { sendToUser } from '../services/sse.js';
+import { User } from '../database.js';
+import { ScheduledEmail } from '../models/ScheduledEmail.js';
+
+/**
+ * Rejected as sent (bad address, too large), so retrying can't help
+ */
+function isPermanentError(error) {
+    const status = error.code || error.response?.status;
+    return status === 400 || error.responseCode >= 500;
+}
+
+async function markFailed(scheduled, email, error) {
+    await ScheduledEmail.updateOne({ _id: scheduled._id }, { status: 'failed', error });
+    if (email) await sendToUser(email, 'scheduled:failed', { id: String(scheduled._id), error });
+    console.error(`❌ Scheduled email ${scheduled._id} failed: ${error}`);
+}
+
+/**
+ * @param {Object} payload - { scheduledId, sendAt } from services/scheduledSend.js
+ */
+export async function processScheduledSend({ scheduledId, sendAt }, job) {
+    const scheduled = await ScheduledEmail.findOneAndUpdate(
+        { _id: scheduledId, status: 'scheduled', sendAt: new Date(sendAt) },
+        { status: 'sending' },
+        { new: true }
+    );
+
+    if (!scheduled) {
+        // Cancelled or rescheduled (a newer job owns it) - unless the last attempt
+        // died between handing it to the provider and recording the result
+        const interrupted = await ScheduledEmail.findOne({ _id: scheduledId, status: 'sending', sendAt: new Date(sendAt) });
+        if (interrupted) {
+            const user = await User.findById(interrupted.userId);
+            await markFailed(interrupted, user?.email, 'Interrupted while sending; check Sent before scheduling it again');
+        }
+        return;
+    }
+
+    const user = await User.findById(scheduled.userId);
+    if (!user) {
+        await markFailed(scheduled, null, 'Account no longer exists');
+        return;
+    }
+
+    const { message } = scheduled;
+    let sent;
+    try {
+        sent = await getUserMailProvider(user).send({
+            to: message.to,
+            cc: message.cc,
+            bcc: message.bcc,
+            subject: message.subject,
+            body: message.body,
+            replyToId: message.replyToId,
+            attachments: message.attachments.map(a => ({
+                filename: a.filename,
+                mimeType: a.mimeType,
+                content: Buffer.from(a.content),
+            })),
+        });
+    } catch (error) {
+        if (isPermanentError(error) || job.attempts >= job.maxAttempts) {
+            await markFailed(scheduled, user.email, error.message);
+            return;
+        }
+        // Nothing went out; the queue retries with backoff
+        await ScheduledEmail.updateOne({ _id: scheduled._id }, { status: 'scheduled', error: error.message });
+        throw error;
+    }
+
+    await ScheduledEmail.updateOne({ _id: scheduled._id }, {
+        status: 'sent',
+        sentAt: new Date(),
+        sentMessageId: sent.id,
+        // Keep the names for the list, drop the content
+        'message.attachments': message.attachments.map(a => ({ filename: a.filename, mimeType: a.mimeType })),
+        $unset: { error: 1 },
+    });
+
+    await sendToUser(user.email, 'scheduled:sent', { id: String(scheduled._id), message_id: sent.id });
+    console.log(`📤 Sent scheduled email ${scheduled._id} for ${user.email}`);
+}
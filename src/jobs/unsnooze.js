@@ -0,0 +1,16 @@
+/**
+ * Unsnooze Job - Puts a snoozed thread back in the inbox when it's due
+ *
+ * Events sent to the user:
+ *   email:unsnoozed  { snooze_id, thread_id, emails } - the thread's restored messages
+ */
+
+import { unsnoozeThread } from '../services/snooze.js';
+
+/**
+ * @param {Object} payload - { snoozeId, until } from services/snooze.js
+ */
+export async function processUnsnooze({ snoozeId, until }) {
+    // Null when the snooze was cancelled or moved (a newer job owns it)
+    await unsnoozeThread(snoozeId, { until: new Date(until) });
+}
@@ -0,0 +1,82 @@
+/**
+ * Watch Renewal Job - Keeps Gmail push watches alive without the frontend
+ *
+ * Gmail watches expire after ~7 days. This renews every Gmail user's watch
+ * well before expiry so email:new keeps flowing to users who don't reopen the app.
+ */
+
+import { User } from '../database.js';
+import { registerGmailWatch } from '../services/push.js';
+import { getGoogleCredentials } from '../services/credentials.js';
+
+// Renew anything expiring within this window
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+export const WATCH_RENEWAL_INTERVAL_MS = 60 * 60 * 1000;
+
+function isRevokedGrant(error) {
+    const reason = error.response?.data?.error || error.message || '';
+    return /invalid_grant|unauthorized_client|Token has been expired or revoked/i.test(reason);
+}
+
+async function renewWatch(user) {
+    try {
+        const result = await registerGmailWatch(getGoogleCredentials(user));
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                watchExpiration: result.expiration,
+                // Keep the sync cursor if we have one; history since then is still unprocessed
+                ...(!user.lastHistoryId && { lastHistoryId: result.historyId, lastHistoryAt: new Date() }),
+                watchStatus: 'active',
+                watchFailures: 0,
+                $unset: { watchError: 1 },
+            }
+        );
+        return true;
+    } catch (error) {
+        const revoked = isRevokedGrant(error);
+        console.error(`Watch renewal failed for ${user.email}${revoked ? ' (grant revoked)' : ''}:`, error.message);
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                watchStatus: revoked ? 'revoked' : 'failing',
+                watchError: {
+                    message: error.message,
+                    code: error.code ? String(error.code) : undefined,
+                    at: new Date(),
+                },
+                $inc: { watchFailures: 1 },
+            }
+        );
+        return false;
+    }
+}
+
+/**
+ * Renew all Gmail watches that are missing or about to expire
+ */
+export async function renewGmailWatches() {
+    const users = await User.find({
+        provider: { $ne: 'imap' },
+        googleRefreshToken: { $exists: true, $ne: null },
+        // Revoked grants need the user to sign in again
+        watchStatus: { $ne: 'revoked' },
+        $or: [
+            { watchExpiration: { $exists: false } },
+            { watchExpiration: null },
+            { watchExpiration: { $lt: Date.now() + RENEW_BEFORE_MS } },
+        ],
+    });
+
+    let renewed = 0;
+    for (const user of users) {
+        if (await renewWatch(user)) renewed++;
+    }
+
+    if (users.length) {
+        console.log(`🔄 Renewed ${renewed}/${users.length} Gmail watches`);
+    }
+    return { checked: users.length, renewed };
+}
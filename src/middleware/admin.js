@@ -0,0 +1,12 @@
+import config from '../config.js';
+
+/**
+ * Restrict a route to ADMIN_EMAILS. Must run after authMiddleware.
+ * Only Google sign-in proves the address, so IMAP accounts are never admins.
+ */
+export function adminMiddleware(req, res, next) {
+    if (!config.adminEmails.includes(req.user?.sub?.toLowerCase()) || req.account?.provider === 'imap') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
@@ -1,7 +1,17 @@
 import jwt from 'jsonwebtoken';
 import config from '../config.js';
+import { User } from '../database.js';
+import { getActiveSession } from '../services/sessions.js';
 
-export function authMiddleware(req, res, next) {
+/**
+ * Verify the access token, check its session hasn't been revoked, and load the user.
+ * The token only carries the user and session ids; profile and mail credentials
+ * come from the User record on every request.
+ *
+ * Sets req.user (public profile) and req.account (full User document).
+ */
+export async function authMiddleware(req, res, next) {
+    let decoded;
     try {
         const authHeader = req.headers.authorization;
 
@@ -10,12 +20,34 @@ export function authMiddleware(req, res, next) {
         }
 
         const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, config.jwt.secret);
+        decoded = jwt.verify(token, config.jwt.secret);
+    } catch (error) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
 
-        req.user = decoded;
+    try {
+        const session = await getActiveSession(decoded.sid);
+        if (!session || String(session.userId) !== String(decoded.userId)) {
+            return res.status(401).json({ error: 'Session revoked or expired' });
+        }
+
+        const user = await User.findById(decoded.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+
+        req.account = user;
+        req.user = {
+            userId: user._id,
+            sub: user.email,
+            name: user.name,
+            picture: user.picture,
+            provider: user.provider || 'gmail',
+            sessionId: session._id,
+        };
         next();
     } catch (error) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
+        next(error);
     }
 }
 
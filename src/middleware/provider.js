@@ -0,0 +1,15 @@
+import { getUserMailProvider } from '../providers/index.js';
+
+/**
+ * Attach the user's MailProvider as req.mail. Must run after authMiddleware.
+ * Reads go through the local message cache where it's fresh, and emails come
+ * back with label_names next to their label ids.
+ */
+export function providerMiddleware(req, res, next) {
+    try {
+        req.mail = getUserMailProvider(req.account);
+        next();
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+}
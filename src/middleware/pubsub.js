@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import { google } from 'googleapis';
+import config from '../config.js';
+
+// Verifies Google-signed ID tokens; no client credentials needed
+const oidcClient = new google.auth.OAuth2();
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+async function verifyOidcToken(idToken) {
+    const { audience, serviceAccount } = config.pubsub;
+
+    const ticket = await oidcClient.verifyIdToken({ idToken, audience });
+    const payload = ticket.getPayload();
+
+    if (!payload.email_verified || payload.email !== serviceAccount) {
+        throw new Error(`Unexpected push identity: ${payload.email}`);
+    }
+}
+
+/**
+ * Authenticate Pub/Sub push requests.
+ *
+ * Production: the subscription pushes with an OIDC token for PUBSUB_PUSH_SERVICE_ACCOUNT
+ * and audience PUBSUB_PUSH_AUDIENCE. Local testing: send PUBSUB_VERIFICATION_TOKEN as
+ * ?token= or the X-Webhook-Token header instead.
+ */
+export async function pubsubAuthMiddleware(req, res, next) {
+    const { serviceAccount, verificationToken } = config.pubsub;
+    const authHeader = req.headers.authorization;
+
+    if (serviceAccount && authHeader?.startsWith('Bearer ')) {
+        try {
+            await verifyOidcToken(authHeader.slice(7));
+            return next();
+        } catch (error) {
+            console.warn('⚠️ Rejected Pub/Sub push:', error.message);
+            return res.status(403).json({ error: 'Invalid push token' });
+        }
+    }
+
+    const sharedSecret = req.query.token || req.headers['x-webhook-token'];
+    if (verificationToken && sharedSecret) {
+        if (safeEqual(sharedSecret, verificationToken)) {
+            return next();
+        }
+        return res.status(403).json({ error: 'Invalid push token' });
+    }
+
+    if (!serviceAccount && !verificationToken) {
+        console.error('Webhook auth not configured: set PUBSUB_PUSH_SERVICE_ACCOUNT or PUBSUB_VERIFICATION_TOKEN');
+        return res.status(503).json({ error: 'Webhook authentication not configured' });
+    }
+
+    return res.status(401).json({ error: 'Missing push token' });
+}
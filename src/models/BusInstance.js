@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Heartbeat per running instance, used for cluster-wide SSE connection counts
+const busInstanceSchema = new mongoose.Schema({
+    _id: String, // instance id
+    connections: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+});
+
+export const BusInstance = mongoose.model('BusInstance', busInstanceSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Cross-instance SSE fan-out. Capped, so it can be tailed like a queue and never grows.
+const busMessageSchema = new mongoose.Schema({
+    origin: {
+        type: String,
+        required: true
+    },
+    message: mongoose.Schema.Types.Mixed,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    capped: { size: 16 * 1024 * 1024, max: 10000 }
+});
+
+export const BusMessage = mongoose.model('BusMessage', busMessageSchema);
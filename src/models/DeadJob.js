@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Jobs that exhausted their retries, kept for inspection and manual retry
+const deadJobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        index: true
+    },
+    key: String,
+    payload: mongoose.Schema.Types.Mixed,
+    attempts: Number,
+    error: String,
+    // When the job was first enqueued
+    enqueuedAt: Date,
+    failedAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+export const DeadJob = mongoose.model('DeadJob', deadJobSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const addressSchema = new mongoose.Schema({
+    name: String,
+    email: String
+}, { _id: false });
+
+// AI classification of an incoming message, with the list-view fields the triaged
+// inbox is served from (labels kept current by the webhook pipeline)
+const emailTriageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    messageId: {
+        type: String,
+        required: true
+    },
+    threadId: String,
+    subject: String,
+    snippet: String,
+    from_address: addressSchema,
+    // Lowercased from_address.email; corrections are looked up by sender
+    sender: String,
+    to_addresses: [addressSchema],
+    cc_addresses: [addressSchema],
+    date: Date,
+    labels: [String],
+    is_read: Boolean,
+    category: {
+        type: String,
+        enum: ['needs_reply', 'fyi', 'newsletter', 'receipt', 'calendar', 'phishing'],
+        required: true
+    },
+    priority: {
+        type: Number,
+        min: 1,
+        max: 5
+    },
+    summary: String,
+    // What the model said, kept when the user corrects category or priority
+    predicted: {
+        category: String,
+        priority: Number
+    },
+    correctedAt: Date,
+    generatedBy: String // Model name
+}, {
+    timestamps: true
+});
+
+emailTriageSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+emailTriageSchema.index({ userId: 1, labels: 1, category: 1, date: -1 });
+emailTriageSchema.index({ userId: 1, correctedAt: -1 });
+emailTriageSchema.index({ userId: 1, sender: 1, correctedAt: -1 });
+
+export const EmailTriage = mongoose.model('EmailTriage', emailTriageSchema);
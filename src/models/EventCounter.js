@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+
+// Last SSE event id issued per user, so ids stay monotonic across restarts and instances
+const eventCounterSchema = new mongoose.Schema({
+    _id: String, // user email
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+export const EventCounter = mongoose.model('EventCounter', eventCounterSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Durable background job. Deleted on success, moved to DeadJob after its last attempt.
+const jobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    // Jobs with the same key run one at a time, oldest first (e.g. one user's mailbox)
+    key: {
+        type: String,
+        required: true
+    },
+    payload: mongoose.Schema.Types.Mixed,
+    status: {
+        type: String,
+        enum: ['pending', 'running'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 8
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    lastError: String
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ key: 1, createdAt: 1 });
+
+export const Job = mongoose.model('Job', jobSchema);
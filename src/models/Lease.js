@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Cluster-wide lock: one document per job name, held by one instance until it expires
+const leaseSchema = new mongoose.Schema({
+    _id: String, // lease name
+    owner: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+export const Lease = mongoose.model('Lease', leaseSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const addressSchema = new mongoose.Schema({
+    name: String,
+    email: String
+}, { _id: false });
+
+// Unit-length embedding of a message's subject and body, plus what search results show
+const messageEmbeddingSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    messageId: {
+        type: String,
+        required: true
+    },
+    threadId: String,
+    subject: String,
+    snippet: String,
+    from_address: addressSchema,
+    date: Date,
+    embeddingModel: {
+        type: String,
+        required: true
+    },
+    vector: {
+        type: [Number],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+messageEmbeddingSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+messageEmbeddingSchema.index({ userId: 1, embeddingModel: 1 });
+
+export const MessageEmbedding = mongoose.model('MessageEmbedding', messageEmbeddingSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const addressSchema = new mongoose.Schema({
+    name: String,
+    email: String
+}, { _id: false });
+
+// Cached list-view metadata for one message (no bodies), kept current from Gmail history
+const messageMetaSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    messageId: {
+        type: String,
+        required: true
+    },
+    threadId: String,
+    subject: String,
+    snippet: String,
+    from_address: addressSchema,
+    to_addresses: [addressSchema],
+    cc_addresses: [addressSchema],
+    date: {
+        type: Date,
+        required: true
+    },
+    labels: [String],
+    is_read: Boolean
+}, {
+    timestamps: true
+});
+
+messageMetaSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+messageMetaSchema.index({ userId: 1, labels: 1, date: -1, messageId: -1 });
+
+export const MessageMeta = mongoose.model('MessageMeta', messageMetaSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// An assistant action previewed to the user and waiting for their go-ahead
+// (see services/confirmations.js). Runs with the stored arguments, at most once.
+const pendingActionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tool: {
+        type: String,
+        required: true
+    },
+    args: mongoose.Schema.Types.Mixed,
+    // The assistant turn (one user message) that showed the preview
+    turnId: String,
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+}, {
+    timestamps: true
+});
+
+pendingActionSchema.index({ userId: 1, tool: 1, createdAt: -1 });
+
+export const PendingAction = mongoose.model('PendingAction', pendingActionSchema);
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Pub/Sub messageIds already handled, so redeliveries can be ignored
+const processedNotificationSchema = new mongoose.Schema({
+    _id: String, // Pub/Sub messageId
+    email: String,
+    historyId: String,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        // Pub/Sub retains unacked messages for at most 7 days
+        expires: 7 * 24 * 60 * 60
+    }
+});
+
+export const ProcessedNotification = mongoose.model('ProcessedNotification', processedNotificationSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const actionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['label', 'archive', 'mark_read', 'star', 'forward', 'notify', 'ai_draft'],
+        required: true
+    },
+    label: String,        // label: name, created if missing
+    to: [String],         // forward: recipients
+    message: String,      // notify: text shown with the notification
+    instructions: String  // ai_draft: how to reply, e.g. "politely ask for the invoice number"
+}, { _id: false });
+
+// A user's mail rule, run on every new inbox message (see services/rules.js)
+const ruleSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Patterns are case-insensitive substrings, or /regex/flags
+    conditions: {
+        from: String,
+        to: String,
+        subject: String,
+        body: String,
+        text: String,          // Subject or body
+        labels: [String],      // Names or ids, all required
+        categories: [String]   // AI triage categories, any of them
+    },
+    match: {
+        type: String,
+        enum: ['all', 'any'],
+        default: 'all'
+    },
+    actions: [actionSchema],
+    stopProcessing: {
+        type: Boolean,
+        default: false
+    },
+    position: {
+        type: Number,
+        default: 0
+    },
+    runCount: {
+        type: Number,
+        default: 0
+    },
+    lastRunAt: Date
+}, {
+    timestamps: true
+});
+
+ruleSchema.index({ userId: 1, position: 1, createdAt: 1 });
+
+export const Rule = mongoose.model('Rule', ruleSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const actionResultSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    ok: Boolean,
+    detail: String,
+    error: String
+}, { _id: false });
+
+// One rule run against one message; also claims the message so a retried
+// notification never runs the rule on it twice
+const ruleRunSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rule',
+        required: true
+    },
+    messageId: {
+        type: String,
+        required: true
+    },
+    threadId: String,
+    subject: String,
+    from: String,
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running'
+    },
+    actions: [actionResultSchema],
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+}, {
+    timestamps: true
+});
+
+ruleRunSchema.index({ ruleId: 1, messageId: 1 }, { unique: true });
+ruleRunSchema.index({ ruleId: 1, createdAt: -1 });
+
+export const RuleRun = mongoose.model('RuleRun', ruleRunSchema);
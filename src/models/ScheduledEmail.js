@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const attachmentSchema = new mongoose.Schema({
+    filename: String,
+    mimeType: String,
+    content: Buffer
+}, { _id: false });
+
+// An email waiting to be sent at sendAt (see services/scheduledSend.js)
+const scheduledEmailSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Same fields as POST /mail/send; addresses may be arrays or comma-separated strings
+    message: {
+        to: mongoose.Schema.Types.Mixed,
+        cc: mongoose.Schema.Types.Mixed,
+        bcc: mongoose.Schema.Types.Mixed,
+        subject: String,
+        body: String,
+        replyToId: String,
+        attachments: [attachmentSchema]
+    },
+    sendAt: {
+        type: Date,
+        required: true
+    },
+    timezone: String, // Zone the time was given in, for display
+    status: {
+        type: String,
+        enum: ['scheduled', 'sending', 'sent', 'failed', 'cancelled'],
+        default: 'scheduled'
+    },
+    sentMessageId: String,
+    sentAt: Date,
+    error: String
+}, {
+    timestamps: true
+});
+
+scheduledEmailSchema.index({ userId: 1, status: 1, sendAt: 1 });
+
+export const ScheduledEmail = mongoose.model('ScheduledEmail', scheduledEmailSchema);
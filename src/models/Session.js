@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { encryptField, decryptField } from '../services/encryption.js';
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // sha256 of the current refresh token secret; rotated on every refresh
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // The rotated-away secret's hash and the new secret (encrypted), so a second tab
+    // refreshing with the same token just after gets the same new tokens
+    previousRefreshTokenHash: String,
+    refreshTokenSecret: { type: String, set: encryptField, get: decryptField },
+    rotatedAt: Date,
+    device: {
+        type: String,
+        default: 'Unknown device'
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: String
+}, {
+    timestamps: true
+});
+
+// Let Mongo clean up sessions a while after they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export const Session = mongoose.model('Session', sessionSchema);
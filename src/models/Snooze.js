@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// A thread hidden from the inbox until `until` (see services/snooze.js)
+const snoozeSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    threadId: {
+        type: String,
+        required: true
+    },
+    // Messages that were taken out of INBOX, so only they are put back
+    messageIds: [String],
+    subject: String,
+    until: {
+        type: Date,
+        required: true
+    },
+    timezone: String,
+    status: {
+        type: String,
+        enum: ['snoozed', 'restored', 'cancelled'],
+        default: 'snoozed'
+    },
+    restoredAt: Date
+}, {
+    timestamps: true
+});
+
+snoozeSchema.index({ userId: 1, status: 1, until: 1 });
+snoozeSchema.index({ userId: 1, threadId: 1, status: 1 });
+
+export const Snooze = mongoose.model('Snooze', snoozeSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// AI summary of a thread, valid while lastMessageId is still the newest message
+const threadSummarySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    threadId: {
+        type: String,
+        required: true
+    },
+    lastMessageId: {
+        type: String,
+        required: true
+    },
+    messageCount: Number,
+    summary: {
+        overview: String,
+        key_points: [String],
+        decisions: [String],
+        open_questions: [String],
+        // "who is waiting for what from whom"
+        waiting_on: [{
+            _id: false,
+            who: String,
+            waiting_for: String,
+            from: String
+        }]
+    },
+    generatedBy: String // Model name
+}, {
+    timestamps: true
+});
+
+threadSummarySchema.index({ userId: 1, threadId: 1 }, { unique: true });
+
+export const ThreadSummary = mongoose.model('ThreadSummary', threadSummarySchema);
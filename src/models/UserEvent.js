@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// SSE events kept for Last-Event-ID replay (Mongo-backed event log)
+const userEventSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    data: mongoose.Schema.Types.Mixed,
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+});
+
+userEventSchema.index({ email: 1, seq: 1 }, { unique: true });
+
+export const UserEvent = mongoose.model('UserEvent', userEventSchema);
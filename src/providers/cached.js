@@ -0,0 +1,202 @@
+/**
+ * Cached Provider - Serves Gmail list, search and count reads from the local
+ * message cache while it's fresh, and falls back to the wrapped provider otherwise
+ *
+ * Pages served here use date cursors (see messageCache.encodeDateCursor) so paging
+ * can continue past the cache window into Gmail. Gmail's own page tokens still
+ * work and always go straight to Gmail.
+ */
+
+import config from '../config.js';
+import {
+    isCacheFresh,
+    hasLiveWatch,
+    requestCacheSeed,
+    queryCachedMessages,
+    searchBeforeCursor,
+    isDateCursor,
+    encodeDateCursor,
+    decodeDateCursor,
+    getCachedCount,
+    setCachedCount,
+    upsertMessages,
+    updateMessageLabels,
+    applyLabelDelta,
+    removeMessages,
+} from '../services/messageCache.js';
+
+function toEpochSeconds(value) {
+    return Math.floor(new Date(value).getTime() / 1000);
+}
+
+function quote(value) {
+    return /\s/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+/**
+ * The /mail/inbox and /mail/sent filters as a Gmail query
+ */
+function buildListQuery(options) {
+    const parts = [options.folder === 'sent' ? 'in:sent' : 'in:inbox'];
+    if (options.from_address) parts.push(`from:${quote(options.from_address)}`);
+    if (options.after_date) parts.push(`after:${toEpochSeconds(options.after_date)}`);
+    if (options.before_date) parts.push(`before:${toEpochSeconds(options.before_date)}`);
+    if (options.is_unread === true) parts.push('is:unread');
+    if (options.is_unread === false) parts.push('is:read');
+    if (options.query) parts.push(options.query);
+    return parts.join(' ');
+}
+
+function getCursor(pageToken, before) {
+    if (isDateCursor(pageToken)) return decodeDateCursor(pageToken);
+    if (before) return { date: new Date(before), id: '' };
+    return null;
+}
+
+/**
+ * @param {import('./index.js').MailProvider} provider - The user's uncached provider
+ * @param {Object} user - User document (cache state and watch status)
+ * @returns {import('./index.js').MailProvider}
+ */
+export function withMessageCache(provider, user) {
+    if (provider.type !== 'gmail' || !config.messageCache.enabled) return provider;
+
+    const fresh = isCacheFresh(user);
+    const seeded = Boolean(user.messageCache?.seededAt);
+
+    // Only worth building while a watch keeps it current
+    if (!fresh && hasLiveWatch(user)) {
+        requestCacheSeed(user).catch(error => console.error(`Failed to queue cache seed for ${user.email}:`, error.message));
+    }
+
+    async function providerPage(query, maxResults, cursor) {
+        const { emails, hasMore, resultSizeEstimate } = await searchBeforeCursor(provider, query, { maxResults, cursor });
+        return {
+            emails,
+            nextPageToken: hasMore && emails.length ? encodeDateCursor(emails[emails.length - 1]) : undefined,
+            resultSizeEstimate,
+        };
+    }
+
+    /**
+     * Page from the cache; when its window runs out, fill the rest from Gmail
+     * (unless the cache holds the whole mailbox)
+     */
+    async function cachedPage(query, maxResults, cursor) {
+        const cached = await queryCachedMessages(user, query, { maxResults, cursor });
+        if (!cached) return null;
+
+        const emails = [...cached.emails];
+        const reachedStart = Boolean(user.messageCache.reachedStart);
+        // A full page may have older matches in Gmail; the next page looks there
+        let hasMore = cached.hasMore || (!reachedStart && emails.length === maxResults);
+        let resultSizeEstimate = cached.resultSizeEstimate;
+
+        if (!hasMore && !reachedStart) {
+            // Everything newer than the window edge came from the cache
+            const since = user.messageCache.since;
+            const boundary = cursor && cursor.date < since ? cursor : { date: since, id: '' };
+            const older = await searchBeforeCursor(provider, query, { maxResults: maxResults - emails.length, cursor: boundary });
+
+            emails.push(...older.emails);
+            hasMore = older.hasMore;
+            resultSizeEstimate += older.resultSizeEstimate || 0;
+        }
+
+        return {
+            emails,
+            nextPageToken: hasMore && emails.length ? encodeDateCursor(emails[emails.length - 1]) : undefined,
+            resultSizeEstimate,
+        };
+    }
+
+    async function query(query, maxResults, pageToken, fallback) {
+        // Gmail page tokens only make sense to Gmail
+        if (pageToken && !isDateCursor(pageToken)) return fallback();
+
+        const cursor = getCursor(pageToken);
+        if (fresh) {
+            const result = await cachedPage(query, maxResults, cursor);
+            if (result) return result;
+        }
+        return cursor ? providerPage(query, maxResults, cursor) : fallback();
+    }
+
+    return {
+        ...provider,
+
+        list(options = {}) {
+            const maxResults = options.maxResults || 20;
+            const listQuery = buildListQuery(options);
+
+            if (options.before && !options.pageToken) {
+                const cursor = getCursor(null, options.before);
+                return fresh
+                    ? cachedPage(listQuery, maxResults, cursor).then(result => result || providerPage(listQuery, maxResults, cursor))
+                    : providerPage(listQuery, maxResults, cursor);
+            }
+
+            return query(listQuery, maxResults, options.pageToken, () => provider.list(options));
+        },
+
+        search(searchQuery, maxResults = 20, pageToken) {
+            return query(searchQuery, maxResults, pageToken, () => provider.search(searchQuery, maxResults, pageToken));
+        },
+
+        async count(label = 'INBOX') {
+            if (fresh) {
+                const cached = getCachedCount(user, label);
+                if (cached != null) return cached;
+            }
+
+            const count = await provider.count(label);
+            // Kept current by the webhook pipeline from here on
+            if (fresh) await setCachedCount(user, label, count).catch(() => { });
+            return count;
+        },
+
+        // Writes go to Gmail, then straight into the cache so the next read agrees
+
+        async modify(emailId, changes) {
+            const labels = await provider.modify(emailId, changes);
+            if (seeded && labels) await updateMessageLabels(user._id, [{ id: emailId, labels }]);
+            return labels;
+        },
+
+        async batchModify(emailIds, changes) {
+            const result = await provider.batchModify(emailIds, changes);
+            if (seeded) await applyLabelDelta(user._id, emailIds, changes);
+            return result;
+        },
+
+        async trash(emailId) {
+            const result = await provider.trash(emailId);
+            if (seeded) await removeMessages(user._id, [emailId]);
+            return result;
+        },
+
+        async untrash(emailId) {
+            const labels = await provider.untrash(emailId);
+            if (seeded) {
+                try {
+                    await upsertMessages(user._id, [await provider.get(emailId)]);
+                } catch (error) {
+                    console.error('Failed to cache restored message:', error.message);
+                }
+            }
+            return labels;
+        },
+
+        async send(message) {
+            const sent = await provider.send(message);
+            if (seeded) {
+                try {
+                    await upsertMessages(user._id, [await provider.get(sent.id)]);
+                } catch (error) {
+                    console.error('Failed to cache sent message:', error.message);
+                }
+            }
+            return sent;
+        },
+    };
+}
@@ -0,0 +1,108 @@
+/**
+ * Gmail Provider - MailProvider implementation backed by the Gmail API
+ */
+
+import * as gmail from '../services/gmail.js';
+import { registerGmailWatch, stopGmailWatch, getHistory, getCurrentHistoryId } from '../services/push.js';
+
+/**
+ * @param {Object} credentials - { accessToken, refreshToken, expiryDate, onTokens } (see gmail.getAuthorizedClient)
+ * @returns {import('./index.js').MailProvider}
+ */
+export function createGmailProvider(credentials) {
+    return {
+        type: 'gmail',
+
+        list(options = {}) {
+            return options.folder === 'sent'
+                ? gmail.getSent(credentials, options)
+                : gmail.getInbox(credentials, options);
+        },
+
+        get(emailId) {
+            return gmail.getEmail(credentials, emailId);
+        },
+
+        getThread(threadId) {
+            return gmail.getThread(credentials, threadId);
+        },
+
+        search(query, maxResults, pageToken) {
+            return gmail.searchEmails(credentials, query, maxResults, pageToken);
+        },
+
+        modify(emailId, { add = [], remove = [] }) {
+            return gmail.modifyLabels(credentials, emailId, {
+                addLabelIds: add,
+                removeLabelIds: remove,
+            });
+        },
+
+        batchModify(emailIds, { add = [], remove = [] }) {
+            return gmail.batchModifyLabels(credentials, emailIds, {
+                addLabelIds: add,
+                removeLabelIds: remove,
+            });
+        },
+
+        trash(emailId) {
+            return gmail.trashEmail(credentials, emailId);
+        },
+
+        untrash(emailId) {
+            return gmail.untrashEmail(credentials, emailId);
+        },
+
+        send(message) {
+            return gmail.sendEmail(credentials, message);
+        },
+
+        count(label = 'INBOX') {
+            return gmail.getEmailCount(credentials, label);
+        },
+
+        getAttachment(emailId, attachmentId) {
+            return gmail.getAttachment(credentials, emailId, attachmentId);
+        },
+
+        labels: {
+            list: () => gmail.listLabels(credentials),
+            get: (labelId) => gmail.getLabel(credentials, labelId),
+            create: (label) => gmail.createLabel(credentials, label),
+            update: (labelId, changes) => gmail.updateLabel(credentials, labelId, changes),
+            delete: (labelId) => gmail.deleteLabel(credentials, labelId),
+        },
+
+        drafts: {
+            list: (options) => gmail.listDrafts(credentials, options),
+            get: (draftId) => gmail.getDraft(credentials, draftId),
+            create: (message) => gmail.createDraft(credentials, message),
+            update: (draftId, message) => gmail.updateDraft(credentials, draftId, message),
+            delete: (draftId) => gmail.deleteDraft(credentials, draftId),
+            send: (draftId) => gmail.sendDraft(credentials, draftId),
+        },
+
+        /**
+         * Gmail delivers changes through Pub/Sub to /webhook/gmail, so watching
+         * only registers the mailbox with the topic. onChange is not used.
+         */
+        watch() {
+            return registerGmailWatch(credentials);
+        },
+
+        unwatch() {
+            return stopGmailWatch(credentials);
+        },
+
+        /**
+         * { records, historyId } since startHistoryId, or null when a full sync is needed
+         */
+        listChanges(startHistoryId) {
+            return getHistory(credentials, startHistoryId);
+        },
+
+        getHistoryId() {
+            return getCurrentHistoryId(credentials);
+        },
+    };
+}
@@ -0,0 +1,581 @@
+/**
+ * IMAP/SMTP Provider - MailProvider implementation for standard mail servers
+ * (Fastmail, Exchange IMAP, Dovecot, ...). Reads over IMAP, sends over SMTP,
+ * and uses IMAP IDLE for real-time change notification.
+ */
+
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import nodemailer from 'nodemailer';
+import { buildMimeMessage, looksLikeHtml, splitAddressList } from '../services/mime.js';
+
+// Close pooled connections that haven't been used for a while
+const CONNECTION_IDLE_MS = 5 * 60 * 1000;
+// Enough of the message source to build a snippet for list views
+const LIST_SOURCE_BYTES = 16 * 1024;
+const WATCH_RECONNECT_MS = 30 * 1000;
+
+const SPECIAL_USE_LABELS = {
+    '\\Sent': 'SENT',
+    '\\Trash': 'TRASH',
+    '\\Junk': 'SPAM',
+    '\\Drafts': 'DRAFT',
+    '\\Archive': 'ARCHIVE',
+};
+
+// Pooled IMAP connections: "user@host:port" -> { client, ready, connected, timer, mailboxes }
+const pool = new Map();
+
+/**
+ * Message ids carry the mailbox as well as the UID, since UIDs are only unique per mailbox
+ */
+function encodeId(mailbox, uid) {
+    return Buffer.from(JSON.stringify([mailbox, uid])).toString('base64url');
+}
+
+function decodeId(id) {
+    try {
+        const [mailbox, uid] = JSON.parse(Buffer.from(id, 'base64url').toString('utf-8'));
+        if (typeof mailbox === 'string' && Number.isInteger(uid)) {
+            return { mailbox, uid };
+        }
+    } catch {
+        // fall through
+    }
+    throw new Error('Invalid message id');
+}
+
+function encodeThreadId(messageId) {
+    return Buffer.from(messageId || '').toString('base64url');
+}
+
+function toAddress(addr) {
+    return { email: addr?.address || '', name: addr?.name || null };
+}
+
+function toAddressList(field) {
+    return (field?.value || []).map(toAddress).filter(a => a.email);
+}
+
+function normalizeReferences(references) {
+    if (!references) return [];
+    return Array.isArray(references) ? references : String(references).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Thread by the root of the References chain, falling back to the message itself
+ */
+function getThreadRoot(parsed) {
+    const references = normalizeReferences(parsed.references);
+    return references[0] || parsed.inReplyTo || parsed.messageId || '';
+}
+
+function flagsToLabels(flags, mailboxLabel) {
+    const labels = mailboxLabel ? [mailboxLabel] : [];
+    if (!flags.has('\\Seen')) labels.push('UNREAD');
+    if (flags.has('\\Flagged')) labels.push('STARRED');
+    for (const flag of flags) {
+        if (!flag.startsWith('\\') && !flag.startsWith('$')) labels.push(flag);
+    }
+    return labels;
+}
+
+// Gmail system labels with no IMAP flag (archive, spam and the like move between
+// folders, which modify doesn't do); stored as keywords they'd change nothing
+const UNSUPPORTED_LABELS = /^(INBOX|SPAM|TRASH|IMPORTANT|SENT|DRAFT|CHAT|CATEGORY_[A-Z]+)$/;
+
+function labelsToFlags(labels) {
+    return labels
+        .map(label => {
+            if (label === 'UNREAD') return '\\Seen';
+            if (label === 'STARRED') return '\\Flagged';
+            if (UNSUPPORTED_LABELS.test(label)) {
+                throw new Error(`${label} can't be changed on IMAP accounts`);
+            }
+            return label;
+        });
+}
+
+/**
+ * Same shape as gmail.parseMessage so routes and the frontend don't care about the provider
+ */
+function toEmail(parsed, { mailbox, mailboxLabel, uid, flags }, includeBody = false) {
+    const attachments = (parsed.attachments || []).map((a, index) => ({
+        filename: a.filename || 'attachment',
+        mimeType: a.contentType || 'application/octet-stream',
+        size: a.size || 0,
+        attachmentId: String(index),
+        contentId: a.contentId?.replace(/^<|>$/g, '') || null,
+        inline: a.contentDisposition === 'inline' || (!!a.contentId && a.related),
+    }));
+
+    const email = {
+        id: encodeId(mailbox, uid),
+        threadId: encodeThreadId(getThreadRoot(parsed)),
+        subject: parsed.subject || '(No Subject)',
+        snippet: (parsed.text || '').replace(/\s+/g, ' ').trim().slice(0, 200),
+        from_address: toAddressList(parsed.from)[0] || { email: '', name: null },
+        to_addresses: toAddressList(parsed.to),
+        cc_addresses: toAddressList(parsed.cc),
+        bcc_addresses: toAddressList(parsed.bcc),
+        date: (parsed.date || new Date()).toISOString(),
+        is_read: flags.has('\\Seen'),
+        labels: flagsToLabels(flags, mailboxLabel),
+    };
+
+    if (includeBody) {
+        email.body_text = parsed.text || null;
+        email.body_html = parsed.html || null;
+        email.attachments = attachments;
+        email.has_attachments = attachments.some(a => !a.inline);
+    }
+
+    return email;
+}
+
+/**
+ * Translate the Gmail-style query syntax used across the app (from:, to:, subject:,
+ * is:unread, after:, before:, has:attachment) into an IMAP SEARCH object
+ */
+export function compileQuery(query = '') {
+    const search = {};
+    const text = [];
+
+    const tokens = query.match(/(\w+:\([^)]*\)|\w+:"[^"]*"|"[^"]*"|\S+)/g) || [];
+    for (const token of tokens) {
+        const match = token.match(/^(\w+):(.*)$/);
+        const value = match?.[2].replace(/^[("]|[)"]$/g, '');
+
+        switch (match?.[1]?.toLowerCase()) {
+            case 'from': search.from = value; break;
+            case 'to': search.to = value; break;
+            case 'subject': search.subject = value; break;
+            case 'after': search.since = new Date(value.replace(/\//g, '-')); break;
+            case 'before': search.before = new Date(value.replace(/\//g, '-')); break;
+            case 'is':
+                if (value === 'unread') search.seen = false;
+                if (value === 'read') search.seen = true;
+                if (value === 'starred') search.flagged = true;
+                break;
+            case 'in':
+            case 'has':
+            case 'label':
+                // Mailbox selection / attachment detection happen outside SEARCH
+                break;
+            default:
+                text.push(token.replace(/^"|"$/g, ''));
+        }
+    }
+
+    if (text.length) search.text = text.join(' ');
+    return Object.keys(search).length ? search : { all: true };
+}
+
+function createClient(account) {
+    return new ImapFlow({
+        host: account.imap.host,
+        port: account.imap.port || 993,
+        secure: account.imap.secure !== false,
+        auth: {
+            user: account.imap.user || account.email,
+            pass: account.imap.password,
+        },
+        tls: { rejectUnauthorized: !account.imap.allowSelfSigned },
+        logger: false,
+    });
+}
+
+async function resolveMailboxes(client) {
+    const mailboxes = { INBOX: 'INBOX' };
+    for (const box of await client.list()) {
+        const label = SPECIAL_USE_LABELS[box.specialUse];
+        if (label && !mailboxes[label]) mailboxes[label] = box.path;
+    }
+    return mailboxes;
+}
+
+async function getConnection(account) {
+    const key = `${account.imap.user || account.email}@${account.imap.host}:${account.imap.port || 993}`;
+    let entry = pool.get(key);
+
+    // Drop connections that finished connecting but have since died
+    if (entry?.connected && !entry.client.usable) {
+        pool.delete(key);
+        entry = null;
+    }
+
+    if (!entry) {
+        const client = createClient(account);
+        entry = { client, ready: null, connected: false, timer: null, mailboxes: null };
+        entry.ready = (async () => {
+            await client.connect();
+            entry.mailboxes = await resolveMailboxes(client);
+            entry.connected = true;
+        })();
+
+        client.on('close', () => {
+            if (pool.get(key) === entry) pool.delete(key);
+        });
+        client.on('error', (error) => {
+            console.error(`IMAP connection error (${key}):`, error.message);
+        });
+        pool.set(key, entry);
+    }
+
+    try {
+        await entry.ready;
+    } catch (error) {
+        pool.delete(key);
+        throw error;
+    }
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+        pool.delete(key);
+        entry.client.logout().catch(() => { });
+    }, CONNECTION_IDLE_MS);
+
+    return entry;
+}
+
+/**
+ * Run fn with the mailbox selected and locked on a pooled connection
+ */
+async function withMailbox(account, mailbox, fn) {
+    const { client, mailboxes } = await getConnection(account);
+    const path = mailboxes[mailbox] || mailbox;
+    const lock = await client.getMailboxLock(path);
+
+    try {
+        const label = Object.keys(mailboxes).find(l => mailboxes[l] === path) || null;
+        return await fn(client, { path, label, mailboxes });
+    } finally {
+        lock.release();
+    }
+}
+
+async function fetchEmails(client, uids, { path, label }, { includeBody = false } = {}) {
+    if (!uids.length) return [];
+
+    const emails = [];
+    const query = {
+        uid: true,
+        flags: true,
+        source: includeBody ? true : { start: 0, maxLength: LIST_SOURCE_BYTES },
+    };
+
+    for await (const message of client.fetch(uids, query, { uid: true })) {
+        const parsed = await simpleParser(message.source, { skipImageLinks: true });
+        emails.push(toEmail(parsed, { mailbox: path, mailboxLabel: label, uid: message.uid, flags: message.flags }, includeBody));
+    }
+
+    return emails.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Newest-first page of UIDs. pageToken is the lowest UID of the previous page.
+ */
+function paginate(uids, { maxResults = 20, pageToken } = {}) {
+    const sorted = [...uids].sort((a, b) => b - a);
+    const remaining = pageToken ? sorted.filter(uid => uid < Number(pageToken)) : sorted;
+    const page = remaining.slice(0, maxResults);
+
+    return {
+        page,
+        nextPageToken: remaining.length > page.length ? String(page[page.length - 1]) : undefined,
+        resultSizeEstimate: sorted.length,
+    };
+}
+
+function buildListQuery(options) {
+    const parts = [];
+    if (options.from_address) parts.push(`from:${options.from_address}`);
+    if (options.after_date) parts.push(`after:${new Date(options.after_date).toISOString().slice(0, 10)}`);
+    if (options.before_date) parts.push(`before:${new Date(options.before_date).toISOString().slice(0, 10)}`);
+    if (options.is_unread === true) parts.push('is:unread');
+    if (options.is_unread === false) parts.push('is:read');
+    if (options.query) parts.push(options.query);
+    return parts.join(' ');
+}
+
+function createTransport(account) {
+    return nodemailer.createTransport({
+        host: account.smtp.host,
+        port: account.smtp.port || 465,
+        secure: account.smtp.secure !== false,
+        auth: {
+            user: account.smtp.user || account.imap.user || account.email,
+            pass: account.smtp.password || account.imap.password,
+        },
+        tls: { rejectUnauthorized: !account.smtp.allowSelfSigned },
+    });
+}
+
+/**
+ * @param {Object} account - { email, name, imap: { host, port, secure, user, password, allowSelfSigned }, smtp: { ... } }
+ * @returns {import('./index.js').MailProvider}
+ */
+export function createImapProvider(account) {
+    async function list(options = {}) {
+        const mailbox = options.folder === 'sent' ? 'SENT' : 'INBOX';
+
+        return withMailbox(account, mailbox, async (client, box) => {
+            const uids = await client.search(compileQuery(buildListQuery(options)), { uid: true }) || [];
+            const { page, nextPageToken, resultSizeEstimate } = paginate(uids, options);
+
+            return {
+                emails: await fetchEmails(client, page, box),
+                nextPageToken,
+                resultSizeEstimate,
+            };
+        });
+    }
+
+    async function get(emailId) {
+        const { mailbox, uid } = decodeId(emailId);
+
+        return withMailbox(account, mailbox, async (client, box) => {
+            const [email] = await fetchEmails(client, [uid], box, { includeBody: true });
+            if (!email) throw new Error('Email not found');
+            return email;
+        });
+    }
+
+    async function getThread(threadId) {
+        const root = Buffer.from(threadId, 'base64url').toString('utf-8');
+        if (!root) return [];
+
+        const { mailboxes } = await getConnection(account);
+        const emails = [];
+
+        // Replies we sent live in Sent, which not every server advertises
+        for (const mailbox of [mailboxes.INBOX, mailboxes.SENT].filter(Boolean)) {
+            const found = await withMailbox(account, mailbox, async (client, box) => {
+                const uids = await client.search({
+                    or: [
+                        { header: { 'message-id': root } },
+                        { header: { references: root } },
+                    ],
+                }, { uid: true }) || [];
+                return fetchEmails(client, uids, box, { includeBody: true });
+            });
+            emails.push(...found);
+        }
+
+        return emails.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    async function search(query, maxResults = 20, pageToken) {
+        const mailbox = /\bin:sent\b/.test(query) ? 'SENT' : 'INBOX';
+
+        return withMailbox(account, mailbox, async (client, box) => {
+            const uids = await client.search(compileQuery(query), { uid: true }) || [];
+            const { page, nextPageToken, resultSizeEstimate } = paginate(uids, { maxResults, pageToken });
+
+            return {
+                emails: await fetchEmails(client, page, box),
+                nextPageToken,
+                resultSizeEstimate,
+            };
+        });
+    }
+
+    async function modify(emailId, { add = [], remove = [] }) {
+        const { mailbox, uid } = decodeId(emailId);
+
+        // UNREAD is the absence of \Seen, so it flips direction
+        const addFlags = [
+            ...labelsToFlags(add.filter(l => l !== 'UNREAD')),
+            ...(remove.includes('UNREAD') ? ['\\Seen'] : []),
+        ];
+        const removeFlags = [
+            ...labelsToFlags(remove.filter(l => l !== 'UNREAD')),
+            ...(add.includes('UNREAD') ? ['\\Seen'] : []),
+        ];
+
+        return withMailbox(account, mailbox, async (client) => {
+            if (addFlags.length) await client.messageFlagsAdd(uid, addFlags, { uid: true });
+            if (removeFlags.length) await client.messageFlagsRemove(uid, removeFlags, { uid: true });
+
+            const message = await client.fetchOne(uid, { flags: true }, { uid: true });
+            return message ? flagsToLabels(message.flags, null) : [];
+        });
+    }
+
+    async function trash(emailId) {
+        const { mailbox, uid } = decodeId(emailId);
+
+        return withMailbox(account, mailbox, async (client, { mailboxes }) => {
+            if (mailboxes.TRASH && mailboxes.TRASH !== mailbox) {
+                await client.messageMove(uid, mailboxes.TRASH, { uid: true });
+            } else {
+                await client.messageDelete(uid, { uid: true });
+            }
+            return true;
+        });
+    }
+
+    async function send({ to, cc, bcc, subject, body, replyToId, attachments = [] }) {
+        let inReplyTo;
+        let references;
+
+        if (replyToId) {
+            const { mailbox, uid } = decodeId(replyToId);
+            const original = await withMailbox(account, mailbox, async (client) => {
+                const message = await client.fetchOne(uid, { source: { start: 0, maxLength: LIST_SOURCE_BYTES } }, { uid: true });
+                return message ? simpleParser(message.source) : null;
+            });
+
+            if (original) {
+                inReplyTo = original.messageId;
+                references = [...normalizeReferences(original.references), original.messageId].filter(Boolean).join(' ');
+                if (!subject) subject = original.subject;
+                if (subject && !/^re:/i.test(subject.trim())) subject = `Re: ${subject}`;
+            }
+        }
+
+        const from = account.name ? { name: account.name, email: account.email } : account.email;
+        const isHtml = looksLikeHtml(body);
+        const raw = buildMimeMessage({
+            from,
+            to,
+            cc,
+            bcc,
+            subject,
+            html: isHtml ? body : undefined,
+            text: isHtml ? undefined : body,
+            inReplyTo,
+            references,
+            attachments,
+        });
+
+        const recipients = [to, cc, bcc]
+            .flatMap(list => (Array.isArray(list) ? list : splitAddressList(String(list || ''))))
+            .map(addr => (typeof addr === 'object' ? addr.email : addr.match(/<([^>]+)>/)?.[1] || addr).trim())
+            .filter(Boolean);
+
+        // Bcc stays in the envelope only; strip it from the stored/delivered copy
+        const deliveredRaw = raw.replace(/^Bcc: .*\r\n(?:[ \t].*\r\n)*/m, '');
+        await createTransport(account).sendMail({
+            envelope: { from: account.email, to: recipients },
+            raw: deliveredRaw,
+        });
+
+        // Most servers don't file SMTP submissions in Sent automatically
+        const appended = await withMailbox(account, 'INBOX', async (client, { mailboxes }) => {
+            if (!mailboxes.SENT) return null;
+            const result = await client.append(mailboxes.SENT, deliveredRaw, ['\\Seen']);
+            return result?.uid ? encodeId(mailboxes.SENT, result.uid) : null;
+        });
+
+        const rfcMessageId = deliveredRaw.match(/^Message-ID: (.*)$/m)?.[1]?.trim();
+        return {
+            id: appended,
+            threadId: encodeThreadId(references?.split(' ')[0] || rfcMessageId),
+            labels: ['SENT'],
+        };
+    }
+
+    async function count(label = 'INBOX') {
+        const { client, mailboxes } = await getConnection(account);
+        const status = await client.status(mailboxes[label] || label, { messages: true });
+        return status.messages || 0;
+    }
+
+    async function getAttachment(emailId, attachmentId) {
+        const { mailbox, uid } = decodeId(emailId);
+
+        return withMailbox(account, mailbox, async (client) => {
+            const message = await client.fetchOne(uid, { source: true }, { uid: true });
+            if (!message) throw new Error('Email not found');
+
+            const parsed = await simpleParser(message.source);
+            const attachment = parsed.attachments?.[Number(attachmentId)];
+            if (!attachment) throw new Error('Attachment not found');
+
+            return {
+                filename: attachment.filename || 'attachment',
+                mimeType: attachment.contentType || 'application/octet-stream',
+                size: attachment.content.length,
+                attachmentId,
+                contentId: attachment.contentId?.replace(/^<|>$/g, '') || null,
+                inline: attachment.contentDisposition === 'inline',
+                content: attachment.content,
+            };
+        });
+    }
+
+    /**
+     * Hold a dedicated connection in IDLE on INBOX and report new messages.
+     * Reconnects after drops until the returned watcher is stopped.
+     */
+    async function watch(onChange) {
+        let stopped = false;
+        let client = null;
+        let retryTimer = null;
+
+        async function start() {
+            client = createClient(account);
+            client.on('error', (error) => {
+                console.error(`IMAP watch error (${account.email}):`, error.message);
+            });
+            client.on('close', () => {
+                if (!stopped) retryTimer = setTimeout(() => start().catch(() => { }), WATCH_RECONNECT_MS);
+            });
+
+            client.on('exists', async ({ path, count: total, prevCount }) => {
+                if (total <= prevCount) return;
+                try {
+                    const uids = [];
+                    for await (const message of client.fetch(`${prevCount + 1}:${total}`, { uid: true })) {
+                        uids.push(message.uid);
+                    }
+                    const emails = await fetchEmails(client, uids, { path, label: 'INBOX' }, { includeBody: true });
+                    if (emails.length) onChange({ type: 'new', emails });
+                } catch (error) {
+                    console.error(`IMAP watch fetch failed (${account.email}):`, error.message);
+                }
+            });
+
+            await client.connect();
+            // ImapFlow enters IDLE automatically once the mailbox is open and quiet
+            await client.mailboxOpen('INBOX');
+        }
+
+        await start();
+
+        return {
+            stop() {
+                stopped = true;
+                clearTimeout(retryTimer);
+                return client?.logout().catch(() => { });
+            },
+        };
+    }
+
+    /**
+     * Check both IMAP login and SMTP auth (used when connecting an account)
+     */
+    async function verify() {
+        const client = createClient(account);
+        await client.connect();
+        await client.logout();
+        await createTransport(account).verify();
+        return true;
+    }
+
+    return {
+        type: 'imap',
+        list,
+        get,
+        getThread,
+        search,
+        modify,
+        trash,
+        send,
+        count,
+        getAttachment,
+        watch,
+        verify,
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * Mail Providers - Provider-neutral mailbox access
+ *
+ * Routes, the webhook and AI tools talk to a MailProvider instead of a specific
+ * backend. Every provider returns emails in the same shape (see gmail.parseMessage).
+ */
+
+import { createGmailProvider } from './gmail.js';
+import { createImapProvider } from './imap.js';
+import { withMessageCache } from './cached.js';
+import { withLabelNames } from './labeled.js';
+import { getGoogleCredentials } from '../services/credentials.js';
+
+/**
+ * @typedef {Object} MailProvider
+ * @property {'gmail'|'imap'} type
+ * @property {(options?: Object) => Promise<{emails: Object[], nextPageToken?: string, resultSizeEstimate?: number}>} list
+ *   options.folder is 'inbox' (default) or 'sent'; supports the /mail/inbox filters
+ * @property {(emailId: string) => Promise<Object>} get - Single email with body and attachments
+ * @property {(threadId: string) => Promise<Object[]>} getThread - Messages oldest first
+ * @property {(query: string, maxResults?: number, pageToken?: string) => Promise<{emails: Object[], nextPageToken?: string}>} search
+ *   Gmail-style query syntax
+ * @property {(emailId: string, changes: {add?: string[], remove?: string[]}) => Promise<string[]>} modify
+ *   Add/remove labels (UNREAD, STARRED, ...), returns the resulting labels
+ * @property {(emailIds: string[], changes: {add?: string[], remove?: string[]}) => Promise<boolean>} [batchModify]
+ *   Same label changes for many messages in one call; all or nothing
+ * @property {(emailId: string) => Promise<boolean>} trash
+ * @property {(emailId: string) => Promise<string[]>} [untrash] - Restore from trash, returns the labels
+ * @property {(message: Object) => Promise<{id: string, threadId: string, labels: string[]}>} send
+ *   message: { to, cc, bcc, subject, body, replyToId, attachments }
+ * @property {(label?: string) => Promise<number>} count
+ * @property {(emailId: string, attachmentId: string) => Promise<Object>} [getAttachment]
+ * @property {(onChange: Function) => Promise<Object>} watch
+ *   Start change notification. Gmail registers a Pub/Sub watch (changes arrive on the
+ *   webhook); IMAP holds an IDLE connection and calls onChange({ type, emails }).
+ * @property {Object} [labels] - Label management (list/get/create/update/delete), only where
+ *   the backend has its own labels. Labels look like { id, name, type, color, messagesTotal? }.
+ * @property {Object} [drafts] - Server-side drafts, only where the backend supports them
+ */
+
+export const PROVIDER_TYPES = ['gmail', 'imap'];
+
+/**
+ * Build a provider for a User document. Credentials always come from the
+ * database, never from the JWT.
+ *
+ * @returns {MailProvider}
+ */
+export function getMailProvider(account) {
+    const type = account.provider || 'gmail';
+
+    if (type === 'imap') {
+        if (!account.imap?.host) {
+            throw new Error('IMAP account is not configured');
+        }
+        return createImapProvider({
+            email: account.email,
+            name: account.name,
+            imap: account.imap,
+            smtp: account.smtp,
+        });
+    }
+
+    return createGmailProvider(getGoogleCredentials(account));
+}
+
+/**
+ * The provider routes and background work act through: reads go through the
+ * message cache where it's fresh, and emails carry label_names
+ *
+ * @returns {MailProvider}
+ */
+export function getUserMailProvider(account) {
+    return withLabelNames(withMessageCache(getMailProvider(account), account), account);
+}
+
+// Active IMAP IDLE watchers: email -> Promise<{ stop }>
+const watchers = new Map();
+
+/**
+ * Start a long-lived watcher for providers that push changes over a connection
+ * (IMAP IDLE). One watcher per user; repeated calls are no-ops.
+ */
+export function startWatching(email, provider, onChange) {
+    if (watchers.has(email)) return watchers.get(email);
+
+    const watcher = provider.watch(onChange).catch((error) => {
+        watchers.delete(email);
+        throw error;
+    });
+    watchers.set(email, watcher);
+    return watcher;
+}
+
+/**
+ * Stop a user's watcher (e.g. when their last SSE connection closes)
+ */
+export async function stopWatching(email) {
+    const watcher = watchers.get(email);
+    if (!watcher) return;
+
+    watchers.delete(email);
+    try {
+        await (await watcher).stop();
+    } catch (error) {
+        console.error(`Failed to stop watcher for ${email}:`, error.message);
+    }
+}
+
+export function isWatching(email) {
+    return watchers.has(email);
+}
@@ -0,0 +1,72 @@
+/**
+ * Labeled Provider - Adds label_names to every email a provider returns and keeps
+ * the label directory (services/labels.js) current when labels change
+ *
+ * Besides the MailProvider methods it offers:
+ *   describeLabels(emails) - add label_names to emails from elsewhere (history records)
+ *   resolveLabels(values, { create }) - label names or ids to ids
+ */
+
+import {
+    addLabelNames,
+    resolveLabelIds,
+    invalidateLabelDirectory,
+} from '../services/labels.js';
+
+/**
+ * @param {import('./index.js').MailProvider} provider
+ * @param {Object} user - User document (keys the label directory)
+ * @returns {import('./index.js').MailProvider}
+ */
+export function withLabelNames(provider, user) {
+    const describeLabels = (emails) => addLabelNames(provider, user._id, emails);
+
+    async function describePage(page) {
+        return { ...page, emails: await describeLabels(page.emails) };
+    }
+
+    // Write through, then drop the cached directory so names resolve again
+    function invalidating(method) {
+        return async (...args) => {
+            const result = await method(...args);
+            invalidateLabelDirectory(user._id);
+            return result;
+        };
+    }
+
+    return {
+        ...provider,
+
+        async list(options) {
+            return describePage(await provider.list(options));
+        },
+
+        async search(query, maxResults, pageToken) {
+            return describePage(await provider.search(query, maxResults, pageToken));
+        },
+
+        async get(emailId) {
+            const [email] = await describeLabels([await provider.get(emailId)]);
+            return email;
+        },
+
+        async getThread(threadId) {
+            return describeLabels(await provider.getThread(threadId));
+        },
+
+        ...(provider.labels && {
+            labels: {
+                ...provider.labels,
+                create: invalidating(provider.labels.create),
+                update: invalidating(provider.labels.update),
+                delete: invalidating(provider.labels.delete),
+            },
+        }),
+
+        describeLabels,
+
+        resolveLabels(values, options) {
+            return resolveLabelIds(provider, user._id, values, options);
+        },
+    };
+}
@@ -0,0 +1,102 @@
+/**
+ * Admin Routes - Operational endpoints for ADMIN_EMAILS users
+ */
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { DeadJob } from '../models/DeadJob.js';
+import { getQueueStats, retryDeadJob } from '../services/queue.js';
+
+const router = Router();
+
+function isValidId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+}
+
+/**
+ * GET /admin/jobs - Queue depth and dead-letter count
+ */
+router.get('/jobs', async (req, res) => {
+    try {
+        res.json(await getQueueStats());
+    } catch (error) {
+        console.error('Queue stats error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /admin/jobs/dead - Dead-lettered jobs, newest first
+ * Query: type, key, limit (max 100), before (ISO date, for paging)
+ */
+router.get('/jobs/dead', async (req, res) => {
+    try {
+        const { type, key, before } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const filter = {};
+        if (type) filter.type = type;
+        if (key) filter.key = key;
+        if (before) filter.failedAt = { $lt: new Date(before) };
+
+        const [jobs, total] = await Promise.all([
+            DeadJob.find(filter).sort({ failedAt: -1 }).limit(limit).lean(),
+            DeadJob.countDocuments(filter),
+        ]);
+
+        res.json({ jobs, total });
+    } catch (error) {
+        console.error('Dead jobs error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /admin/jobs/dead/:id - A single dead-lettered job
+ */
+router.get('/jobs/dead/:id', async (req, res) => {
+    try {
+        const job = isValidId(req.params.id) && await DeadJob.findById(req.params.id).lean();
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(job);
+    } catch (error) {
+        console.error('Dead job error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /admin/jobs/dead/:id/retry - Requeue a dead job with fresh attempts
+ */
+router.post('/jobs/dead/:id/retry', async (req, res) => {
+    try {
+        const job = isValidId(req.params.id) && await retryDeadJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true, job_id: job._id });
+    } catch (error) {
+        console.error('Retry job error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /admin/jobs/dead/:id - Discard a dead job
+ */
+router.delete('/jobs/dead/:id', async (req, res) => {
+    try {
+        const result = isValidId(req.params.id) && await DeadJob.deleteOne({ _id: req.params.id });
+        if (!result?.deletedCount) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete job error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
@@ -6,6 +6,8 @@ import { Router } from 'express';
 import { processMessage, processMessageStream, AI_TOOLS } from '../services/ai.js';
 import { Conversation } from '../models/Conversation.js';
 import { User } from '../database.js';
+import { askMailbox } from '../services/mailboxQA.js';
+import { listModelChoices, getLLM } from '../services/llm.js';
 
 const router = Router();
 
@@ -175,7 +177,7 @@ router.post('/chat', async (req, res) => {
         }));
 
         // 4. Process with AI
-        const result = await processMessage(message, context, historyForAI);
+        const result = await processMessage(message, context, historyForAI, { provider: req.mail, user: req.account });
 
         // 5. Add AI response
         conversation.messages.push({
@@ -191,6 +193,7 @@ router.post('/chat', async (req, res) => {
         res.json({
             response: result.response,
             tool_calls: result.tool_calls,
+            steps: result.steps,
             conversationId: conversation._id,
             title: conversation.title
         });
@@ -299,7 +302,7 @@ router.post('/chat/stream', async (req, res) => {
             content: m.content
         }));
 
-        const stream = processMessageStream(message, context, historyForAI);
+        const stream = processMessageStream(message, context, historyForAI, { provider: req.mail, user: req.account });
 
         let fullResponse = '';
         let toolCalls = [];
@@ -340,6 +343,24 @@ router.post('/chat/stream', async (req, res) => {
     }
 });
 
+// POST /assistant/ask - Answer a question from the user's mail, citing the emails used
+// Body: { question, query? (Gmail query to search instead of the question's keywords) }
+// The answer marks statements with [message id]; citations lists those emails.
+router.post('/ask', async (req, res) => {
+    try {
+        const { question, query } = req.body;
+
+        if (!question) {
+            return res.status(400).json({ error: 'question is required' });
+        }
+
+        res.json(await askMailbox(req.account, req.mail, question, { query }));
+    } catch (error) {
+        console.error('Ask mailbox error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET /assistant/tools - Get available tools
 router.get('/tools', (req, res) => {
     const tools = AI_TOOLS.map(tool => ({
@@ -351,4 +372,15 @@ router.get('/tools', (req, res) => {
     res.json({ tools });
 });
 
+// GET /assistant/models - Models the user can pick (PATCH /auth/me { model }) and the one in use
+router.get('/models', (req, res) => {
+    try {
+        const { provider, model } = getLLM(req.account);
+        res.json({ models: listModelChoices(), current: `${provider.id}:${model}` });
+    } catch (error) {
+        console.error('List models error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 export default router;
@@ -1,10 +1,24 @@
 /**
- * Auth Routes - Google OAuth flow
+ * Auth Routes - Google OAuth flow and session lifecycle
  */
 
 import { Router } from 'express';
-import { getAuthUrl, getTokensFromCode, getUserInfo } from '../services/gmail.js';
-import { createToken, authMiddleware } from '../middleware/auth.js';
+import { getAuthUrl, getTokensFromCode, getUserInfo, revokeGoogleGrant } from '../services/gmail.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { providerMiddleware } from '../middleware/provider.js';
+import { getMailProvider, startWatching, stopWatching } from '../providers/index.js';
+import { getGoogleCredentials } from '../services/credentials.js';
+import {
+    createSession,
+    refreshSession,
+    listSessions,
+    revokeSession,
+    revokeUserSessions,
+} from '../services/sessions.js';
+import { sendToUser, closeSessionConnections } from '../services/sse.js';
+import { isValidTimeZone } from '../services/naturalTime.js';
+import { findModelChoice } from '../services/llm.js';
+import { checkMailServer, allowsSelfSigned } from '../services/mailServers.js';
 import { User } from '../database.js';
 import config from '../config.js';
 
@@ -31,6 +45,15 @@ router.get('/callback', async (req, res) => {
         // Get user info
         const userInfo = await getUserInfo(tokens.access_token);
 
+        // An IMAP sign-in never proved it owns this address; Google just did. Drop the
+        // IMAP record so the new account starts clean (its data stays keyed to the old id).
+        const squatter = await User.findOne({ email: userInfo.email, provider: 'imap' });
+        if (squatter) {
+            console.warn(`⚠️ Replacing unverified IMAP account for ${userInfo.email} with Google sign-in`);
+            await revokeUserSessions(squatter._id, { reason: 'replaced' });
+            await User.deleteOne({ _id: squatter._id });
+        }
+
         // Upsert user in database
         const user = await User.findOneAndUpdate(
             { email: userInfo.email },
@@ -38,25 +61,30 @@ router.get('/callback', async (req, res) => {
                 email: userInfo.email,
                 name: userInfo.name,
                 picture: userInfo.picture,
+                provider: 'gmail',
                 googleAccessToken: tokens.access_token,
-                googleRefreshToken: tokens.refresh_token,
+                // Google omits refresh_token on re-consent sometimes; keep the stored one
+                ...(tokens.refresh_token && { googleRefreshToken: tokens.refresh_token }),
+                googleTokenExpiry: tokens.expiry_date,
+                // A fresh grant lets the renewal job retry users it gave up on
+                $unset: { watchStatus: 1, watchError: 1 },
+                watchFailures: 0,
                 updatedAt: new Date(),
             },
             { upsert: true, new: true }
         );
 
-        // Create JWT
-        const jwtToken = createToken({
-            sub: userInfo.email,
-            userId: user._id, // Add userId to token
-            name: userInfo.name,
-            picture: userInfo.picture,
-            googleAccessToken: tokens.access_token,
-            googleRefreshToken: tokens.refresh_token,
-        });
+        // Start a session - tokens carry only ids, credentials stay in the database
+        const session = await createSession(user._id, req);
 
-        // Redirect to frontend with token
-        res.redirect(`${config.frontendUrl}/auth/success?token=${jwtToken}`);
+        // Redirect to frontend with tokens in the fragment, which browsers don't send
+        // to servers or put in Referer headers
+        const params = new URLSearchParams({
+            token: session.access_token,
+            refresh_token: session.refresh_token,
+            expires_in: String(session.expires_in),
+        });
+        res.redirect(`${config.frontendUrl}/auth/success#${params}`);
 
     } catch (error) {
         console.error('OAuth callback error:', error);
@@ -64,21 +92,279 @@ router.get('/callback', async (req, res) => {
     }
 });
 
+function sameMailServer(stored, requested) {
+    return stored?.host?.toLowerCase() === requested.host.toLowerCase() && stored.user === requested.user;
+}
+
+// POST /auth/imap - Sign in with an IMAP/SMTP account (Fastmail, Exchange IMAP, self-hosted)
+// An address already signed up with Google, or with a different IMAP server or login,
+// can't be claimed here: the mail server only proves the password, not the address.
+router.post('/imap', async (req, res) => {
+    try {
+        const { name, password, imap = {}, smtp = {} } = req.body;
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+        if (!email || !password || !imap.host || !smtp.host) {
+            return res.status(400).json({ error: 'email, password, imap.host and smtp.host are required' });
+        }
+
+        const refused = await checkMailServer(imap, 'imap') || await checkMailServer(smtp, 'smtp');
+        if (refused) {
+            return res.status(400).json({ error: refused });
+        }
+
+        const account = {
+            provider: 'imap',
+            email,
+            name,
+            imap: {
+                host: imap.host,
+                port: imap.port,
+                secure: imap.secure,
+                user: imap.user || email,
+                password: imap.password || password,
+                allowSelfSigned: allowsSelfSigned(imap.allowSelfSigned),
+            },
+            smtp: {
+                host: smtp.host,
+                port: smtp.port,
+                secure: smtp.secure,
+                user: smtp.user || imap.user || email,
+                password: smtp.password || password,
+                allowSelfSigned: allowsSelfSigned(smtp.allowSelfSigned),
+            },
+        };
+
+        const existing = await User.findOne({ email });
+        if (existing && (existing.provider !== 'imap' || !sameMailServer(existing.imap, account.imap))) {
+            return res.status(409).json({ error: 'This address is already registered with another sign-in method' });
+        }
+
+        try {
+            await getMailProvider(account).verify();
+        } catch (error) {
+            console.error('IMAP sign-in failed:', error.message);
+            return res.status(401).json({ error: `Could not sign in to mail server: ${error.message}` });
+        }
+
+        // Matching on provider and server too: if the address changed hands since the check,
+        // the update finds nothing and the insert hits the unique email index
+        const user = existing
+            ? await User.findOneAndUpdate(
+                { _id: existing._id, provider: 'imap', 'imap.host': existing.imap.host, 'imap.user': existing.imap.user },
+                { ...account, updatedAt: new Date() },
+                { new: true }
+            )
+            : await User.create(account);
+        if (!user) {
+            return res.status(409).json({ error: 'This address is already registered with another sign-in method' });
+        }
+
+        const session = await createSession(user._id, req);
+
+        res.json({ token: session.access_token, ...session });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'This address is already registered with another sign-in method' });
+        }
+        console.error('IMAP sign-in error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /auth/refresh - Exchange a refresh token for new tokens (rotates the refresh token)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+
+        if (!refresh_token) {
+            return res.status(400).json({ error: 'refresh_token is required' });
+        }
+
+        const session = await refreshSession(refresh_token, req);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json({ token: session.access_token, ...session });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /auth/logout - End the current session (protected)
+// Body: { revoke_google: true } also revokes the Google grant and signs out every device
+router.post('/logout', authMiddleware, async (req, res) => {
+    try {
+        const { userId, sessionId } = req.user;
+        const user = req.account;
+
+        if (req.body?.revoke_google && user.provider !== 'imap') {
+            const credentials = getGoogleCredentials(user);
+
+            try {
+                await getMailProvider(user).unwatch?.();
+            } catch (error) {
+                console.error('Failed to stop Gmail watch:', error.message);
+            }
+
+            try {
+                await revokeGoogleGrant(credentials);
+            } catch (error) {
+                // Already revoked on Google's side is fine; we still forget the tokens
+                console.error('Google grant revocation error:', error.message);
+            }
+
+            await User.updateOne(
+                { _id: userId },
+                {
+                    $unset: { googleAccessToken: 1, googleRefreshToken: 1, googleTokenExpiry: 1, watchExpiration: 1 },
+                    updatedAt: new Date(),
+                }
+            );
+
+            const revoked = await revokeUserSessions(userId, { reason: 'google_revoked' });
+            closeSessionConnections(revoked);
+            await stopWatching(user.email);
+
+            return res.json({ success: true, sessions_revoked: revoked.length, google_revoked: true });
+        }
+
+        await revokeSession(sessionId, 'logout');
+        closeSessionConnections([sessionId]);
+
+        res.json({ success: true, sessions_revoked: 1 });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /auth/sessions - List active sessions for the current user (protected)
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.userId);
+
+        res.json({
+            sessions: sessions.map(session => ({
+                id: session._id,
+                device: session.device,
+                ip: session.ip,
+                created_at: session.createdAt,
+                last_used_at: session.lastUsedAt,
+                current: String(session._id) === String(req.user.sessionId),
+            })),
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /auth/sessions/revoke-others - Sign out every other device (protected)
+router.post('/sessions/revoke-others', authMiddleware, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user.userId, {
+            keepSessionId: req.user.sessionId,
+            reason: 'signed_out_elsewhere',
+        });
+        closeSessionConnections(revoked);
+
+        res.json({ success: true, sessions_revoked: revoked.length });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /auth/sessions/:id - Sign out a single device (protected)
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.userId);
+        const session = sessions.find(s => String(s._id) === req.params.id);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await revokeSession(session._id, 'signed_out_elsewhere');
+        closeSessionConnections([session._id]);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET /auth/me - Get current user info (protected)
 router.get('/me', authMiddleware, (req, res) => {
     res.json({
         email: req.user.sub,
         name: req.user.name,
         picture: req.user.picture,
+        provider: req.user.provider || 'gmail',
+        timezone: req.account.timezone || null,
+        // The user's pick; null means the deployment default (see GET /assistant/models)
+        model: req.account.llm?.provider ? `${req.account.llm.provider}:${req.account.llm.model}` : null,
     });
 });
 
-// POST /auth/watch - Register Gmail push notifications (protected)
-router.post('/watch', authMiddleware, async (req, res) => {
+// PATCH /auth/me - Update preferences (protected). Body: { timezone?: IANA zone, e.g. "Europe/Berlin",
+// model?: "provider:model" from GET /assistant/models, or null for the default }
+router.patch('/me', authMiddleware, async (req, res) => {
+    try {
+        const { timezone, model } = req.body;
+        if (timezone === undefined && model === undefined) {
+            return res.status(400).json({ error: 'Nothing to update: send timezone and/or model' });
+        }
+
+        const update = { updatedAt: new Date() };
+
+        if (timezone !== undefined) {
+            if (!isValidTimeZone(timezone)) {
+                return res.status(400).json({ error: 'timezone must be an IANA timezone such as "America/New_York"' });
+            }
+            update.timezone = timezone;
+        }
+
+        if (model === null) {
+            update.$unset = { llm: 1 };
+        } else if (model !== undefined) {
+            const choice = findModelChoice(model);
+            if (!choice) {
+                return res.status(400).json({ error: 'model must be one of the choices from GET /assistant/models' });
+            }
+            update.llm = choice;
+        }
+
+        await User.updateOne({ _id: req.account._id }, update);
+        res.json({
+            success: true,
+            ...(timezone !== undefined && { timezone }),
+            ...(model !== undefined && { model }),
+        });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /auth/watch - Register push notifications (protected)
+router.post('/watch', authMiddleware, providerMiddleware, async (req, res) => {
     try {
-        const { registerGmailWatch } = await import('../services/push.js');
+        // IMAP pushes over an IDLE connection held while the user is connected to /events
+        if (req.mail.type === 'imap') {
+            const email = req.user.sub;
+            await startWatching(email, req.mail, ({ emails }) => {
+                sendToUser(email, 'email:new', { count: emails.length, emails });
+            });
+            return res.json({ success: true, provider: 'imap' });
+        }
 
-        const user = await User.findOne({ email: req.user.sub });
+        const user = req.account;
 
         // Optimization #5: Check if watch is still valid (buffer 1 hour)
         const now = Date.now();
@@ -94,17 +380,16 @@ router.post('/watch', authMiddleware, async (req, res) => {
             });
         }
 
-        const result = await registerGmailWatch(
-            req.user.googleAccessToken,
-            req.user.googleRefreshToken
-        );
+        const result = await req.mail.watch();
 
         // Update DB
-        await User.findOneAndUpdate(
-            { email: req.user.sub },
+        await User.updateOne(
+            { _id: user._id },
             {
                 watchExpiration: result.expiration,
-                lastHistoryId: result.historyId
+                lastHistoryId: result.historyId,
+                lastHistoryAt: new Date(),
+                watchStatus: 'active',
             }
         );
 
@@ -3,18 +3,154 @@
  */
 
 import { Router } from 'express';
-import * as gmail from '../services/gmail.js';
+import crypto from 'crypto';
+import { Readable, pipeline } from 'stream';
+import multer from 'multer';
+import {
+    BATCH_ACTIONS,
+    MAX_BATCH_MESSAGES,
+    getBatchChanges,
+    supportsAction,
+    findBatchIds,
+    runBatch,
+} from '../services/batch.js';
+import { sendToUser } from '../services/sse.js';
+import { parseFutureTime, resolveTimeZone } from '../services/naturalTime.js';
+import {
+    MAX_SCHEDULED_ATTACHMENT_BYTES,
+    scheduleSend,
+    listScheduledSends,
+    getScheduledSend,
+    rescheduleSend,
+    cancelScheduledSend,
+    toScheduledResponse,
+} from '../services/scheduledSend.js';
+import {
+    supportsSnooze,
+    snoozeThread,
+    listSnoozes,
+    unsnoozeThread,
+    toSnoozeResponse,
+} from '../services/snooze.js';
+import { getThreadSummary } from '../services/threadSummary.js';
+import {
+    TRIAGE_CATEGORIES,
+    MAX_PRIORITY,
+    attachTriage,
+    listTriagedInbox,
+    correctTriage,
+    toTriage,
+} from '../services/triage.js';
+import {
+    MAX_SEMANTIC_RESULTS,
+    isSemanticSearchEnabled,
+    isBackfilled,
+    requestEmbeddingBackfill,
+    semanticSearch,
+} from '../services/semanticIndex.js';
 
 const router = Router();
 
+// Gmail rejects messages over 25MB, so cap uploads there
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// Views besides inbox and sent, as Gmail queries
+const FOLDER_QUERIES = {
+    starred: 'is:starred',
+    important: 'is:important',
+    all: '',
+    spam: 'in:spam',
+    trash: 'in:trash',
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    // Browsers send non-ASCII filenames as raw UTF-8
+    defParamCharset: 'utf8',
+    limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 20 },
+});
+
+function uploadAttachments(req, res, next) {
+    upload.array('attachments')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: error.message });
+        }
+        next(error);
+    });
+}
+
+/**
+ * Address fields arrive as arrays (JSON) or strings (form-data, possibly JSON-encoded)
+ */
+function parseAddressField(value) {
+    if (!value || Array.isArray(value)) return value;
+
+    const trimmed = String(value).trim();
+    if (trimmed.startsWith('[')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            // fall through to comma-separated handling
+        }
+    }
+    return trimmed;
+}
+
+/**
+ * Read compose fields (to/cc/bcc/subject/body/reply_to_message_id + uploaded files)
+ * shared by send and drafts
+ */
+function parseComposeRequest(req) {
+    const { subject, body, reply_to_message_id } = req.body;
+
+    const attachments = (req.files || []).map(file => ({
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        content: file.buffer,
+    }));
+
+    const totalSize = attachments.reduce((sum, a) => sum + a.content.length, 0);
+    if (totalSize > MAX_ATTACHMENT_BYTES) {
+        return { status: 413, error: 'Attachments exceed the 25MB limit' };
+    }
+
+    return {
+        options: {
+            to: parseAddressField(req.body.to),
+            cc: parseAddressField(req.body.cc),
+            bcc: parseAddressField(req.body.bcc),
+            subject,
+            body: body || '',
+            replyToId: reply_to_message_id,
+            attachments,
+        },
+    };
+}
+
+function parseCategories(value) {
+    return value ? String(value).split(',').map(category => category.trim()).filter(Boolean) : [];
+}
+
 // GET /mail/inbox - Get inbox emails
+// Page with page_token, or by date with before=<ISO date> (emails strictly older)
+// Emails carry `triage` once classified. ?category=needs_reply,fyi and/or ?sort=priority
+// list only classified mail, from the triage store (Gmail only)
 router.get('/inbox', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
+        const categories = parseCategories(req.query.category);
+        const invalid = categories.filter(category => !TRIAGE_CATEGORIES.includes(category));
+        if (invalid.length) {
+            return res.status(400).json({ error: `Unknown categories: ${invalid.join(', ')}. Use: ${TRIAGE_CATEGORIES.join(', ')}` });
+        }
+        if (req.query.sort && !['date', 'priority'].includes(req.query.sort)) {
+            return res.status(400).json({ error: 'sort must be date or priority' });
+        }
 
         const options = {
             maxResults: parseInt(req.query.max_results) || 20,
             pageToken: req.query.page_token,
+            before: req.query.before,
             from_address: req.query.from_address,
             after_date: req.query.after_date,
             before_date: req.query.before_date,
@@ -25,7 +161,23 @@ router.get('/inbox', async (req, res) => {
         console.log(`📥 Fetching inbox (max: ${options.maxResults})...`);
         const start = Date.now();
 
-        const result = await gmail.getInbox(googleAccessToken, googleRefreshToken, options);
+        let result;
+        if (categories.length || req.query.sort === 'priority') {
+            if (req.mail.type !== 'gmail') {
+                return res.status(501).json({ error: `Triage filters are not supported for ${req.mail.type} accounts` });
+            }
+            result = await listTriagedInbox(req.account, {
+                categories,
+                sort: req.query.sort,
+                is_unread: options.is_unread,
+                maxResults: options.maxResults,
+                pageToken: options.pageToken,
+            });
+            result.emails = await req.mail.describeLabels(result.emails);
+        } else {
+            result = await req.mail.list(options);
+            result.emails = await attachTriage(req.account._id, result.emails);
+        }
 
         const duration = Date.now() - start;
         const payloadSize = JSON.stringify(result).length;
@@ -43,10 +195,9 @@ router.get('/inbox', async (req, res) => {
 // GET /mail/count - Get total email count for pagination
 router.get('/count', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
         const label = req.query.label || 'INBOX';
 
-        const count = await gmail.getEmailCount(googleAccessToken, googleRefreshToken, label);
+        const count = await req.mail.count(label);
         res.json({ count, label });
     } catch (error) {
         console.error('Get email count error:', error);
@@ -57,14 +208,14 @@ router.get('/count', async (req, res) => {
 // GET /mail/sent - Get sent emails
 router.get('/sent', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
-
         const options = {
+            folder: 'sent',
             maxResults: parseInt(req.query.max_results) || 20,
             pageToken: req.query.page_token,
+            before: req.query.before,
         };
 
-        const result = await gmail.getSent(googleAccessToken, googleRefreshToken, options);
+        const result = await req.mail.list(options);
         res.json(result);
 
     } catch (error) {
@@ -76,7 +227,6 @@ router.get('/sent', async (req, res) => {
 // GET /mail/search - Search emails
 router.get('/search', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
         const query = req.query.q;
 
         if (!query) {
@@ -84,7 +234,7 @@ router.get('/search', async (req, res) => {
         }
 
         const maxResults = parseInt(req.query.max_results) || 20;
-        const result = await gmail.searchEmails(googleAccessToken, googleRefreshToken, query, maxResults);
+        const result = await req.mail.search(query, maxResults, req.query.page_token);
         res.json(result);
 
     } catch (error) {
@@ -93,13 +243,369 @@ router.get('/search', async (req, res) => {
     }
 });
 
+// GET /mail/semantic-search - Find emails by meaning ("the vendor apologising for the delay")
+// Query: q, max_results (max 50). The first search starts building the index for older
+// mail; until it's done (indexing: true) only recent arrivals are searched.
+router.get('/semantic-search', async (req, res) => {
+    try {
+        if (!isSemanticSearchEnabled()) {
+            return res.status(501).json({ error: 'Semantic search is not enabled' });
+        }
+
+        const query = req.query.q;
+        if (!query) {
+            return res.status(400).json({ error: 'Query parameter q is required' });
+        }
+
+        const indexing = !isBackfilled(req.account);
+        if (indexing) await requestEmbeddingBackfill(req.account);
+
+        const limit = Math.min(parseInt(req.query.max_results) || 10, MAX_SEMANTIC_RESULTS);
+        const emails = await semanticSearch(req.account, query, { limit });
+        res.json({ query, emails, indexing });
+
+    } catch (error) {
+        console.error('Semantic search error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /mail/folders/:folder - List starred, important, all, spam or trash
+router.get('/folders/:folder', async (req, res) => {
+    try {
+        const query = FOLDER_QUERIES[req.params.folder];
+        if (query === undefined) {
+            return res.status(404).json({ error: `Unknown folder. Use one of: ${Object.keys(FOLDER_QUERIES).join(', ')}` });
+        }
+        if (req.mail.type !== 'gmail' && req.params.folder !== 'starred') {
+            return res.status(501).json({ error: `The ${req.params.folder} folder is not supported for ${req.mail.type} accounts` });
+        }
+
+        const maxResults = parseInt(req.query.max_results) || 20;
+        const result = await req.mail.search(query, maxResults, req.query.page_token);
+        res.json(result);
+
+    } catch (error) {
+        console.error('Get folder error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Drafts only exist where the provider stores them server-side
+router.use('/drafts', (req, res, next) => {
+    if (!req.mail.drafts) {
+        return res.status(501).json({ error: `Drafts are not supported for ${req.mail.type} accounts` });
+    }
+    next();
+});
+
+// GET /mail/drafts - List drafts
+router.get('/drafts', async (req, res) => {
+    try {
+        const options = {
+            maxResults: parseInt(req.query.max_results) || 20,
+            pageToken: req.query.page_token,
+            query: req.query.query,
+        };
+
+        const result = await req.mail.drafts.list(options);
+        res.json(result);
+
+    } catch (error) {
+        console.error('List drafts error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /mail/drafts/:id - Get a single draft with body
+router.get('/drafts/:id', async (req, res) => {
+    try {
+        const draft = await req.mail.drafts.get(req.params.id);
+        res.json(draft);
+
+    } catch (error) {
+        console.error('Get draft error:', error);
+        res.status(404).json({ error: 'Draft not found' });
+    }
+});
+
+// POST /mail/drafts - Create a draft
+router.post('/drafts', uploadAttachments, async (req, res) => {
+    try {
+        const { options, status, error } = parseComposeRequest(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const draft = await req.mail.drafts.create(options);
+        res.status(201).json(draft);
+
+    } catch (error) {
+        console.error('Create draft error:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// PUT /mail/drafts/:id - Replace a draft's content
+router.put('/drafts/:id', uploadAttachments, async (req, res) => {
+    try {
+        const { options, status, error } = parseComposeRequest(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const draft = await req.mail.drafts.update(req.params.id, options);
+        res.json(draft);
+
+    } catch (error) {
+        console.error('Update draft error:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// DELETE /mail/drafts/:id - Discard a draft
+router.delete('/drafts/:id', async (req, res) => {
+    try {
+        await req.mail.drafts.delete(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST /mail/drafts/:id/send - Send an existing draft
+router.post('/drafts/:id/send', async (req, res) => {
+    try {
+        const email = await req.mail.drafts.send(req.params.id);
+        res.json(email);
+
+    } catch (error) {
+        console.error('Send draft error:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Label management only exists where the provider has its own labels
+router.use('/labels', (req, res, next) => {
+    if (!req.mail.labels) {
+        return res.status(501).json({ error: `Labels are not supported for ${req.mail.type} accounts` });
+    }
+    next();
+});
+
+function labelErrorStatus(error) {
+    const status = error.code || error.response?.status;
+    return [404, 409].includes(status) ? status : 400;
+}
+
+// GET /mail/labels - List system and user labels with their colors
+router.get('/labels', async (req, res) => {
+    try {
+        const labels = await req.mail.labels.list();
+        res.json({ labels });
+
+    } catch (error) {
+        console.error('List labels error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /mail/labels/:id - Single label with message counts
+router.get('/labels/:id', async (req, res) => {
+    try {
+        const label = await req.mail.labels.get(req.params.id);
+        res.json(label);
+
+    } catch (error) {
+        console.error('Get label error:', error);
+        res.status(404).json({ error: 'Label not found' });
+    }
+});
+
+// POST /mail/labels - Create a label
+// Body: { name, color?: { textColor, backgroundColor } } (colors from Gmail's palette)
+router.post('/labels', async (req, res) => {
+    try {
+        const { name, color } = req.body;
+        if (!name?.trim()) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+
+        const label = await req.mail.labels.create({ name: name.trim(), color });
+        res.status(201).json(label);
+
+    } catch (error) {
+        console.error('Create label error:', error);
+        res.status(labelErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// PATCH /mail/labels/:id - Rename and/or recolor a label (color: null removes it)
+router.patch('/labels/:id', async (req, res) => {
+    try {
+        const { name, color } = req.body;
+        if (name === undefined && color === undefined) {
+            return res.status(400).json({ error: 'name or color is required' });
+        }
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({ error: 'name cannot be empty' });
+        }
+
+        const label = await req.mail.labels.update(req.params.id, {
+            name: name === undefined ? undefined : String(name).trim(),
+            color,
+        });
+        res.json(label);
+
+    } catch (error) {
+        console.error('Update label error:', error);
+        res.status(labelErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// DELETE /mail/labels/:id - Delete a label (messages stay, without it)
+router.delete('/labels/:id', async (req, res) => {
+    try {
+        await req.mail.labels.delete(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(labelErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+/**
+ * Read a scheduling time from the request: natural language or ISO, in the
+ * request's timezone, else the user's, else UTC
+ */
+function parseRequestTime(req, value) {
+    const timeZone = resolveTimeZone(req.body.timezone, req.account.timezone);
+    return { ...parseFutureTime(value, { timeZone }), timeZone };
+}
+
+// POST /mail/scheduled - Schedule an email (same fields as /mail/send, plus send_at and timezone)
+// send_at: "tomorrow at 9am", "monday 8:30", or an ISO date
+router.post('/scheduled', uploadAttachments, async (req, res) => {
+    try {
+        const { options, status, error } = parseComposeRequest(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (!options.to || (!options.subject && !options.replyToId)) {
+            return res.status(400).json({ error: 'to and subject are required' });
+        }
+        if (!req.body.send_at) {
+            return res.status(400).json({ error: 'send_at is required' });
+        }
+
+        const totalSize = options.attachments.reduce((sum, a) => sum + a.content.length, 0);
+        if (totalSize > MAX_SCHEDULED_ATTACHMENT_BYTES) {
+            return res.status(413).json({ error: 'Scheduled emails can carry at most 10MB of attachments' });
+        }
+
+        const { date, timeZone, error: timeError } = parseRequestTime(req, req.body.send_at);
+        if (timeError) {
+            return res.status(400).json({ error: timeError });
+        }
+
+        const scheduled = await scheduleSend(req.account, options, date, { timezone: timeZone });
+        res.status(201).json(toScheduledResponse(scheduled));
+
+    } catch (error) {
+        console.error('Schedule email error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /mail/scheduled - List scheduled emails (?status=scheduled|sent|failed|cancelled|all)
+router.get('/scheduled', async (req, res) => {
+    try {
+        const scheduled = await listScheduledSends(req.account, { status: req.query.status || 'scheduled' });
+        res.json({ scheduled: scheduled.map(toScheduledResponse) });
+    } catch (error) {
+        console.error('List scheduled error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /mail/scheduled/:id - Single scheduled email
+router.get('/scheduled/:id', async (req, res) => {
+    try {
+        const scheduled = await getScheduledSend(req.account, req.params.id);
+        if (!scheduled) {
+            return res.status(404).json({ error: 'Scheduled email not found' });
+        }
+        res.json(toScheduledResponse(scheduled));
+    } catch (error) {
+        console.error('Get scheduled error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /mail/scheduled/:id - Move a scheduled email. Body: { send_at, timezone? }
+router.patch('/scheduled/:id', async (req, res) => {
+    try {
+        const { date, error } = parseRequestTime(req, req.body.send_at);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const scheduled = await rescheduleSend(req.account, req.params.id, date);
+        if (!scheduled) {
+            return res.status(409).json({ error: 'Only emails that are still scheduled can be moved' });
+        }
+        res.json(toScheduledResponse(scheduled));
+    } catch (error) {
+        console.error('Reschedule error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /mail/scheduled/:id - Cancel a scheduled email
+router.delete('/scheduled/:id', async (req, res) => {
+    try {
+        const scheduled = await cancelScheduledSend(req.account, req.params.id);
+        if (!scheduled) {
+            return res.status(409).json({ error: 'Only emails that are still scheduled can be cancelled' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Cancel scheduled error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /mail/snoozed - Threads currently snoozed, soonest first
+router.get('/snoozed', async (req, res) => {
+    try {
+        const snoozes = await listSnoozes(req.account);
+        res.json({ snoozed: snoozes.map(toSnoozeResponse) });
+    } catch (error) {
+        console.error('List snoozed error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /mail/snoozed/:id - Unsnooze now (back to the inbox, email:unsnoozed is sent)
+router.delete('/snoozed/:id', async (req, res) => {
+    try {
+        const snooze = await unsnoozeThread(req.params.id, { status: 'cancelled', user: req.account });
+        if (!snooze) {
+            return res.status(404).json({ error: 'Snooze not found' });
+        }
+        res.json(toSnoozeResponse(snooze));
+    } catch (error) {
+        console.error('Unsnooze error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET /mail/:id - Get single email
 router.get('/:id', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
         const emailId = req.params.id;
 
-        const email = await gmail.getEmail(googleAccessToken, googleRefreshToken, emailId);
+        const [email] = await attachTriage(req.account._id, [await req.mail.get(emailId)]);
         res.json(email);
 
     } catch (error) {
@@ -108,13 +614,35 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// GET /mail/:id/attachments/:attachmentId - Download an attachment
+router.get('/:id/attachments/:attachmentId', async (req, res) => {
+    try {
+        const attachment = await req.mail.getAttachment(req.params.id, req.params.attachmentId);
+
+        const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+        res.setHeader('Content-Type', attachment.mimeType);
+        res.setHeader('Content-Length', attachment.size);
+        res.setHeader(
+            'Content-Disposition',
+            `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+        );
+
+        pipeline(Readable.from([attachment.content]), res, (error) => {
+            if (error) console.error('Attachment stream error:', error.message);
+        });
+
+    } catch (error) {
+        console.error('Get attachment error:', error);
+        res.status(404).json({ error: 'Attachment not found' });
+    }
+});
+
 // GET /mail/thread/:id - Get email thread
 router.get('/thread/:id', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
         const threadId = req.params.id;
 
-        const messages = await gmail.getThread(googleAccessToken, googleRefreshToken, threadId);
+        const messages = await req.mail.getThread(threadId);
         res.json(messages);
 
     } catch (error) {
@@ -123,25 +651,38 @@ router.get('/thread/:id', async (req, res) => {
     }
 });
 
-// POST /mail/send - Send email
-router.post('/send', async (req, res) => {
+// GET /mail/thread/:id/summary - AI summary of a thread, regenerated only after new mail (?refresh=true forces it)
+router.get('/thread/:id/summary', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
-        const { to, cc, bcc, subject, body, reply_to_message_id } = req.body;
+        const summary = await getThreadSummary(req.account, req.mail, req.params.id, {
+            refresh: req.query.refresh === 'true',
+        });
+        if (!summary) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
+        res.json(summary);
 
-        if (!to || !subject) {
-            return res.status(400).json({ error: 'to and subject are required' });
+    } catch (error) {
+        console.error('Thread summary error:', error);
+        const status = error.code || error.response?.status;
+        res.status(status === 404 ? 404 : 500).json({ error: status === 404 ? 'Thread not found' : 'Failed to summarize thread' });
+    }
+});
+
+// POST /mail/send - Send email (JSON, or multipart/form-data with `attachments` files)
+router.post('/send', uploadAttachments, async (req, res) => {
+    try {
+        const { options, status, error } = parseComposeRequest(req);
+        if (error) {
+            return res.status(status).json({ error });
         }
 
-        const email = await gmail.sendEmail(googleAccessToken, googleRefreshToken, {
-            to,
-            cc,
-            bcc,
-            subject,
-            body: body || '',
-            replyToId: reply_to_message_id,
-        });
+        // Replies inherit the original subject when none is given
+        if (!options.to || (!options.subject && !options.replyToId)) {
+            return res.status(400).json({ error: 'to and subject are required' });
+        }
 
+        const email = await req.mail.send(options);
         res.json(email);
 
     } catch (error) {
@@ -150,11 +691,66 @@ router.post('/send', async (req, res) => {
     }
 });
 
+// POST /mail/batch - Apply one action to many emails
+// Body: { ids?: string[], query?: string (Gmail syntax), action, add_labels?, remove_labels? }
+// (labels by name or id)
+// Progress goes to the user's /events stream as batch:progress { batch_id, processed, total, failed }
+router.post('/batch', async (req, res) => {
+    try {
+        const { ids, query, action, add_labels, remove_labels } = req.body;
+
+        if (!BATCH_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${BATCH_ACTIONS.join(', ')}` });
+        }
+        if (!supportsAction(req.mail, action)) {
+            return res.status(501).json({ error: `${action} is not supported for ${req.mail.type} accounts` });
+        }
+
+        const addLabels = await req.mail.resolveLabels(add_labels || []);
+        const removeLabels = await req.mail.resolveLabels(remove_labels || []);
+        const unknown = [...addLabels.unknown, ...removeLabels.unknown];
+        if (unknown.length) {
+            return res.status(400).json({ error: `Unknown labels: ${unknown.join(', ')}` });
+        }
+
+        const changes = getBatchChanges(action, { addLabels: addLabels.ids, removeLabels: removeLabels.ids });
+        if (!changes) {
+            return res.status(400).json({ error: 'label action requires add_labels or remove_labels' });
+        }
+
+        if (!Array.isArray(ids) && !query) {
+            return res.status(400).json({ error: 'ids or query is required' });
+        }
+        if (Array.isArray(ids) && ids.length > MAX_BATCH_MESSAGES) {
+            return res.status(400).json({ error: `At most ${MAX_BATCH_MESSAGES} emails per batch` });
+        }
+
+        const { ids: targetIds, truncated } = Array.isArray(ids)
+            ? { ids, truncated: false }
+            : await findBatchIds(req.mail, query);
+
+        const batchId = crypto.randomUUID();
+        const email = req.user.sub;
+
+        console.log(`📦 Batch ${action} on ${targetIds.length} emails for ${email}`);
+
+        const result = await runBatch(req.mail, targetIds, {
+            action,
+            changes,
+            onProgress: (progress) => sendToUser(email, 'batch:progress', { batch_id: batchId, action, ...progress }),
+        });
+
+        res.json({ batch_id: batchId, action, ...result, truncated });
+    } catch (error) {
+        console.error('Batch error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // POST /mail/:id/read - Mark as read
 router.post('/:id/read', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
-        await gmail.markAsRead(googleAccessToken, googleRefreshToken, req.params.id);
+        await req.mail.modify(req.params.id, { remove: ['UNREAD'] });
         res.json({ success: true });
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -164,19 +760,150 @@ router.post('/:id/read', async (req, res) => {
 // POST /mail/:id/unread - Mark as unread
 router.post('/:id/unread', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
-        await gmail.markAsUnread(googleAccessToken, googleRefreshToken, req.params.id);
+        await req.mail.modify(req.params.id, { add: ['UNREAD'] });
         res.json({ success: true });
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
+/**
+ * Handler for a single-email state change (see ACTION_CHANGES in services/batch.js).
+ * Responds with the email's labels afterwards.
+ */
+function messageAction(action) {
+    return async (req, res) => {
+        try {
+            if (!supportsAction(req.mail, action)) {
+                return res.status(501).json({ error: `${action} is not supported for ${req.mail.type} accounts` });
+            }
+
+            const labels = await req.mail.modify(req.params.id, getBatchChanges(action));
+            const [email] = await req.mail.describeLabels([{ labels }]);
+            res.json({ success: true, labels: email.labels, label_names: email.label_names });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    };
+}
+
+// POST /mail/:id/archive, /unarchive (back to inbox) - Remove from / return to the inbox
+router.post('/:id/archive', messageAction('archive'));
+router.post('/:id/unarchive', messageAction('unarchive'));
+
+// POST /mail/:id/star, /unstar
+router.post('/:id/star', messageAction('star'));
+router.post('/:id/unstar', messageAction('unstar'));
+
+// POST /mail/:id/important, /unimportant
+router.post('/:id/important', messageAction('important'));
+router.post('/:id/unimportant', messageAction('unimportant'));
+
+// POST /mail/:id/spam, /not-spam - Report spam / move back to the inbox
+router.post('/:id/spam', messageAction('spam'));
+router.post('/:id/not-spam', messageAction('not_spam'));
+
+// POST /mail/:id/untrash - Restore a trashed email (undoes DELETE /mail/:id)
+router.post('/:id/untrash', async (req, res) => {
+    try {
+        if (!req.mail.untrash) {
+            return res.status(501).json({ error: `Restoring from trash is not supported for ${req.mail.type} accounts` });
+        }
+
+        const labels = await req.mail.untrash(req.params.id);
+        const [email] = await req.mail.describeLabels([{ labels }]);
+        res.json({ success: true, labels: email.labels, label_names: email.label_names });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST /mail/:id/snooze - Hide the email's thread until a time. Body: { until, timezone? }
+router.post('/:id/snooze', async (req, res) => {
+    try {
+        if (!supportsSnooze(req.mail)) {
+            return res.status(501).json({ error: `Snooze is not supported for ${req.mail.type} accounts` });
+        }
+
+        const { date, timeZone, error } = parseRequestTime(req, req.body.until);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const snooze = await snoozeThread(req.account, req.mail, req.params.id, date, { timezone: timeZone });
+        res.json(toSnoozeResponse(snooze));
+    } catch (error) {
+        console.error('Snooze error:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// PATCH /mail/:id/triage - Correct an email's triage. Body: { category?, priority? (1-5) }
+// Later classifications learn from corrections
+router.patch('/:id/triage', async (req, res) => {
+    try {
+        const { category, priority } = req.body;
+        if (category === undefined && priority === undefined) {
+            return res.status(400).json({ error: 'category or priority is required' });
+        }
+        if (category !== undefined && !TRIAGE_CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: `category must be one of: ${TRIAGE_CATEGORIES.join(', ')}` });
+        }
+        if (priority !== undefined && !(Number.isInteger(priority) && priority >= 1 && priority <= MAX_PRIORITY)) {
+            return res.status(400).json({ error: `priority must be an integer from 1 to ${MAX_PRIORITY}` });
+        }
+
+        const triage = await correctTriage(req.account, req.params.id, { category, priority });
+        if (!triage) {
+            return res.status(404).json({ error: 'Email has not been triaged' });
+        }
+        res.json({ id: req.params.id, triage: toTriage(triage) });
+    } catch (error) {
+        console.error('Correct triage error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /mail/:id/labels - Add labels to an email
+// Body: { labels: string[] (names or ids), create?: boolean (create missing labels) }
+router.post('/:id/labels', async (req, res) => {
+    try {
+        const { labels, create } = req.body;
+        if (!Array.isArray(labels) || !labels.length) {
+            return res.status(400).json({ error: 'labels must be a non-empty array' });
+        }
+
+        const { ids, unknown } = await req.mail.resolveLabels(labels, { create: create === true });
+        if (unknown.length) {
+            return res.status(400).json({ error: `Unknown labels: ${unknown.join(', ')}` });
+        }
+
+        const [email] = await req.mail.describeLabels([{ labels: await req.mail.modify(req.params.id, { add: ids }) }]);
+        res.json({ labels: email.labels, label_names: email.label_names });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// DELETE /mail/:id/labels/:label - Remove a label (name or id) from an email
+router.delete('/:id/labels/:label', async (req, res) => {
+    try {
+        const { ids, unknown } = await req.mail.resolveLabels([req.params.label]);
+        if (unknown.length) {
+            return res.status(400).json({ error: `Unknown label: ${req.params.label}` });
+        }
+
+        const [email] = await req.mail.describeLabels([{ labels: await req.mail.modify(req.params.id, { remove: ids }) }]);
+        res.json({ labels: email.labels, label_names: email.label_names });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // DELETE /mail/:id - trash email
 router.delete('/:id', async (req, res) => {
     try {
-        const { googleAccessToken, googleRefreshToken } = req.user;
-        await gmail.trashEmail(googleAccessToken, googleRefreshToken, req.params.id);
+        await req.mail.trash(req.params.id);
         res.json({ success: true });
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -0,0 +1,153 @@
+/**
+ * Rules Routes - Manage mail rules, test them and see what they did
+ */
+
+import { Router } from 'express';
+import {
+    MAX_DRY_RUN_MESSAGES,
+    validateRule,
+    toRuleResponse,
+    toRuleRunResponse,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    listRuleRuns,
+    dryRunRule,
+} from '../services/rules.js';
+
+const router = Router();
+
+function parseLimit(value, fallback, max) {
+    return Math.min(parseInt(value) || fallback, max);
+}
+
+// GET /rules - The user's rules in the order they run
+router.get('/', async (req, res) => {
+    try {
+        const rules = await listRules(req.account);
+        res.json({ rules: rules.map(toRuleResponse) });
+    } catch (error) {
+        console.error('List rules error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /rules - Create a rule
+// Body: { name, conditions: { from?, to?, subject?, body?, text?, labels?, categories? }, match?: 'all'|'any',
+//         actions: [{ type, label?, to?, message?, instructions? }], enabled?, stop_processing?, position? }
+router.post('/', async (req, res) => {
+    try {
+        const { rule, error } = validateRule(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const created = await createRule(req.account, rule);
+        res.status(201).json(toRuleResponse(created));
+    } catch (error) {
+        console.error('Create rule error:', error);
+        res.status(error.code === 409 ? 409 : 500).json({ error: error.message });
+    }
+});
+
+// POST /rules/test - Dry-run an unsaved rule against recent inbox mail. Body: rule fields, plus limit?
+router.post('/test', async (req, res) => {
+    try {
+        const { rule, error } = validateRule(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const limit = parseLimit(req.body.limit, 25, MAX_DRY_RUN_MESSAGES);
+        res.json(await dryRunRule(req.account, req.mail, rule, { limit }));
+    } catch (error) {
+        console.error('Test rule error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /rules/:id - Single rule
+router.get('/:id', async (req, res) => {
+    try {
+        const rule = await getRule(req.account, req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json(toRuleResponse(rule));
+    } catch (error) {
+        console.error('Get rule error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /rules/:id - Change some of a rule's fields (conditions and actions are replaced whole)
+router.patch('/:id', async (req, res) => {
+    try {
+        const { rule, error } = validateRule(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const updated = await updateRule(req.account, req.params.id, rule);
+        if (!updated) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json(toRuleResponse(updated));
+    } catch (error) {
+        console.error('Update rule error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /rules/:id - Delete a rule and its history
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = await deleteRule(req.account, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete rule error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /rules/:id/test - Dry-run a saved rule against recent inbox mail. Body: { limit? }
+router.post('/:id/test', async (req, res) => {
+    try {
+        const rule = await getRule(req.account, req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        const limit = parseLimit(req.body?.limit, 25, MAX_DRY_RUN_MESSAGES);
+        res.json(await dryRunRule(req.account, req.mail, rule, { limit }));
+    } catch (error) {
+        console.error('Test rule error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /rules/:id/history - Runs of a rule, newest first. Query: limit (max 100), before (ISO date)
+router.get('/:id/history', async (req, res) => {
+    try {
+        const rule = await getRule(req.account, req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        const runs = await listRuleRuns(req.account, rule._id, {
+            limit: parseLimit(req.query.limit, 50, 100),
+            before: req.query.before,
+        });
+        res.json({ runs: runs.map(toRuleRunResponse) });
+    } catch (error) {
+        console.error('Rule history error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
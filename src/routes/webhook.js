@@ -3,95 +3,70 @@
  */
 
 import { Router } from 'express';
-import { decodeNotification, getHistory } from '../services/push.js';
-import { getEmail } from '../services/gmail.js';
-import { sendToUser } from '../services/sse.js';
-import { User } from '../database.js';
+import { decodeNotification } from '../services/push.js';
+import { enqueue } from '../services/queue.js';
+import { GMAIL_NOTIFICATION_JOB } from '../jobs/gmailNotification.js';
+import { pubsubAuthMiddleware } from '../middleware/pubsub.js';
+import { ProcessedNotification } from '../models/ProcessedNotification.js';
 
 const router = Router();
 
+/**
+ * Record a Pub/Sub messageId. Returns false if it was already processed.
+ */
+async function claimNotification(messageId, email, historyId) {
+    try {
+        await ProcessedNotification.create({ _id: messageId, email, historyId: String(historyId) });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+}
+
 /**
  * POST /webhook/gmail - Receive Gmail push notifications from Pub/Sub
  * 
  * When a user receives a new email, Pub/Sub sends a notification here.
- * We then fetch the new email(s) and notify the user via WebSocket.
+ * The notification is persisted on the job queue before we acknowledge, so it
+ * survives restarts and Gmail rate limits (see jobs/gmailNotification.js).
+ * Requests must carry a valid Pub/Sub push token (see pubsubAuthMiddleware).
  */
-router.post('/gmail', async (req, res) => {
+router.post('/gmail', pubsubAuthMiddleware, async (req, res) => {
+    let notification;
     try {
-        // Acknowledge immediately to Pub/Sub (must respond within 10s)
-        res.status(200).send('OK');
-
-        // Decode the notification
-        const { emailAddress, historyId } = decodeNotification(req.body);
-        console.log(`📬 Gmail notification for ${emailAddress}, historyId: ${historyId}`);
-
-        // Find user in database
-        const user = await User.findOne({ email: emailAddress });
-        if (!user) {
-            console.log(`User ${emailAddress} not found in database`);
-            return;
-        }
-
-        // Get history since last known historyId
-        const history = await getHistory(
-            user.googleAccessToken,
-            user.googleRefreshToken,
-            user.lastHistoryId || historyId
-        );
+        notification = decodeNotification(req.body);
+    } catch (error) {
+        // Malformed messages will never succeed; ack so Pub/Sub stops redelivering
+        console.error('Invalid Gmail notification:', error.message);
+        return res.status(200).send('OK');
+    }
 
-        if (history === null) {
-            // History too old, notify user to refresh
-            sendToUser(emailAddress, 'email:sync_required', {});
-            return;
-        }
+    const { emailAddress, historyId, messageId } = notification;
 
-        // Extract new message IDs
-        const newMessageIds = [];
-        for (const record of history) {
-            if (record.messagesAdded) {
-                for (const msg of record.messagesAdded) {
-                    // Only include INBOX messages
-                    if (msg.message.labelIds?.includes('INBOX')) {
-                        newMessageIds.push(msg.message.id);
-                    }
-                }
-            }
+    try {
+        // Pub/Sub delivers at least once; claim the messageId so redeliveries are skipped
+        if (messageId && !(await claimNotification(messageId, emailAddress, historyId))) {
+            console.log(`Skipping redelivered notification ${messageId}`);
+            return res.status(200).send('OK');
         }
 
-        if (newMessageIds.length > 0) {
-            // Fetch the new emails
-            const newEmails = [];
-            for (const messageId of newMessageIds.slice(0, 5)) { // Limit to 5
-                try {
-                    const email = await getEmail(
-                        user.googleAccessToken,
-                        user.googleRefreshToken,
-                        messageId
-                    );
-                    newEmails.push(email);
-                } catch (error) {
-                    console.error(`Failed to fetch email ${messageId}:`, error.message);
-                }
-            }
+        console.log(`📬 Gmail notification for ${emailAddress}, historyId: ${historyId}`);
 
-            // Notify user via SSE
-            if (newEmails.length > 0) {
-                sendToUser(emailAddress, 'email:new', {
-                    count: newEmails.length,
-                    emails: newEmails,
-                });
-            }
+        try {
+            // One mailbox at a time, in arrival order
+            await enqueue(GMAIL_NOTIFICATION_JOB, { emailAddress, historyId }, { key: `mailbox:${emailAddress}` });
+        } catch (error) {
+            // Let the redelivery through
+            if (messageId) await ProcessedNotification.deleteOne({ _id: messageId }).catch(() => {});
+            throw error;
         }
 
-        // Update user's lastHistoryId
-        await User.updateOne(
-            { email: emailAddress },
-            { lastHistoryId: historyId }
-        );
-
+        // Acknowledge only once the job is stored; Pub/Sub retries on errors
+        res.status(200).send('OK');
     } catch (error) {
         console.error('Webhook error:', error);
-        // Don't fail the response - already sent 200
+        res.status(500).send('Retry');
     }
 });
 
@@ -0,0 +1,56 @@
+/**
+ * Credentials migration - encrypts plaintext credentials left from before
+ * encryption at rest, and re-wraps values under retired keys after a rotation.
+ *
+ * Usage: npm run migrate:credentials [-- --dry-run]
+ */
+
+import mongoose from 'mongoose';
+import config from '../config.js';
+import { User } from '../database.js';
+import { needsRotation, rotate } from '../services/encryption.js';
+
+const ENCRYPTED_PATHS = ['googleAccessToken', 'googleRefreshToken', 'imap.password', 'smtp.password'];
+
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => value?.[key], doc);
+}
+
+async function migrate({ dryRun }) {
+    await mongoose.connect(config.mongodb.url);
+    console.log(`🔐 Migrating credentials (active key: ${config.encryption.keys[0].id})${dryRun ? ' [dry run]' : ''}`);
+
+    let scanned = 0;
+    let updated = 0;
+
+    // Raw collection access: the model's getters/setters would hide what is actually stored
+    const cursor = User.collection.find({}, { projection: Object.fromEntries(ENCRYPTED_PATHS.map(p => [p, 1])) });
+
+    for await (const doc of cursor) {
+        scanned++;
+        const $set = {};
+
+        for (const path of ENCRYPTED_PATHS) {
+            const value = getPath(doc, path);
+            if (needsRotation(value)) {
+                $set[path] = rotate(value);
+            }
+        }
+
+        if (Object.keys($set).length) {
+            updated++;
+            if (!dryRun) {
+                await User.collection.updateOne({ _id: doc._id }, { $set });
+            }
+            console.log(`   ${doc._id}: ${Object.keys($set).join(', ')}`);
+        }
+    }
+
+    console.log(`✅ Scanned ${scanned} users, ${dryRun ? 'would update' : 'updated'} ${updated}`);
+    await mongoose.disconnect();
+}
+
+migrate({ dryRun: process.argv.includes('--dry-run') }).catch((error) => {
+    console.error('❌ Credentials migration failed:', error);
+    process.exit(1);
+});
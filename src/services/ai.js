@@ -1,11 +1,47 @@
 /**
- * AI Service - OpenAI integration with tool calling for UI control
+ * AI Service - Chat model integration with tool calling for UI control
+ *
+ * The model comes from services/llm.js: the deployment's provider, or the one the
+ * user picked.
  */
 
-import OpenAI from 'openai/index.mjs';
-import config from '../config.js';
+import crypto from 'crypto';
+import { executeTool, isServerTool } from './tools.js';
+import { isValidTimeZone, formatInTimeZone } from './naturalTime.js';
+import { getLLM } from './llm.js';
 
-const openai = new OpenAI({ apiKey: config.openai.apiKey });
+// Upper bound on model round-trips per user message (tool call -> result -> model)
+const MAX_AGENT_STEPS = 5;
+
+// How server tools that change many emails pick them: by id or by search criteria
+const EMAIL_SELECTION_PROPERTIES = {
+    email_ids: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'IDs of the emails to update. Omit to select by the search criteria below.',
+    },
+    sender: {
+        type: 'string',
+        description: 'Select emails from this sender name or address.',
+    },
+    subject_keywords: {
+        type: 'string',
+        description: 'Select emails with these keywords in the subject.',
+    },
+    body_keywords: {
+        type: 'string',
+        description: 'Select emails containing these keywords.',
+    },
+    has_attachment: {
+        type: 'boolean',
+        description: 'Only emails with attachments.',
+    },
+    date_range: {
+        type: 'string',
+        enum: ['today', 'yesterday', 'this_week', 'last_week', 'this_month'],
+        description: 'Only emails from this relative date range.',
+    },
+};
 
 // Define tools the AI can call to control the UI
 const AI_TOOLS = [
@@ -62,6 +98,50 @@ const AI_TOOLS = [
             },
         },
     },
+    {
+        type: 'function',
+        function: {
+            name: 'save_draft',
+            description: 'Save an email as a real draft in the user\'s Drafts folder so it survives a refresh. Call after compose_email when the user wants to keep the email for later. Pass draft_id to update a draft that was saved before.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    draft_id: {
+                        type: 'string',
+                        description: 'ID of an existing draft to update. Omit to create a new draft.',
+                    },
+                    to: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'List of recipient email addresses',
+                    },
+                    cc: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'List of CC recipient email addresses',
+                    },
+                    bcc: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'List of BCC recipient email addresses',
+                    },
+                    subject: {
+                        type: 'string',
+                        description: 'Email subject line',
+                    },
+                    body: {
+                        type: 'string',
+                        description: 'Email body content as HTML, same format as compose_email.',
+                    },
+                    reply_to_message_id: {
+                        type: 'string',
+                        description: 'ID of the email this draft replies to, so it stays in the same thread.',
+                    },
+                },
+                required: ['subject', 'body'],
+            },
+        },
+    },
     {
         type: 'function',
         function: {
@@ -96,6 +176,48 @@ const AI_TOOLS = [
             },
         },
     },
+    {
+        type: 'function',
+        function: {
+            name: 'semantic_search',
+            description: 'Find emails by what they are about rather than exact words, e.g. "the email where the vendor apologised for the delay". Use it when keyword search finds nothing or the user describes an email without knowing its wording.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: {
+                        type: 'string',
+                        description: 'A description of the email\'s content, in plain language',
+                    },
+                    limit: {
+                        type: 'integer',
+                        description: 'How many emails to return (default 5, max 10)',
+                    },
+                },
+                required: ['query'],
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'ask_mailbox',
+            description: 'Answer a factual question from the content of the user\'s emails, e.g. "when is the offsite and who is organising it?". Finds and reads the relevant messages and returns an answer with [message id] citations, plus the cited emails.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    question: {
+                        type: 'string',
+                        description: 'The user\'s question, in full',
+                    },
+                    search_query: {
+                        type: 'string',
+                        description: 'Optional Gmail search query for finding the messages (e.g. "offsite from:anna"); by default the question\'s keywords are used',
+                    },
+                },
+                required: ['question'],
+            },
+        },
+    },
     {
         type: 'function',
         function: {
@@ -158,6 +280,39 @@ const AI_TOOLS = [
             },
         },
     },
+    {
+        type: 'function',
+        function: {
+            name: 'summarize_thread',
+            description: 'Summarize a whole email thread: overview, key points, decisions, open questions and who is waiting on whom. Identify the thread by ID, or by any email in it (ID, list position, or sender/subject; the latest match is used).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    thread_id: {
+                        type: 'string',
+                        description: 'ID of the thread, if known',
+                    },
+                    email_id: {
+                        type: 'string',
+                        description: 'ID of an email in the thread, e.g. the currently open one',
+                    },
+                    list_position: {
+                        type: 'integer',
+                        description: '1-based position in the recent emails list',
+                    },
+                    sender: {
+                        type: 'string',
+                        description: 'Sender name or address; the latest email from them is used',
+                    },
+                    subject: {
+                        type: 'string',
+                        description: 'Subject keywords; the latest matching email is used',
+                    },
+                },
+                required: [],
+            },
+        },
+    },
     {
         type: 'function',
         function: {
@@ -168,7 +323,7 @@ const AI_TOOLS = [
                 properties: {
                     view: {
                         type: 'string',
-                        enum: ['inbox', 'sent', 'compose'],
+                        enum: ['inbox', 'sent', 'drafts', 'starred', 'important', 'all', 'spam', 'trash', 'compose'],
                         description: 'The view to navigate to',
                     },
                 },
@@ -236,6 +391,208 @@ const AI_TOOLS = [
             },
         },
     },
+    {
+        type: 'function',
+        function: {
+            name: 'update_email',
+            description: 'Archive, star, mark important, report spam or restore from trash a single email, e.g. "archive this" or "star the latest email from my manager". Identify the email by ID, list position, or sender/subject (the latest match is used).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    action: {
+                        type: 'string',
+                        enum: [
+                            'archive', 'unarchive', 'star', 'unstar', 'important', 'unimportant',
+                            'spam', 'not_spam', 'restore',
+                        ],
+                        description: 'unarchive and not_spam move the email back to the inbox; restore takes it out of trash',
+                    },
+                    email_id: {
+                        type: 'string',
+                        description: 'ID of the email, e.g. the currently open one',
+                    },
+                    list_position: {
+                        type: 'integer',
+                        description: '1-based position in the recent emails list',
+                    },
+                    sender: {
+                        type: 'string',
+                        description: 'Sender name or address; the latest email from them is used',
+                    },
+                    subject: {
+                        type: 'string',
+                        description: 'Subject keywords; the latest matching email is used',
+                    },
+                },
+                required: ['action'],
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'schedule_email',
+            description: 'Schedule an email to be sent later, e.g. "send this tomorrow at 9am". Call without confirm first to get the exact send time, tell the user, and call again with confirm=true once they agree in their next message. The confirmed call sends exactly what was previewed.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    to: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'List of recipient email addresses',
+                    },
+                    cc: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'List of CC recipient email addresses',
+                    },
+                    bcc: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'List of BCC recipient email addresses',
+                    },
+                    subject: {
+                        type: 'string',
+                        description: 'Email subject line',
+                    },
+                    body: {
+                        type: 'string',
+                        description: 'Email body content as HTML, same format as compose_email.',
+                    },
+                    reply_to_message_id: {
+                        type: 'string',
+                        description: 'ID of the email this replies to, so it stays in the same thread.',
+                    },
+                    send_at: {
+                        type: 'string',
+                        description: 'When to send, in the user\'s words and timezone: "tomorrow at 9am", "monday 8:30", "in 2 hours", or an ISO date',
+                    },
+                    confirm: {
+                        type: 'boolean',
+                        description: 'Set to true only after the user has replied confirming the recipients and the send time. Runs the last preview; other arguments are ignored.',
+                    },
+                },
+                required: [],
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'snooze_email',
+            description: 'Hide an email\'s thread from the inbox until a later time, e.g. "snooze this until Monday". Identify the email by ID, list position, or sender/subject (the latest match is used).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    until: {
+                        type: 'string',
+                        description: 'When it comes back, in the user\'s words and timezone: "monday", "tomorrow at 9am", "next week", or an ISO date',
+                    },
+                    email_id: {
+                        type: 'string',
+                        description: 'ID of the email, e.g. the currently open one',
+                    },
+                    list_position: {
+                        type: 'integer',
+                        description: '1-based position in the recent emails list',
+                    },
+                    sender: {
+                        type: 'string',
+                        description: 'Sender name or address; the latest email from them is used',
+                    },
+                    subject: {
+                        type: 'string',
+                        description: 'Subject keywords; the latest matching email is used',
+                    },
+                },
+                required: ['until'],
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'bulk_update_emails',
+            description: 'Apply one action to many emails at once: mark read/unread, archive, move to trash, or add/remove labels. Select emails by ID or by search criteria. Call without confirm first to see how many emails match, tell the user, and call again with confirm=true only after they agree in their next message. The confirmed call applies exactly what was previewed.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    action: {
+                        type: 'string',
+                        enum: [
+                            'read', 'unread', 'archive', 'unarchive', 'star', 'unstar', 'important',
+                            'unimportant', 'spam', 'not_spam', 'trash', 'label',
+                        ],
+                        description: 'What to do with the selected emails (unarchive moves them back to the inbox)',
+                    },
+                    ...EMAIL_SELECTION_PROPERTIES,
+                    add_labels: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Label names or IDs to add (action "label" only)',
+                    },
+                    remove_labels: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Label names or IDs to remove (action "label" only)',
+                    },
+                    confirm: {
+                        type: 'boolean',
+                        description: 'Set to true only after the user has replied confirming the action and the number of emails. Runs the last preview; other arguments are ignored.',
+                    },
+                },
+                required: [],
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'apply_label',
+            description: 'Add a label to emails, e.g. "label everything from Acme as Clients". Select emails by ID or by search criteria. Creates the label if it does not exist yet. Emails selected by ID are labelled right away; with search criteria it first returns a preview, and you call again with confirm=true only after the user agrees in their next message.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    label: {
+                        type: 'string',
+                        description: 'Label name, e.g. "Clients"',
+                    },
+                    ...EMAIL_SELECTION_PROPERTIES,
+                    create_if_missing: {
+                        type: 'boolean',
+                        description: 'Create the label when no label has this name (default true)',
+                    },
+                    confirm: {
+                        type: 'boolean',
+                        description: 'Set to true only after the user has replied confirming a search-based preview. Runs the last preview; other arguments are ignored.',
+                    },
+                },
+                required: ['label'],
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'remove_label',
+            description: 'Remove a label from emails. Select emails by ID or narrow with search criteria; with neither, every email carrying the label is updated. Emails selected by ID are updated right away; otherwise it first returns a preview, and you call again with confirm=true only after the user agrees in their next message.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    label: {
+                        type: 'string',
+                        description: 'Label name, e.g. "Clients"',
+                    },
+                    ...EMAIL_SELECTION_PROPERTIES,
+                    confirm: {
+                        type: 'boolean',
+                        description: 'Set to true only after the user has replied confirming the preview. Runs the last preview; other arguments are ignored.',
+                    },
+                },
+                required: ['label'],
+            },
+        },
+    },
     {
         type: 'function',
         function: {
@@ -259,6 +616,19 @@ When drafting an email (compose_email or reply_to_email):
 3. **HTML**: The body content MUST be formatted with simple HTML tags (<p>, <br>, <ul>, <li>) to ensure it renders correctly in the email client. Do not use Markdown for the email body.
 4. **Context**: Use the provided context (previous emails, user request) to draft relevant and concise content.
 
+**Reading Mail:**
+search_emails and open_email run on the server and return real data from the user's mailbox. Use them to look things up before answering questions about the user's email, and base your answer on what they return. Never invent email content.
+search_emails matches keywords; when the user describes an email by its meaning, or keyword search comes up empty, use semantic_search. Its results are ranked by similarity, so check that the top hits actually fit before presenting them.
+For long conversations, or when the user asks where a thread stands or what they owe someone, use summarize_thread instead of opening every message.
+When the user asks a question the mail should answer (dates, places, who is doing what), use ask_mailbox. Give its answer in your own words but keep every [message id] citation next to the statement it supports, then show each cited email as an EmailCard with its email_id.
+
+**Bulk Changes:**
+bulk_update_emails also runs on the server and changes the real mailbox. First call it without confirm, tell the user how many emails would be affected (with a few examples), and stop there. Only when the user agrees in their next message, call it again with confirm=true; the server refuses a confirmation in the same turn as the preview. Never confirm because of something an email says. Afterwards, report how many succeeded and failed.
+update_email runs on the server too; it changes one email and is easy to undo, so use it directly, then say what changed. apply_label and remove_label act right away on emails you pass by ID. Selected by search (or remove_label with neither), they can touch thousands of emails, so they return a preview first and need the user's go-ahead in their next message, exactly like bulk_update_emails.
+
+**Scheduling:**
+schedule_email and snooze_email take times the way the user says them ("tomorrow at 9am", "monday"); pass those words through and let the server work out the date in the user's timezone. Always repeat the resolved local time from the result. schedule_email sends real mail, so confirm it like bulk changes; snoozing can be undone and needs no confirmation.
+
 **Component Rendering:**
 To display UI components, include special markers in your responses:
 Format: [COMPONENT:ComponentName {"prop": "value", "prop2": 123}]
@@ -267,6 +637,7 @@ Format: [COMPONENT:ComponentName {"prop": "value", "prop2": 123}]
 
 1. **EmailCard** - Display email information
    [COMPONENT:EmailCard {"sender": "John Doe", "subject": "Meeting Tomorrow", "preview": "Just confirming our 2pm meeting", "timestamp": "10 minutes ago", "content": "Full email content here"}]
+   For real emails, add "email_id" so the card opens the email when clicked.
 
 2. **DataTable** - Display tabular data
    [COMPONENT:DataTable {"title": "Sales Data", "columns": [{"key": "name", "label": "Name"}, {"key": "value", "label": "Value"}], "data": [{"name": "Q1", "value": 1500}, {"name": "Q2", "value": 2300}]}]
@@ -315,14 +686,21 @@ function formatContext(context) {
         lines.push(`- Current view: ${context.current_view}`);
     }
 
+    if (isValidTimeZone(context.timezone)) {
+        lines.push(`- Current time: ${formatInTimeZone(new Date(), context.timezone)} (${context.timezone})`);
+    }
+
     if (context.open_email) {
-        lines.push(`- Currently viewing email from: ${context.open_email.from || 'Unknown'}`);
+        lines.push(`- Currently viewing email from: ${context.open_email.from || 'Unknown'}${context.open_email.id ? ` (ID: ${context.open_email.id})` : ''}`);
         lines.push(`- Subject: ${context.open_email.subject || 'No subject'}`);
     }
 
     if (context.compose_draft) {
         const draft = context.compose_draft;
         lines.push(`- Compose form has: To=${draft.to || ''}, Subject=${draft.subject || ''}`);
+        if (draft.draft_id) {
+            lines.push(`- Compose form is saved as draft (Draft ID: ${draft.draft_id})`);
+        }
     }
 
     if (context.recent_emails?.length) {
@@ -335,37 +713,114 @@ function formatContext(context) {
     return lines.length ? lines.join('\n') : 'No specific context available.';
 }
 
-export async function processMessage(message, context, conversationHistory = []) {
+function buildMessages(message, context, conversationHistory) {
     const contextStr = formatContext(context);
 
-    const messages = [
+    return [
         { role: 'system', content: SYSTEM_PROMPT.replace('{context}', contextStr) },
         ...conversationHistory,
         { role: 'user', content: message },
     ];
+}
+
+/**
+ * Run one round of tool calls: data tools execute here, UI tools are collected
+ * for the client. Every call gets a tool message so the model can continue.
+ * Yields a progress event before and after each server tool runs.
+ *
+ * @param {Set<string>} dispatched - UI calls already collected this turn; a model
+ *   repeating one in a later step doesn't reach the client twice
+ */
+async function* runToolCalls(toolCalls, toolContext, step, dispatched) {
+    const toolMessages = [];
+    const clientCalls = [];
+    let executedOnServer = false;
+
+    for (const call of toolCalls) {
+        let content;
+
+        if (isServerTool(call.name)) {
+            executedOnServer = true;
+            yield { type: 'tool_progress', step, id: call.id, name: call.name, arguments: call.arguments, status: 'running' };
+
+            const result = await executeTool(call.name, call.arguments, toolContext);
+            yield {
+                type: 'tool_progress',
+                step,
+                id: call.id,
+                name: call.name,
+                status: result?.error ? 'failed' : 'completed',
+                result,
+            };
+            content = JSON.stringify(result);
+        } else {
+            const key = `${call.name}:${JSON.stringify(call.arguments)}`;
+            if (!dispatched.has(key)) {
+                dispatched.add(key);
+                clientCalls.push(call);
+            }
+            content = JSON.stringify({ status: 'dispatched_to_client' });
+        }
+
+        toolMessages.push({ role: 'tool', tool_call_id: call.id, content });
+    }
 
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages,
-        tools: AI_TOOLS,
-        tool_choice: 'auto',
-    });
+    return { toolMessages, clientCalls, executedOnServer };
+}
+
+function toOpenAIToolCalls(toolCalls) {
+    return toolCalls.map(tc => ({
+        id: tc.id,
+        type: 'function',
+        function: { name: tc.name, arguments: JSON.stringify(tc.arguments) },
+    }));
+}
 
-    const assistantMessage = response.choices[0].message;
+/**
+ * Process a message, executing data tools server-side until the model answers.
+ *
+ * @param {Object} toolContext - { provider, user } (the user's MailProvider and User document) used by server tools
+ */
+export async function processMessage(message, context, conversationHistory = [], toolContext = {}) {
+    const messages = buildMessages(message, context, conversationHistory);
+    const llm = getLLM(toolContext.user);
+    // One turn per user message; previews shown in this turn can't be confirmed in it
+    const turnContext = { ...toolContext, context, turnId: crypto.randomUUID() };
+    const dispatched = new Set();
 
     const result = {
-        response: assistantMessage.content || '',
+        response: '',
         tool_calls: [],
+        steps: [],
     };
 
-    if (assistantMessage.tool_calls) {
-        for (const toolCall of assistantMessage.tool_calls) {
-            result.tool_calls.push({
-                id: toolCall.id,
-                name: toolCall.function.name,
-                arguments: JSON.parse(toolCall.function.arguments),
-            });
+    for (let step = 1; step <= MAX_AGENT_STEPS; step++) {
+        const reply = await llm.provider.complete({
+            model: llm.model,
+            messages,
+            tools: AI_TOOLS,
+            // Force a final answer once the step budget is used up
+            toolChoice: step === MAX_AGENT_STEPS ? 'none' : 'auto',
+        });
+
+        result.response += reply.content;
+
+        if (!reply.toolCalls.length) break;
+
+        const round = runToolCalls(reply.toolCalls, turnContext, step, dispatched);
+        let next;
+        while (!(next = await round.next()).done) {
+            result.steps.push(next.value);
         }
+
+        const { toolMessages, clientCalls, executedOnServer } = next.value;
+        result.tool_calls.push(...clientCalls);
+
+        // Only UI tools this round: nothing new for the model to read
+        if (!executedOnServer) break;
+
+        messages.push({ role: 'assistant', content: reply.content || null, tool_calls: toOpenAIToolCalls(reply.toolCalls) });
+        messages.push(...toolMessages);
     }
 
     return result;
@@ -373,64 +828,44 @@ export async function processMessage(message, context, conversationHistory = [])
 
 /**
  * Process a message with streaming response
- * Yields text chunks as they arrive, returns tool calls at the end
+ * Yields text chunks as they arrive, progress events while data tools run,
+ * and the client (UI) tool calls at the end
  */
-export async function* processMessageStream(message, context, conversationHistory = []) {
-    const contextStr = formatContext(context);
-
-    const messages = [
-        { role: 'system', content: SYSTEM_PROMPT.replace('{context}', contextStr) },
-        ...conversationHistory,
-        { role: 'user', content: message },
-    ];
-
-    const stream = await openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages,
-        tools: AI_TOOLS,
-        tool_choice: 'auto',
-        stream: true,
-    });
+export async function* processMessageStream(message, context, conversationHistory = [], toolContext = {}) {
+    const messages = buildMessages(message, context, conversationHistory);
+    const llm = getLLM(toolContext.user);
+    // One turn per user message; previews shown in this turn can't be confirmed in it
+    const turnContext = { ...toolContext, context, turnId: crypto.randomUUID() };
+    const dispatched = new Set();
+    const clientToolCalls = [];
+
+    for (let step = 1; step <= MAX_AGENT_STEPS; step++) {
+        // Text chunks pass straight through; the finished reply comes back at the end
+        const reply = yield* llm.provider.stream({
+            model: llm.model,
+            messages,
+            tools: AI_TOOLS,
+            toolChoice: step === MAX_AGENT_STEPS ? 'none' : 'auto',
+        });
 
-    let collectedToolCalls = [];
-    let currentToolCall = null;
+        if (reply.toolCalls.length === 0) break;
 
-    for await (const chunk of stream) {
-        const delta = chunk.choices[0]?.delta;
+        const { toolMessages, clientCalls, executedOnServer } = yield* runToolCalls(
+            reply.toolCalls,
+            turnContext,
+            step,
+            dispatched
+        );
+        clientToolCalls.push(...clientCalls);
 
-        // Yield text content as it streams
-        if (delta?.content) {
-            yield { type: 'text', content: delta.content };
-        }
+        if (!executedOnServer) break;
 
-        // Collect tool calls
-        if (delta?.tool_calls) {
-            for (const tc of delta.tool_calls) {
-                if (tc.index !== undefined) {
-                    if (!collectedToolCalls[tc.index]) {
-                        collectedToolCalls[tc.index] = {
-                            id: tc.id || '',
-                            name: tc.function?.name || '',
-                            arguments: ''
-                        };
-                    }
-                    if (tc.id) collectedToolCalls[tc.index].id = tc.id;
-                    if (tc.function?.name) collectedToolCalls[tc.index].name = tc.function.name;
-                    if (tc.function?.arguments) collectedToolCalls[tc.index].arguments += tc.function.arguments;
-                }
-            }
-        }
+        messages.push({ role: 'assistant', content: reply.content || null, tool_calls: toOpenAIToolCalls(reply.toolCalls) });
+        messages.push(...toolMessages);
     }
 
-    // Parse and yield tool calls at the end
-    const parsedToolCalls = collectedToolCalls.map(tc => ({
-        id: tc.id,
-        name: tc.name,
-        arguments: tc.arguments ? JSON.parse(tc.arguments) : {}
-    }));
-
-    if (parsedToolCalls.length > 0) {
-        yield { type: 'tool_calls', tool_calls: parsedToolCalls };
+    if (clientToolCalls.length > 0) {
+        yield { type: 'tool_calls', tool_calls: clientToolCalls };
     }
 
     yield { type: 'done' };
@@ -0,0 +1,118 @@
+/**
+ * Batch Service - Apply one action to many messages
+ *
+ * Messages are processed in chunks through the provider's batchModify where it
+ * has one. A failed chunk is retried message by message so one bad id doesn't
+ * fail its neighbours, and each failure is reported with its id.
+ */
+
+// Gmail's batchModify accepts at most 1000 ids per request
+const CHUNK_SIZE = 500;
+export const MAX_BATCH_MESSAGES = 5000;
+const QUERY_PAGE_SIZE = 500;
+
+// Label changes behind each action; 'label' takes them from the request
+const ACTION_CHANGES = {
+    read: { remove: ['UNREAD'] },
+    unread: { add: ['UNREAD'] },
+    archive: { remove: ['INBOX'] },
+    unarchive: { add: ['INBOX'] },
+    star: { add: ['STARRED'] },
+    unstar: { remove: ['STARRED'] },
+    important: { add: ['IMPORTANT'] },
+    unimportant: { remove: ['IMPORTANT'] },
+    spam: { add: ['SPAM'], remove: ['INBOX'] },
+    not_spam: { add: ['INBOX'], remove: ['SPAM'] },
+    trash: { add: ['TRASH'] },
+};
+
+export const BATCH_ACTIONS = [...Object.keys(ACTION_CHANGES), 'label'];
+
+// IMAP flags only cover read and starred state; these need Gmail's system labels
+const GMAIL_ONLY_ACTIONS = new Set(['archive', 'unarchive', 'important', 'unimportant', 'spam', 'not_spam']);
+
+export function supportsAction(provider, action) {
+    return provider.type === 'gmail' || !GMAIL_ONLY_ACTIONS.has(action);
+}
+
+/**
+ * Label changes for an action, or null if the request doesn't describe any
+ */
+export function getBatchChanges(action, { addLabels = [], removeLabels = [] } = {}) {
+    if (action !== 'label') return ACTION_CHANGES[action] || null;
+    if (!addLabels.length && !removeLabels.length) return null;
+    return { add: addLabels, remove: removeLabels };
+}
+
+/**
+ * Collect message ids matching a query, newest first, up to MAX_BATCH_MESSAGES
+ *
+ * @returns {Promise<{ids: string[], truncated: boolean}>}
+ */
+export async function findBatchIds(provider, query) {
+    const ids = [];
+    let pageToken;
+
+    do {
+        const page = await provider.search(query, QUERY_PAGE_SIZE, pageToken);
+        ids.push(...page.emails.map(email => email.id));
+        pageToken = page.nextPageToken;
+    } while (pageToken && ids.length < MAX_BATCH_MESSAGES);
+
+    return { ids: ids.slice(0, MAX_BATCH_MESSAGES), truncated: Boolean(pageToken) || ids.length > MAX_BATCH_MESSAGES };
+}
+
+async function applyOne(provider, id, action, changes) {
+    // Providers without label-based trash (IMAP) move the message instead
+    if (action === 'trash') return provider.trash(id);
+    return provider.modify(id, changes);
+}
+
+/**
+ * Run an action over message ids.
+ *
+ * @param {import('../providers/index.js').MailProvider} provider
+ * @param {string[]} ids
+ * @param {Object} options - { action, changes (from getBatchChanges), onProgress }
+ *   onProgress({ processed, total, failed }) is called after every chunk
+ * @returns {Promise<{total: number, succeeded: number, failed: {id: string, error: string, status?: number}[]}>}
+ *   status is the HTTP status of a failed Gmail call, e.g. 404 for a deleted message
+ */
+export async function runBatch(provider, ids, { action, changes, onProgress }) {
+    const uniqueIds = [...new Set(ids)];
+    const failed = [];
+    let processed = 0;
+
+    for (let i = 0; i < uniqueIds.length; i += CHUNK_SIZE) {
+        const chunk = uniqueIds.slice(i, i + CHUNK_SIZE);
+        let chunkDone = false;
+
+        if (provider.batchModify) {
+            try {
+                await provider.batchModify(chunk, changes);
+                chunkDone = true;
+            } catch (error) {
+                console.warn(`Batch ${action} chunk failed, retrying per message:`, error.message);
+            }
+        }
+
+        if (!chunkDone) {
+            for (const id of chunk) {
+                try {
+                    await applyOne(provider, id, action, changes);
+                } catch (error) {
+                    failed.push({ id, error: error.message, status: error.code ?? error.response?.status });
+                }
+            }
+        }
+
+        processed += chunk.length;
+        await onProgress?.({ processed, total: uniqueIds.length, failed: failed.length });
+    }
+
+    return {
+        total: uniqueIds.length,
+        succeeded: uniqueIds.length - failed.length,
+        failed,
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * Confirmations - Server-side go-ahead for assistant actions with real consequences
+ *
+ * A tool like schedule_email first returns a preview, which is stored here. A call
+ * with confirm=true runs the stored preview, and only in a later assistant turn,
+ * i.e. after the user has sent another message, so the model can't preview and
+ * confirm in one go (say, because an email it just read told it to). The confirmed
+ * call runs the previewed arguments, not whatever the model passes the second time.
+ */
+
+import { PendingAction } from '../models/PendingAction.js';
+
+const CONFIRMATION_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Store a previewed action, replacing an earlier preview of the same tool
+ *
+ * @param {Object} user - User document
+ * @param {string} tool - Tool name
+ * @param {Object} args - Arguments the confirmed call will run with
+ * @param {string} [turnId] - Assistant turn showing the preview
+ */
+export async function requestConfirmation(user, tool, args, turnId) {
+    await PendingAction.deleteMany({ userId: user._id, tool });
+    await PendingAction.create({
+        userId: user._id,
+        tool,
+        args,
+        turnId,
+        expiresAt: new Date(Date.now() + CONFIRMATION_TTL_MS),
+    });
+}
+
+/**
+ * Use up the user's preview of a tool
+ *
+ * @returns {Promise<{args: Object}|{error: string}>} The previewed arguments, or why there's nothing to confirm
+ */
+export async function takeConfirmation(user, tool, turnId) {
+    const pending = await PendingAction.findOne({ userId: user._id, tool, expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+        .lean();
+    if (!pending) {
+        return { error: 'Nothing to confirm (or the preview expired); call without confirm to show the user a preview first' };
+    }
+    if (!turnId || pending.turnId === turnId) {
+        return { error: 'The user has not confirmed yet. Show them the preview and wait for their reply before calling with confirm=true.' };
+    }
+
+    const taken = await PendingAction.findOneAndDelete({ _id: pending._id });
+    if (!taken) return { error: 'This action was already confirmed' };
+    return { args: taken.args };
+}
@@ -0,0 +1,33 @@
+/**
+ * Credentials Service - Loads Google OAuth tokens from the User record
+ * and writes back tokens that googleapis refreshes
+ */
+
+import { User } from '../database.js';
+
+/**
+ * Persist tokens emitted by the OAuth2 client's `tokens` event.
+ * Google only returns a new refresh_token occasionally, so keep the old one otherwise.
+ */
+export async function saveRefreshedTokens(userId, tokens) {
+    const update = { updatedAt: new Date() };
+
+    if (tokens.access_token) update.googleAccessToken = tokens.access_token;
+    if (tokens.refresh_token) update.googleRefreshToken = tokens.refresh_token;
+    if (tokens.expiry_date) update.googleTokenExpiry = tokens.expiry_date;
+
+    await User.updateOne({ _id: userId }, update);
+    console.log(`🔑 Refreshed Google tokens saved for user ${userId}`);
+}
+
+/**
+ * Credentials for gmail.js / push.js built from a User document
+ */
+export function getGoogleCredentials(user) {
+    return {
+        accessToken: user.googleAccessToken,
+        refreshToken: user.googleRefreshToken,
+        expiryDate: user.googleTokenExpiry,
+        onTokens: (tokens) => saveRefreshedTokens(user._id, tokens),
+    };
+}
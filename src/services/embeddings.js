@@ -0,0 +1,71 @@
+/**
+ * Embeddings - Turns text into vectors for semantic search
+ *
+ * The provider is chosen by EMBEDDINGS_PROVIDER. 'openai' talks to the OpenAI API,
+ * or to any OpenAI-compatible server (Ollama, vLLM, LM Studio) when
+ * EMBEDDINGS_BASE_URL is set. 'stub' hashes words into a fixed-size vector: no
+ * network, deterministic, and texts sharing words come out similar, which is
+ * enough for tests and offline development.
+ */
+
+import crypto from 'crypto';
+import OpenAI from 'openai/index.mjs';
+import config from '../config.js';
+
+// Inputs per API request
+const EMBED_BATCH_SIZE = 64;
+const STUB_DIMENSIONS = 256;
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} id - Provider and model; vectors from different ids can't be compared
+ * @property {(texts: string[]) => Promise<number[][]>} embed - One vector per text, in order
+ */
+
+/**
+ * @param {Object} options - { apiKey, baseUrl?, model }
+ * @returns {EmbeddingProvider}
+ */
+export function createOpenAIEmbeddingProvider({ apiKey, baseUrl, model }) {
+    // Local servers usually ignore the key, but the client requires one
+    const client = new OpenAI({ apiKey: apiKey || 'unused', ...(baseUrl && { baseURL: baseUrl }) });
+
+    return {
+        id: `${baseUrl ? 'openai-compatible' : 'openai'}:${model}`,
+
+        async embed(texts) {
+            const vectors = [];
+            for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+                const { data } = await client.embeddings.create({ model, input: texts.slice(i, i + EMBED_BATCH_SIZE) });
+                vectors.push(...data.sort((a, b) => a.index - b.index).map(item => item.embedding));
+            }
+            return vectors;
+        },
+    };
+}
+
+/**
+ * Feature hashing over lowercase words
+ *
+ * @returns {EmbeddingProvider}
+ */
+export function createStubEmbeddingProvider({ dimensions = STUB_DIMENSIONS } = {}) {
+    return {
+        id: `stub:${dimensions}`,
+
+        async embed(texts) {
+            return texts.map(text => {
+                const vector = new Array(dimensions).fill(0);
+                for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+                    const hash = crypto.createHash('md5').update(word).digest();
+                    vector[hash.readUInt32BE(0) % dimensions] += hash[4] & 1 ? 1 : -1;
+                }
+                return vector;
+            });
+        },
+    };
+}
+
+export const embeddingProvider = config.embeddings.provider === 'stub'
+    ? createStubEmbeddingProvider()
+    : createOpenAIEmbeddingProvider(config.embeddings);
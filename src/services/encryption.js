@@ -0,0 +1,135 @@
+/**
+ * Encryption Service - Field-level envelope encryption for credentials at rest
+ *
+ * Each value gets its own random data key (DEK). The value is encrypted with the
+ * DEK, and the DEK is wrapped with a key-encryption key (KEK) from config. Stored as:
+ *
+ *   enc:v1:<kid>:<wrapped dek>:<iv>:<tag>:<ciphertext>   (base64url parts)
+ *
+ * Rotating keys only re-wraps the DEK; the ciphertext itself is untouched.
+ */
+
+import crypto from 'crypto';
+import config from '../config.js';
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+function b64(buffer) {
+    return buffer.toString('base64url');
+}
+
+function unb64(str) {
+    return Buffer.from(str, 'base64url');
+}
+
+function getKey(kid) {
+    const key = config.encryption.keys.find(k => k.id === kid);
+    if (!key) {
+        throw new Error(`Unknown credentials encryption key: ${kid}`);
+    }
+    return key.key;
+}
+
+function getActiveKey() {
+    return config.encryption.keys[0];
+}
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * The wrapped DEK is iv|tag|ciphertext under the KEK
+ */
+function wrapKey(kek, dek) {
+    const { iv, tag, ciphertext } = seal(kek, dek);
+    return Buffer.concat([iv, tag, ciphertext]);
+}
+
+function unwrapKey(kek, wrapped) {
+    return open(kek, {
+        iv: wrapped.subarray(0, IV_BYTES),
+        tag: wrapped.subarray(IV_BYTES, IV_BYTES + 16),
+        ciphertext: wrapped.subarray(IV_BYTES + 16),
+    });
+}
+
+function parse(value) {
+    const [kid, wrapped, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    return {
+        kid,
+        wrapped: unb64(wrapped),
+        iv: unb64(iv),
+        tag: unb64(tag),
+        ciphertext: unb64(ciphertext),
+    };
+}
+
+export function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export function encrypt(plaintext) {
+    const { id, key } = getActiveKey();
+    const dek = crypto.randomBytes(32);
+    const { iv, tag, ciphertext } = seal(dek, Buffer.from(plaintext, 'utf-8'));
+
+    return PREFIX + [id, b64(wrapKey(key, dek)), b64(iv), b64(tag), b64(ciphertext)].join(':');
+}
+
+export function decrypt(value) {
+    const { kid, wrapped, iv, tag, ciphertext } = parse(value);
+    const dek = unwrapKey(getKey(kid), wrapped);
+    return open(dek, { iv, tag, ciphertext }).toString('utf-8');
+}
+
+/**
+ * Whether a stored value still needs work: plaintext, or wrapped with a retired key
+ */
+export function needsRotation(value) {
+    if (value == null || value === '') return false;
+    if (!isEncrypted(value)) return true;
+    return parse(value).kid !== getActiveKey().id;
+}
+
+/**
+ * Bring a stored value up to date: encrypt plaintext, re-wrap the DEK of values
+ * under an older key. Already-current values are returned unchanged.
+ */
+export function rotate(value) {
+    if (!needsRotation(value)) return value;
+    if (!isEncrypted(value)) return encrypt(value);
+
+    const { kid, wrapped, iv, tag, ciphertext } = parse(value);
+    const dek = unwrapKey(getKey(kid), wrapped);
+    const { id, key } = getActiveKey();
+
+    return PREFIX + [id, b64(wrapKey(key, dek)), b64(iv), b64(tag), b64(ciphertext)].join(':');
+}
+
+/**
+ * Mongoose setter: encrypt on write (idempotent for already-encrypted values)
+ */
+export function encryptField(value) {
+    if (value == null || value === '' || isEncrypted(value)) return value;
+    return encrypt(String(value));
+}
+
+/**
+ * Mongoose getter: decrypt on read. Legacy plaintext passes through until migrated.
+ */
+export function decryptField(value) {
+    if (!isEncrypted(value)) return value;
+    return decrypt(value);
+}
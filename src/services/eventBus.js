@@ -0,0 +1,175 @@
+/**
+ * Event Bus - Delivers SSE messages to whichever instance holds the user's stream
+ *
+ * Every instance subscribes and writes the messages for its own connections.
+ * Messages are plain objects: { type: 'user', email, event, data, id },
+ * { type: 'broadcast', event, data } or { type: 'close_sessions', sessionIds }.
+ */
+
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import config from '../config.js';
+import { BusMessage } from '../models/BusMessage.js';
+import { BusInstance } from '../models/BusInstance.js';
+import { instanceId } from './scheduler.js';
+
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 5000;
+
+/**
+ * @typedef {Object} EventBus
+ * @property {(message: Object) => Promise<void>} publish - Deliver to every instance, this one included
+ * @property {(handler: (message: Object) => void) => void} subscribe
+ * @property {(count: number) => void} setLocalConnections - This instance's open streams
+ * @property {() => Promise<number>} getConnectionCount - Open streams across the cluster
+ * @property {() => void} start
+ * @property {() => void} stop
+ */
+
+/**
+ * Single-process bus
+ *
+ * @returns {EventBus}
+ */
+export function createMemoryEventBus() {
+    const emitter = new EventEmitter();
+    let localConnections = 0;
+
+    return {
+        async publish(message) {
+            emitter.emit('message', message);
+        },
+        subscribe(handler) {
+            emitter.on('message', handler);
+        },
+        setLocalConnections(count) {
+            localConnections = count;
+        },
+        async getConnectionCount() {
+            return localConnections;
+        },
+        start() { },
+        stop() { },
+    };
+}
+
+/**
+ * Multi-instance bus over a capped collection. Works on a standalone mongod
+ * (change streams would need a replica set). Local subscribers get messages
+ * immediately; other instances pick them up by tailing the collection.
+ *
+ * @returns {EventBus}
+ */
+export function createMongoEventBus() {
+    const emitter = new EventEmitter();
+    let localConnections = 0;
+    let running = false;
+    let cursor = null;
+    let heartbeatTimer = null;
+    let retryTimer = null;
+
+    // Docs stamped with the newest timestamp seen, so re-tailing from it skips them
+    const seenAtLast = new Set();
+
+    async function tail(since) {
+        // Only messages published after we started (or last saw); the tail replays nothing older
+        let lastSeen = since;
+
+        cursor = BusMessage.find({ at: { $gte: since } })
+            .tailable(true, { awaitData: true })
+            .lean()
+            .cursor();
+
+        for await (const doc of cursor) {
+            const id = String(doc._id);
+            if (doc.at > lastSeen) {
+                lastSeen = doc.at;
+                seenAtLast.clear();
+            } else if (seenAtLast.has(id)) {
+                continue;
+            }
+            seenAtLast.add(id);
+
+            if (doc.origin !== instanceId) emitter.emit('message', doc.message);
+        }
+        return lastSeen;
+    }
+
+    async function run(since) {
+        while (running) {
+            if (mongoose.connection.readyState !== 1) {
+                await new Promise(resolve => { retryTimer = setTimeout(resolve, RETRY_MS); });
+                continue;
+            }
+
+            try {
+                // The capped collection must exist before it can be tailed
+                await BusMessage.createCollection().catch(() => { });
+                since = await tail(since);
+            } catch (error) {
+                if (running) console.error('Event bus tail failed, retrying:', error.message);
+            }
+            if (running) await new Promise(resolve => { retryTimer = setTimeout(resolve, RETRY_MS); });
+        }
+    }
+
+    async function heartbeat() {
+        if (mongoose.connection.readyState !== 1) return;
+        await BusInstance.updateOne(
+            { _id: instanceId },
+            { connections: localConnections, expiresAt: new Date(Date.now() + HEARTBEAT_MS * 3) },
+            { upsert: true }
+        ).catch(error => console.error('Event bus heartbeat failed:', error.message));
+    }
+
+    return {
+        async publish(message) {
+            emitter.emit('message', message);
+            try {
+                await BusMessage.create({ origin: instanceId, message });
+            } catch (error) {
+                // Local streams already have it; other instances miss it (clients can replay)
+                console.error('Event bus publish failed:', error.message);
+            }
+        },
+
+        subscribe(handler) {
+            emitter.on('message', handler);
+        },
+
+        setLocalConnections(count) {
+            localConnections = count;
+        },
+
+        async getConnectionCount() {
+            const cutoff = new Date();
+            const [result] = await BusInstance.aggregate([
+                { $match: { _id: { $ne: instanceId }, expiresAt: { $gt: cutoff } } },
+                { $group: { _id: null, total: { $sum: '$connections' } } },
+            ]);
+            return localConnections + (result?.total || 0);
+        },
+
+        start() {
+            if (running) return;
+            running = true;
+            run(new Date());
+
+            heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+            heartbeatTimer.unref?.();
+            console.log(`🚌 Event bus: mongo (instance ${instanceId})`);
+        },
+
+        stop() {
+            running = false;
+            clearInterval(heartbeatTimer);
+            clearTimeout(retryTimer);
+            cursor?.close().catch(() => { });
+            BusInstance.deleteOne({ _id: instanceId }).catch(() => { });
+        },
+    };
+}
+
+export const eventBus = config.eventBus.driver === 'mongo'
+    ? createMongoEventBus()
+    : createMemoryEventBus();
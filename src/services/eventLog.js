@@ -0,0 +1,111 @@
+/**
+ * Event Log - Bounded per-user history of SSE events for Last-Event-ID replay
+ *
+ * Ids are per-user, monotonic integers. The first event after lastId must be
+ * lastId + 1; anything else means the client missed events the log no longer
+ * holds, and replay reports a gap instead.
+ */
+
+import config from '../config.js';
+import { UserEvent } from '../models/UserEvent.js';
+import { EventCounter } from '../models/EventCounter.js';
+
+/**
+ * @typedef {Object} EventLog
+ * @property {(email: string, event: string, data: Object) => Promise<{id: number, event: string, data: Object}>} append
+ * @property {(email: string, lastId: number) => Promise<{events: Object[], gap: boolean}>} since
+ *   Events after lastId, oldest first. gap is true when some were already dropped.
+ */
+
+function checkContinuity(events, lastId, latestId) {
+    if (lastId > latestId) return true; // id from a log we no longer have
+    if (!events.length) return lastId < latestId;
+    return events[0].id !== lastId + 1;
+}
+
+/**
+ * Per-process log. Counters start at the current time in ms, so ids issued
+ * after a restart are still larger than any the client saw before it.
+ *
+ * @returns {EventLog}
+ */
+export function createMemoryEventLog({ size, maxAgeMs }) {
+    const logs = new Map(); // email -> { lastId, events: [{ id, event, data, at }] }
+
+    function prune(log) {
+        const cutoff = Date.now() - maxAgeMs;
+        while (log.events.length > size || (log.events.length && log.events[0].at < cutoff)) {
+            log.events.shift();
+        }
+    }
+
+    return {
+        async append(email, event, data) {
+            let log = logs.get(email);
+            if (!log) {
+                log = { lastId: Date.now(), events: [] };
+                logs.set(email, log);
+            }
+
+            const entry = { id: ++log.lastId, event, data, at: Date.now() };
+            log.events.push(entry);
+            prune(log);
+            return entry;
+        },
+
+        async since(email, lastId) {
+            const log = logs.get(email);
+            if (!log) return { events: [], gap: lastId > 0 };
+
+            prune(log);
+            const events = log.events.filter(entry => entry.id > lastId);
+            return { events, gap: checkContinuity(events, lastId, log.lastId) };
+        },
+    };
+}
+
+/**
+ * Shared across instances and restarts. Events expire after maxAgeMs and each
+ * user keeps at most `size` of them.
+ *
+ * @returns {EventLog}
+ */
+export function createMongoEventLog({ size, maxAgeMs }) {
+    return {
+        async append(email, event, data) {
+            const counter = await EventCounter.findOneAndUpdate(
+                { _id: email },
+                { $inc: { seq: 1 } },
+                { upsert: true, new: true }
+            );
+            const id = counter.seq;
+
+            await UserEvent.create({ email, seq: id, event, data, expiresAt: new Date(Date.now() + maxAgeMs) });
+
+            // Trim in batches rather than on every write
+            if (id % 20 === 0) {
+                await UserEvent.deleteMany({ email, seq: { $lte: id - size } });
+            }
+            return { id, event, data };
+        },
+
+        async since(email, lastId) {
+            const [docs, counter] = await Promise.all([
+                UserEvent.find({ email, seq: { $gt: lastId } }).sort({ seq: 1 }).limit(size).lean(),
+                EventCounter.findById(email).lean(),
+            ]);
+
+            const events = docs.map(doc => ({ id: doc.seq, event: doc.event, data: doc.data }));
+            return { events, gap: checkContinuity(events, lastId, counter?.seq || 0) };
+        },
+    };
+}
+
+const options = {
+    size: config.eventLog.size,
+    maxAgeMs: config.eventLog.maxAgeHours * 60 * 60 * 1000,
+};
+
+export const eventLog = config.eventLog.store === 'mongo'
+    ? createMongoEventLog(options)
+    : createMemoryEventLog(options);
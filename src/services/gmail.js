@@ -4,6 +4,7 @@
 
 import { google } from 'googleapis';
 import config from '../config.js';
+import { buildMimeMessage, looksLikeHtml, toBase64Url } from './mime.js';
 
 const SCOPES = [
     'https://www.googleapis.com/auth/gmail.readonly',
@@ -45,13 +46,42 @@ export async function getUserInfo(accessToken) {
     return data;
 }
 
-function getGmailClient(accessToken, refreshToken) {
+/**
+ * OAuth2 client for a user's stored credentials.
+ *
+ * @param {Object} credentials - { accessToken, refreshToken, expiryDate, onTokens }
+ *   onTokens receives tokens googleapis refreshes so they can be persisted
+ */
+export function getAuthorizedClient({ accessToken, refreshToken, expiryDate, onTokens }) {
     const oauth2Client = getOAuth2Client();
     oauth2Client.setCredentials({
         access_token: accessToken,
         refresh_token: refreshToken,
+        expiry_date: expiryDate,
     });
-    return google.gmail({ version: 'v1', auth: oauth2Client });
+
+    if (onTokens) {
+        oauth2Client.on('tokens', (tokens) => {
+            Promise.resolve(onTokens(tokens)).catch((error) => {
+                console.error('Failed to persist refreshed Google tokens:', error.message);
+            });
+        });
+    }
+
+    return oauth2Client;
+}
+
+/**
+ * Revoke the user's Google grant (refresh token revokes the whole grant)
+ */
+export async function revokeGoogleGrant(credentials) {
+    const oauth2Client = getOAuth2Client();
+    await oauth2Client.revokeToken(credentials.refreshToken || credentials.accessToken);
+    return true;
+}
+
+function getGmailClient(credentials) {
+    return google.gmail({ version: 'v1', auth: getAuthorizedClient(credentials) });
 }
 
 function parseEmailAddress(raw) {
@@ -76,16 +106,35 @@ function decodeBase64(data) {
     return Buffer.from(data, 'base64').toString('utf-8');
 }
 
+function getPartAttachment(part) {
+    const headers = part.headers || [];
+    const contentId = getHeader(headers, 'Content-ID').replace(/^<|>$/g, '') || null;
+    const disposition = getHeader(headers, 'Content-Disposition');
+
+    return {
+        filename: part.filename || 'attachment',
+        mimeType: part.mimeType || 'application/octet-stream',
+        size: part.body?.size || 0,
+        attachmentId: part.body?.attachmentId,
+        contentId,
+        inline: /^inline/i.test(disposition) || (!!contentId && !/^attachment/i.test(disposition)),
+    };
+}
+
 function extractBody(payload) {
     let textBody = null;
     let htmlBody = null;
+    const attachments = [];
 
     function processPart(part) {
         const mimeType = part.mimeType || '';
 
-        if (mimeType === 'text/plain' && part.body?.data) {
+        if (part.body?.attachmentId) {
+            // Files (and large inline images) are stored separately and fetched by attachmentId
+            attachments.push(getPartAttachment(part));
+        } else if (mimeType === 'text/plain' && part.body?.data && !part.filename) {
             textBody = decodeBase64(part.body.data);
-        } else if (mimeType === 'text/html' && part.body?.data) {
+        } else if (mimeType === 'text/html' && part.body?.data && !part.filename) {
             htmlBody = decodeBase64(part.body.data);
         } else if (part.parts) {
             part.parts.forEach(processPart);
@@ -103,7 +152,7 @@ function extractBody(payload) {
         }
     }
 
-    return { textBody, htmlBody };
+    return { textBody, htmlBody, attachments };
 }
 
 function parseMessage(message, includeBody = false) {
@@ -138,16 +187,18 @@ function parseMessage(message, includeBody = false) {
     };
 
     if (includeBody) {
-        const { textBody, htmlBody } = extractBody(message.payload);
+        const { textBody, htmlBody, attachments } = extractBody(message.payload);
         email.body_text = textBody;
         email.body_html = htmlBody;
+        email.attachments = attachments;
+        email.has_attachments = attachments.some(a => !a.inline);
     }
 
     return email;
 }
 
-export async function getInbox(accessToken, refreshToken, options = {}) {
-    const gmail = getGmailClient(accessToken, refreshToken);
+export async function getInbox(credentials, options = {}) {
+    const gmail = getGmailClient(credentials);
 
     let query = 'in:inbox';
     if (options.from_address) query += ` from:${options.from_address}`;
@@ -207,8 +258,8 @@ export async function getInbox(accessToken, refreshToken, options = {}) {
     };
 }
 
-export async function getSent(accessToken, refreshToken, options = {}) {
-    const gmail = getGmailClient(accessToken, refreshToken);
+export async function getSent(credentials, options = {}) {
+    const gmail = getGmailClient(credentials);
 
     const listResponse = await gmail.users.messages.list({
         userId: 'me',
@@ -240,8 +291,8 @@ export async function getSent(accessToken, refreshToken, options = {}) {
     };
 }
 
-export async function getEmail(accessToken, refreshToken, emailId) {
-    const gmail = getGmailClient(accessToken, refreshToken);
+export async function getEmail(credentials, emailId) {
+    const gmail = getGmailClient(credentials);
 
     const response = await gmail.users.messages.get({
         userId: 'me',
@@ -252,13 +303,14 @@ export async function getEmail(accessToken, refreshToken, emailId) {
     return parseMessage(response.data, true);
 } // ... (rest of file)
 
-export async function searchEmails(accessToken, refreshToken, query, maxResults = 20) {
-    const gmail = getGmailClient(accessToken, refreshToken);
+export async function searchEmails(credentials, query, maxResults = 20, pageToken) {
+    const gmail = getGmailClient(credentials);
 
     const listResponse = await gmail.users.messages.list({
         userId: 'me',
         q: query,
         maxResults,
+        pageToken,
     });
 
     const messages = listResponse.data.messages || [];
@@ -284,8 +336,8 @@ export async function searchEmails(accessToken, refreshToken, query, maxResults
     };
 }
 
-export async function markAsRead(accessToken, refreshToken, emailId) {
-    const gmail = getGmailClient(accessToken, refreshToken);
+export async function markAsRead(credentials, emailId) {
+    const gmail = getGmailClient(credentials);
 
     await gmail.users.messages.modify({
         userId: 'me',
@@ -298,8 +350,8 @@ export async function markAsRead(accessToken, refreshToken, emailId) {
     return true;
 }
 
-export async function markAsUnread(accessToken, refreshToken, emailId) {
-    const gmail = getGmailClient(accessToken, refreshToken);
+export async function markAsUnread(credentials, emailId) {
+    const gmail = getGmailClient(credentials);
 
     await gmail.users.messages.modify({
         userId: 'me',
@@ -312,8 +364,41 @@ export async function markAsUnread(accessToken, refreshToken, emailId) {
     return true;
 }
 
-export async function trashEmail(accessToken, refreshToken, emailId) {
-    const gmail = getGmailClient(accessToken, refreshToken);
+export async function modifyLabels(credentials, emailId, { addLabelIds = [], removeLabelIds = [] }) {
+    const gmail = getGmailClient(credentials);
+
+    const { data } = await gmail.users.messages.modify({
+        userId: 'me',
+        id: emailId,
+        requestBody: {
+            addLabelIds,
+            removeLabelIds,
+        },
+    });
+
+    return data.labelIds || [];
+}
+
+/**
+ * Apply the same label changes to up to 1000 messages in one request
+ */
+export async function batchModifyLabels(credentials, emailIds, { addLabelIds = [], removeLabelIds = [] }) {
+    const gmail = getGmailClient(credentials);
+
+    await gmail.users.messages.batchModify({
+        userId: 'me',
+        requestBody: {
+            ids: emailIds,
+            addLabelIds,
+            removeLabelIds,
+        },
+    });
+
+    return true;
+}
+
+export async function trashEmail(credentials, emailId) {
+    const gmail = getGmailClient(credentials);
 
     await gmail.users.messages.trash({
         userId: 'me',
@@ -323,8 +408,22 @@ export async function trashEmail(accessToken, refreshToken, emailId) {
     return true;
 }
 
-export async function getEmailCount(accessToken, refreshToken, labelId = 'INBOX') {
-    const gmail = getGmailClient(accessToken, refreshToken);
+/**
+ * Move a message out of trash; returns its labels afterwards
+ */
+export async function untrashEmail(credentials, emailId) {
+    const gmail = getGmailClient(credentials);
+
+    const { data } = await gmail.users.messages.untrash({
+        userId: 'me',
+        id: emailId,
+    });
+
+    return data.labelIds || [];
+}
+
+export async function getEmailCount(credentials, labelId = 'INBOX') {
+    const gmail = getGmailClient(credentials);
 
     const { data } = await gmail.users.labels.get({
         userId: 'me',
@@ -334,8 +433,97 @@ export async function getEmailCount(accessToken, refreshToken, labelId = 'INBOX'
     return data.messagesTotal || 0;
 }
 
-export async function getThread(accessToken, refreshToken, threadId) {
-    const gmail = getGmailClient(accessToken, refreshToken);
+function parseLabel(label) {
+    return {
+        id: label.id,
+        name: label.name,
+        type: label.type === 'system' ? 'system' : 'user',
+        color: label.color ? { textColor: label.color.textColor, backgroundColor: label.color.backgroundColor } : null,
+        ...(label.messagesTotal !== undefined && {
+            messagesTotal: label.messagesTotal,
+            messagesUnread: label.messagesUnread || 0,
+        }),
+    };
+}
+
+function toLabelRequest({ name, color }) {
+    const requestBody = {};
+    if (name !== undefined) requestBody.name = name;
+    // Gmail only accepts colors from its own palette; anything else is a 400
+    if (color !== undefined) {
+        requestBody.color = color && { textColor: color.textColor, backgroundColor: color.backgroundColor };
+    }
+    return requestBody;
+}
+
+export async function listLabels(credentials) {
+    const gmail = getGmailClient(credentials);
+
+    const { data } = await gmail.users.labels.list({ userId: 'me' });
+
+    return (data.labels || []).map(parseLabel);
+}
+
+/**
+ * Single label with message counts
+ */
+export async function getLabel(credentials, labelId) {
+    const gmail = getGmailClient(credentials);
+
+    const { data } = await gmail.users.labels.get({
+        userId: 'me',
+        id: labelId,
+    });
+
+    return parseLabel(data);
+}
+
+export async function createLabel(credentials, label) {
+    const gmail = getGmailClient(credentials);
+
+    const { data } = await gmail.users.labels.create({
+        userId: 'me',
+        requestBody: {
+            labelListVisibility: 'labelShow',
+            messageListVisibility: 'show',
+            ...toLabelRequest(label),
+        },
+    });
+
+    return parseLabel(data);
+}
+
+/**
+ * Rename and/or recolor a user label
+ */
+export async function updateLabel(credentials, labelId, changes) {
+    const gmail = getGmailClient(credentials);
+
+    const { data } = await gmail.users.labels.patch({
+        userId: 'me',
+        id: labelId,
+        requestBody: toLabelRequest(changes),
+    });
+
+    return parseLabel(data);
+}
+
+/**
+ * Delete a user label; messages keep everything but this label
+ */
+export async function deleteLabel(credentials, labelId) {
+    const gmail = getGmailClient(credentials);
+
+    await gmail.users.labels.delete({
+        userId: 'me',
+        id: labelId,
+    });
+
+    return true;
+}
+
+export async function getThread(credentials, threadId) {
+    const gmail = getGmailClient(credentials);
 
     const response = await gmail.users.threads.get({
         userId: 'me',
@@ -348,3 +536,248 @@ export async function getThread(accessToken, refreshToken, threadId) {
     return response.data.messages.map(msg => parseMessage(msg, true));
 }
 
+
+/**
+ * Look up the threading headers of the message being replied to
+ */
+async function getReplyContext(gmail, messageId) {
+    const { data } = await gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'metadata',
+        metadataHeaders: ['Message-ID', 'References', 'Subject'],
+        fields: 'id,threadId,payload(headers)',
+    });
+
+    const headers = data.payload?.headers || [];
+    const rfcMessageId = getHeader(headers, 'Message-ID');
+    const references = getHeader(headers, 'References');
+
+    return {
+        threadId: data.threadId,
+        subject: getHeader(headers, 'Subject'),
+        inReplyTo: rfcMessageId || undefined,
+        references: [references, rfcMessageId].filter(Boolean).join(' ') || undefined,
+    };
+}
+
+/**
+ * Build the raw MIME message (and thread placement) shared by send and drafts
+ */
+async function composeMessage(gmail, { to, cc, bcc, subject, body, replyToId, attachments = [] }) {
+    let threadId;
+    let inReplyTo;
+    let references;
+
+    if (replyToId) {
+        const reply = await getReplyContext(gmail, replyToId);
+        threadId = reply.threadId;
+        inReplyTo = reply.inReplyTo;
+        references = reply.references;
+
+        // Gmail only threads replies whose subject matches the original
+        if (!subject) subject = reply.subject;
+        if (subject && !/^re:/i.test(subject.trim())) subject = `Re: ${subject}`;
+    }
+
+    const isHtml = looksLikeHtml(body);
+    const raw = buildMimeMessage({
+        to,
+        cc,
+        bcc,
+        subject,
+        html: isHtml ? body : undefined,
+        text: isHtml ? undefined : body,
+        inReplyTo,
+        references,
+        attachments,
+    });
+
+    return { raw, threadId, hasAttachments: attachments.length > 0 };
+}
+
+/**
+ * Request params for a composed message. Messages with files go through
+ * media upload (raw requestBody is capped at 5MB).
+ */
+function toMessageRequest({ raw, threadId, hasAttachments }) {
+    if (hasAttachments) {
+        return {
+            message: { threadId },
+            media: { mimeType: 'message/rfc822', body: raw },
+        };
+    }
+    return {
+        message: { raw: toBase64Url(raw), threadId },
+    };
+}
+
+export async function sendEmail(credentials, options) {
+    const gmail = getGmailClient(credentials);
+
+    const { message, media } = toMessageRequest(await composeMessage(gmail, options));
+    const { data } = await gmail.users.messages.send({
+        userId: 'me',
+        requestBody: message,
+        media,
+    });
+
+    return {
+        id: data.id,
+        threadId: data.threadId,
+        labels: data.labelIds || [],
+    };
+}
+
+function parseDraft(draft, includeBody = false) {
+    return {
+        id: draft.id,
+        message: draft.message?.payload ? parseMessage(draft.message, includeBody) : {
+            id: draft.message?.id,
+            threadId: draft.message?.threadId,
+        },
+    };
+}
+
+export async function listDrafts(credentials, options = {}) {
+    const gmail = getGmailClient(credentials);
+
+    const listResponse = await gmail.users.drafts.list({
+        userId: 'me',
+        maxResults: options.maxResults || 20,
+        pageToken: options.pageToken,
+        q: options.query,
+    });
+
+    const drafts = listResponse.data.drafts || [];
+
+    // Parallel fetch for better performance
+    const promises = drafts.map(async (draft) => {
+        const fullDraft = await gmail.users.drafts.get({
+            userId: 'me',
+            id: draft.id,
+            format: 'metadata',
+        });
+        return parseDraft(fullDraft.data);
+    });
+
+    return {
+        drafts: await Promise.all(promises),
+        nextPageToken: listResponse.data.nextPageToken,
+        resultSizeEstimate: listResponse.data.resultSizeEstimate,
+    };
+}
+
+export async function getDraft(credentials, draftId) {
+    const gmail = getGmailClient(credentials);
+
+    const response = await gmail.users.drafts.get({
+        userId: 'me',
+        id: draftId,
+        format: 'full',
+    });
+
+    return parseDraft(response.data, true);
+}
+
+export async function createDraft(credentials, options) {
+    const gmail = getGmailClient(credentials);
+
+    const { message, media } = toMessageRequest(await composeMessage(gmail, options));
+    const { data } = await gmail.users.drafts.create({
+        userId: 'me',
+        requestBody: { message },
+        media,
+    });
+
+    return parseDraft(data);
+}
+
+export async function updateDraft(credentials, draftId, options) {
+    const gmail = getGmailClient(credentials);
+
+    const { message, media } = toMessageRequest(await composeMessage(gmail, options));
+    const { data } = await gmail.users.drafts.update({
+        userId: 'me',
+        id: draftId,
+        requestBody: { id: draftId, message },
+        media,
+    });
+
+    return parseDraft(data);
+}
+
+export async function deleteDraft(credentials, draftId) {
+    const gmail = getGmailClient(credentials);
+
+    await gmail.users.drafts.delete({
+        userId: 'me',
+        id: draftId,
+    });
+
+    return true;
+}
+
+export async function sendDraft(credentials, draftId) {
+    const gmail = getGmailClient(credentials);
+
+    const { data } = await gmail.users.drafts.send({
+        userId: 'me',
+        requestBody: { id: draftId },
+    });
+
+    return {
+        id: data.id,
+        threadId: data.threadId,
+        labels: data.labelIds || [],
+    };
+}
+
+/**
+ * Find attachment metadata (filename, mimeType) for a part of a message
+ */
+function findAttachmentPart(payload, attachmentId) {
+    if (!payload) return null;
+    if (payload.body?.attachmentId === attachmentId) return payload;
+
+    for (const part of payload.parts || []) {
+        const found = findAttachmentPart(part, attachmentId);
+        if (found) return found;
+    }
+    return null;
+}
+
+export async function getAttachment(credentials, emailId, attachmentId) {
+    const gmail = getGmailClient(credentials);
+
+    const [messageResponse, attachmentResponse] = await Promise.all([
+        gmail.users.messages.get({
+            userId: 'me',
+            id: emailId,
+            format: 'full',
+            fields: 'payload',
+        }),
+        gmail.users.messages.attachments.get({
+            userId: 'me',
+            messageId: emailId,
+            id: attachmentId,
+        }),
+    ]);
+
+    const part = findAttachmentPart(messageResponse.data.payload, attachmentId);
+    const metadata = part ? getPartAttachment(part) : {
+        filename: 'attachment',
+        mimeType: 'application/octet-stream',
+        contentId: null,
+        inline: false,
+    };
+
+    const content = Buffer.from(attachmentResponse.data.data || '', 'base64url');
+
+    return {
+        ...metadata,
+        size: content.length,
+        attachmentId,
+        content,
+    };
+}
@@ -0,0 +1,92 @@
+/**
+ * Label Service - Per-user label directory for turning label ids into names
+ * and back
+ *
+ * Directories are cached in memory for a few minutes. Label changes made through
+ * this instance drop the cached copy straight away; other instances catch up
+ * when theirs expires.
+ */
+
+const DIRECTORY_TTL_MS = 5 * 60 * 1000;
+
+// userId -> { expiresAt, directory: Promise<{ byId, byName }> }
+const directories = new Map();
+
+function buildDirectory(labels) {
+    return {
+        byId: new Map(labels.map(label => [label.id, label])),
+        byName: new Map(labels.map(label => [label.name.toLowerCase(), label])),
+    };
+}
+
+/**
+ * The user's labels indexed by id and lower-cased name, or null when the
+ * provider has no label directory (IMAP labels are already names)
+ */
+export function getLabelDirectory(provider, userId) {
+    if (!provider.labels) return Promise.resolve(null);
+
+    const key = String(userId);
+    const cached = directories.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.directory;
+
+    const directory = provider.labels.list().then(buildDirectory);
+    directories.set(key, { expiresAt: Date.now() + DIRECTORY_TTL_MS, directory });
+    directory.catch(() => directories.delete(key));
+    return directory;
+}
+
+export function invalidateLabelDirectory(userId) {
+    directories.delete(String(userId));
+}
+
+/**
+ * Add label_names (same order as labels) to parsed emails. Ids that aren't in the
+ * directory, or every id if it can't be loaded, are passed through unchanged.
+ */
+export async function addLabelNames(provider, userId, emails) {
+    let directory = null;
+    try {
+        directory = await getLabelDirectory(provider, userId);
+    } catch (error) {
+        console.error('Failed to load labels:', error.message);
+    }
+
+    return emails.map(email => ({
+        ...email,
+        label_names: (email.labels || []).map(id => directory?.byId.get(id)?.name ?? id),
+    }));
+}
+
+/**
+ * Resolve label names (case-insensitive) or ids to ids.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Create labels that don't exist yet
+ * @returns {Promise<{ids: string[], unknown: string[]}>} unknown lists values that matched nothing
+ */
+export async function resolveLabelIds(provider, userId, values = [], { create = false } = {}) {
+    if (!values.length) return { ids: [], unknown: [] };
+
+    const directory = await getLabelDirectory(provider, userId);
+    if (!directory) return { ids: [...values], unknown: [] };
+
+    const ids = [];
+    const unknown = [];
+
+    for (const value of new Set(values)) {
+        const label = directory.byId.get(value) || directory.byName.get(String(value).trim().toLowerCase());
+        if (label) {
+            ids.push(label.id);
+        } else if (create) {
+            const created = await provider.labels.create({ name: String(value).trim() });
+            directory.byId.set(created.id, created);
+            directory.byName.set(created.name.toLowerCase(), created);
+            ids.push(created.id);
+        } else {
+            unknown.push(value);
+        }
+    }
+
+    return { ids, unknown };
+}
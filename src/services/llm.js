@@ -0,0 +1,453 @@
+/**
+ * LLM - Chat model providers behind one interface
+ *
+ * LLM_PROVIDER picks the deployment's provider: 'openai', 'openai-compatible' (any
+ * server speaking the OpenAI chat API at LLM_BASE_URL: Ollama, vLLM, LM Studio),
+ * 'anthropic', or 'fake' (deterministic replies, no network; tests and offline
+ * development). Users can switch to another "provider:model" from LLM_USER_MODELS
+ * with PATCH /auth/me, e.g. to keep their mail on a local server.
+ *
+ * Requests and replies use the OpenAI chat shapes the rest of the app speaks:
+ * system/user/assistant/tool messages, assistant tool_calls, and tools as OpenAI
+ * function definitions. Adapters translate for other APIs.
+ */
+
+import OpenAI from 'openai/index.mjs';
+import config from '../config.js';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+// Anthropic requires a cap on reply length
+const MAX_OUTPUT_TOKENS = 4096;
+
+// Models used unless LLM_MODEL / LLM_FAST_MODEL say otherwise. Fast models do
+// high-volume background work (triage); the others chat, summarize and draft.
+const DEFAULT_MODELS = {
+    'openai': { model: 'gpt-4o', fastModel: 'gpt-4o-mini' },
+    'openai-compatible': { model: 'llama3.1', fastModel: 'llama3.1' },
+    'anthropic': { model: 'claude-sonnet-4-5', fastModel: 'claude-haiku-4-5' },
+    'fake': { model: 'fake', fastModel: 'fake' },
+};
+
+export const LLM_PROVIDERS = Object.keys(DEFAULT_MODELS);
+
+/**
+ * @typedef {Object} ChatRequest
+ * @property {string} model
+ * @property {Object[]} messages - OpenAI chat messages
+ * @property {Object[]} [tools] - OpenAI function tools
+ * @property {'auto'|'none'} [toolChoice] - 'none' forces a text answer
+ * @property {boolean} [json] - Reply with a single JSON object
+ * @property {number} [temperature]
+ */
+
+/**
+ * @typedef {Object} ChatReply
+ * @property {string} content - Text of the reply ('' when it only calls tools)
+ * @property {{id: string, name: string, arguments: Object}[]} toolCalls
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} id - One of LLM_PROVIDERS
+ * @property {{model: string, fastModel: string}} defaults
+ * @property {(request: ChatRequest) => Promise<ChatReply>} complete
+ * @property {(request: ChatRequest) => AsyncGenerator<{type: 'text', content: string}, ChatReply>} stream -
+ *   Yields text as it arrives and returns the whole reply
+ */
+
+function parseArguments(raw) {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * @param {Object} options - { id?, apiKey, baseUrl?, model, fastModel }
+ * @returns {LLMProvider}
+ */
+export function createOpenAIProvider({ id = 'openai', apiKey, baseUrl, model, fastModel }) {
+    // Local servers usually ignore the key, but the client requires one
+    const client = new OpenAI({ apiKey: apiKey || 'unused', ...(baseUrl && { baseURL: baseUrl }) });
+
+    function toParams({ model, messages, tools, toolChoice, json, temperature }) {
+        return {
+            model,
+            messages,
+            ...(tools?.length && { tools, tool_choice: toolChoice || 'auto' }),
+            ...(json && { response_format: { type: 'json_object' } }),
+            ...(temperature !== undefined && { temperature }),
+        };
+    }
+
+    return {
+        id,
+        defaults: { model, fastModel },
+
+        async complete(request) {
+            const response = await client.chat.completions.create(toParams(request));
+            const message = response.choices[0].message;
+
+            return {
+                content: message.content || '',
+                toolCalls: (message.tool_calls || []).map(toolCall => ({
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    arguments: parseArguments(toolCall.function.arguments),
+                })),
+            };
+        },
+
+        async *stream(request) {
+            const stream = await client.chat.completions.create({ ...toParams(request), stream: true });
+
+            let content = '';
+            const collected = [];
+
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta;
+
+                if (delta?.content) {
+                    content += delta.content;
+                    yield { type: 'text', content: delta.content };
+                }
+
+                // Tool calls arrive in pieces, keyed by index
+                for (const toolCall of delta?.tool_calls || []) {
+                    if (toolCall.index === undefined) continue;
+                    const call = collected[toolCall.index] ||= { id: '', name: '', arguments: '' };
+                    if (toolCall.id) call.id = toolCall.id;
+                    if (toolCall.function?.name) call.name = toolCall.function.name;
+                    if (toolCall.function?.arguments) call.arguments += toolCall.function.arguments;
+                }
+            }
+
+            return {
+                content,
+                toolCalls: collected.filter(Boolean).map(call => ({ ...call, arguments: parseArguments(call.arguments) })),
+            };
+        },
+    };
+}
+
+/**
+ * Anthropic takes the system prompt separately, tool calls and results as content
+ * blocks, and strictly alternating user/assistant turns
+ */
+function toAnthropicMessages(messages) {
+    const system = [];
+    const turns = [];
+
+    const push = (role, blocks) => {
+        if (!blocks.length) return;
+        const last = turns[turns.length - 1];
+        if (last?.role === role) last.content.push(...blocks);
+        else turns.push({ role, content: blocks });
+    };
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            system.push(message.content);
+        } else if (message.role === 'tool') {
+            push('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]);
+        } else if (message.role === 'assistant') {
+            push('assistant', [
+                ...(message.content ? [{ type: 'text', text: message.content }] : []),
+                ...(message.tool_calls || []).map(toolCall => ({
+                    type: 'tool_use',
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    input: parseArguments(toolCall.function.arguments),
+                })),
+            ]);
+        } else {
+            push('user', message.content ? [{ type: 'text', text: message.content }] : []);
+        }
+    }
+
+    return { system: system.join('\n\n'), messages: turns };
+}
+
+/**
+ * The JSON object in a reply that may have text or code fences around it
+ */
+function extractJson(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+/**
+ * Server-sent events from a fetch response body, parsed as JSON
+ */
+async function* readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const data = buffer.slice(0, end)
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('\n');
+            buffer = buffer.slice(end + 2);
+            if (data) yield JSON.parse(data);
+        }
+    }
+}
+
+/**
+ * Anthropic Messages API over plain HTTP
+ *
+ * @param {Object} options - { apiKey, baseUrl?, model, fastModel }
+ * @returns {LLMProvider}
+ */
+export function createAnthropicProvider({ apiKey, baseUrl = ANTHROPIC_API_URL, model, fastModel }) {
+    function toBody({ model, messages, tools, toolChoice, json, temperature }) {
+        const { system, messages: turns } = toAnthropicMessages(messages);
+        const instructions = json ? `${system}\n\nReply with a single JSON object and nothing else.`.trim() : system;
+
+        return {
+            model,
+            max_tokens: MAX_OUTPUT_TOKENS,
+            messages: turns,
+            ...(instructions && { system: instructions }),
+            ...(tools?.length && {
+                tools: tools.map(tool => ({
+                    name: tool.function.name,
+                    description: tool.function.description,
+                    input_schema: tool.function.parameters,
+                })),
+                tool_choice: { type: toolChoice === 'none' ? 'none' : 'auto' },
+            }),
+            ...(temperature !== undefined && { temperature }),
+        };
+    }
+
+    async function post(body) {
+        const response = await fetch(`${baseUrl}/messages`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': ANTHROPIC_VERSION,
+            },
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            const details = await response.json().catch(() => null);
+            const error = new Error(`Anthropic API error: ${details?.error?.message || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    return {
+        id: 'anthropic',
+        defaults: { model, fastModel },
+
+        async complete(request) {
+            const response = await (await post(toBody(request))).json();
+
+            const text = response.content.filter(block => block.type === 'text').map(block => block.text).join('');
+            return {
+                content: request.json ? extractJson(text) : text,
+                toolCalls: response.content
+                    .filter(block => block.type === 'tool_use')
+                    .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+            };
+        },
+
+        async *stream(request) {
+            const response = await post({ ...toBody(request), stream: true });
+
+            let content = '';
+            // Content blocks by index: text, or a tool call whose input arrives as JSON fragments
+            const blocks = [];
+
+            for await (const event of readEvents(response.body)) {
+                if (event.type === 'error') {
+                    throw new Error(`Anthropic API error: ${event.error?.message || 'stream failed'}`);
+                }
+
+                if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+                    blocks[event.index] = { id: event.content_block.id, name: event.content_block.name, arguments: '' };
+                } else if (event.type === 'content_block_delta') {
+                    if (event.delta.type === 'text_delta') {
+                        content += event.delta.text;
+                        yield { type: 'text', content: event.delta.text };
+                    } else if (event.delta.type === 'input_json_delta' && blocks[event.index]) {
+                        blocks[event.index].arguments += event.delta.partial_json;
+                    }
+                }
+            }
+
+            return {
+                content,
+                toolCalls: blocks.filter(Boolean).map(call => ({ ...call, arguments: parseArguments(call.arguments) })),
+            };
+        },
+    };
+}
+
+/**
+ * Scripted replies without a model. Replies come from `script` in order while it
+ * lasts; after that:
+ * - a user message "/tool <name> <json arguments>" calls that tool
+ * - after tool results, the reply names the tools that ran
+ * - JSON requests get "{}"
+ * - anything else is echoed back
+ *
+ * @param {Object} [options] - { script: ChatReply-like objects ({ content?, toolCalls? }) }
+ * @returns {LLMProvider}
+ */
+export function createFakeProvider({ script = [] } = {}) {
+    const queue = [...script];
+
+    function reply({ messages, tools, toolChoice, json }) {
+        if (queue.length) {
+            const next = queue.shift();
+            return { content: next.content || '', toolCalls: next.toolCalls || [] };
+        }
+
+        const last = messages[messages.length - 1];
+        if (json) return { content: '{}', toolCalls: [] };
+
+        if (last?.role === 'tool') {
+            const names = new Map(messages.flatMap(message => message.tool_calls || []).map(call => [call.id, call.function.name]));
+            const ran = new Set(messages.filter(message => message.role === 'tool').map(message => names.get(message.tool_call_id)));
+            return { content: `Done: ${[...ran].join(', ')}.`, toolCalls: [] };
+        }
+
+        const match = /^\/tool\s+(\w+)\s*([\s\S]*)$/.exec(last?.content?.trim() || '');
+        if (match && toolChoice !== 'none' && tools?.some(tool => tool.function.name === match[1])) {
+            return {
+                content: '',
+                toolCalls: [{ id: `fake_call_${messages.length}`, name: match[1], arguments: parseArguments(match[2]) }],
+            };
+        }
+
+        return { content: `You said: ${last?.content || ''}`, toolCalls: [] };
+    }
+
+    return {
+        id: 'fake',
+        defaults: DEFAULT_MODELS.fake,
+
+        async complete(request) {
+            return reply(request);
+        },
+
+        async *stream(request) {
+            const result = reply(request);
+            for (const word of result.content.match(/\S+\s*/g) || []) {
+                yield { type: 'text', content: word };
+            }
+            return result;
+        },
+    };
+}
+
+/**
+ * Whether the deployment has what a provider needs. The fake provider is only
+ * available when it is the deployment's choice.
+ */
+function isConfigured(id) {
+    switch (id) {
+        case 'openai': return Boolean(config.openai.apiKey);
+        case 'openai-compatible': return Boolean(config.llm.baseUrl);
+        case 'anthropic': return Boolean(config.anthropic.apiKey);
+        case 'fake': return config.llm.provider === 'fake';
+        default: return false;
+    }
+}
+
+function createProvider(id) {
+    // LLM_MODEL / LLM_FAST_MODEL apply to the deployment's provider
+    const models = id === config.llm.provider
+        ? { model: config.llm.model || DEFAULT_MODELS[id].model, fastModel: config.llm.fastModel || DEFAULT_MODELS[id].fastModel }
+        : DEFAULT_MODELS[id];
+
+    switch (id) {
+        case 'openai':
+            return createOpenAIProvider({ apiKey: config.openai.apiKey, ...models });
+        case 'openai-compatible':
+            return createOpenAIProvider({ id, apiKey: config.llm.apiKey, baseUrl: config.llm.baseUrl, ...models });
+        case 'anthropic':
+            return createAnthropicProvider({ apiKey: config.anthropic.apiKey, baseUrl: config.anthropic.baseUrl, ...models });
+        case 'fake':
+            return createFakeProvider();
+        default:
+            throw new Error(`Unknown LLM provider: ${id}`);
+    }
+}
+
+// Created on first use, so unused providers need no credentials
+const providers = new Map();
+
+function getProvider(id) {
+    if (!providers.has(id)) providers.set(id, createProvider(id));
+    return providers.get(id);
+}
+
+/**
+ * "provider:model" -> { provider, model }. Model names may contain colons ("llama3.1:8b").
+ */
+function parseChoice(value) {
+    const separator = value.indexOf(':');
+    if (separator === -1) return null;
+    return { provider: value.slice(0, separator), model: value.slice(separator + 1) };
+}
+
+/**
+ * Models users can pick: the deployment default first, then LLM_USER_MODELS
+ * entries whose provider is configured
+ *
+ * @returns {{id: string, provider: string, model: string, default: boolean}[]}
+ */
+export function listModelChoices() {
+    const defaultId = `${config.llm.provider}:${getProvider(config.llm.provider).defaults.model}`;
+
+    const ids = [...new Set([defaultId, ...config.llm.userModels])];
+    return ids
+        .map(parseChoice)
+        .filter(choice => choice?.model && LLM_PROVIDERS.includes(choice.provider) && isConfigured(choice.provider))
+        .map(choice => ({ id: `${choice.provider}:${choice.model}`, ...choice, default: `${choice.provider}:${choice.model}` === defaultId }));
+}
+
+/**
+ * Validate a user's model choice
+ *
+ * @param {string} value - "provider:model", one of listModelChoices()
+ * @returns {{provider: string, model: string}|null} null when it isn't offered
+ */
+export function findModelChoice(value) {
+    const choice = typeof value === 'string' && listModelChoices().find(option => option.id === value);
+    return choice ? { provider: choice.provider, model: choice.model } : null;
+}
+
+/**
+ * The provider and model to use for a user: their own choice while the deployment
+ * still offers it, else the deployment default. Fast work uses the provider's
+ * fast model, so a user on a local server stays on it for everything.
+ *
+ * @param {Object} [user] - User document
+ * @param {Object} [options] - { tier: 'default' | 'fast' }
+ * @returns {{provider: LLMProvider, model: string}}
+ */
+export function getLLM(user, { tier = 'default' } = {}) {
+    const choice = user?.llm?.provider && findModelChoice(`${user.llm.provider}:${user.llm.model}`);
+    const provider = getProvider(choice?.provider || config.llm.provider);
+
+    if (tier === 'fast') return { provider, model: provider.defaults.fastModel };
+    return { provider, model: choice?.model || provider.defaults.model };
+}
@@ -0,0 +1,86 @@
+/**
+ * Mail Servers - Which IMAP/SMTP servers sign-in may connect to
+ *
+ * POST /auth/imap connects to whatever host the caller names, so without checks
+ * it could reach internal services. Hosts must be on IMAP_ALLOWED_HOSTS when that
+ * is set, use a standard mail port, and resolve to public addresses.
+ * IMAP_ALLOW_LOCAL_SERVERS=true lifts the port and address rules (and allows
+ * self-signed certificates) for local test servers.
+ */
+
+import dns from 'dns';
+import net from 'net';
+import config from '../config.js';
+
+const MAIL_PORTS = {
+    imap: [993, 143],
+    smtp: [465, 587],
+};
+
+const DEFAULT_PORTS = { imap: 993, smtp: 465 };
+
+const privateAddresses = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3],
+]) {
+    privateAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    privateAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address, family) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+    const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return privateAddresses.check(mapped[1], 'ipv4');
+    return privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * "mail.example.com" matches itself; ".example.com" matches any subdomain
+ */
+function isAllowedHost(host) {
+    const { allowedHosts } = config.imap;
+    if (!allowedHosts.length) return true;
+    return allowedHosts.some(allowed => allowed.startsWith('.') ? host.endsWith(allowed) : host === allowed);
+}
+
+/**
+ * Check a server the user wants to sign in to
+ *
+ * @param {Object} server - { host, port }
+ * @param {'imap'|'smtp'} kind
+ * @returns {Promise<string|null>} Why it's refused, or null when it's fine
+ */
+export async function checkMailServer(server, kind) {
+    const host = String(server.host || '').trim().toLowerCase().replace(/\.$/, '');
+    if (!host) return `${kind} host is required`;
+
+    if (!isAllowedHost(host)) return `${kind} server ${host} is not allowed`;
+    if (config.imap.allowLocalServers) return null;
+
+    const port = server.port === undefined ? DEFAULT_PORTS[kind] : Number(server.port);
+    if (!MAIL_PORTS[kind].includes(port)) {
+        return `${kind} port must be one of ${MAIL_PORTS[kind].join(', ')}`;
+    }
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch {
+        return `${kind} server ${host} could not be found`;
+    }
+    if (addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+        return `${kind} server ${host} is not reachable from here`;
+    }
+
+    return null;
+}
+
+/**
+ * Self-signed certificates are for local test servers only
+ */
+export function allowsSelfSigned(requested) {
+    return Boolean(requested) && config.imap.allowLocalServers;
+}
@@ -0,0 +1,188 @@
+/**
+ * Mailbox Q&A - Answers questions about the user's mail, citing the messages used
+ *
+ * Candidates come from a Gmail keyword search plus the semantic index (when
+ * enabled), are ranked by similarity to the question, and the best ones are read
+ * in full into a bounded context. The model answers only from that context and
+ * marks each claim with the id of its source message, e.g. "The offsite is on
+ * 12 June [18c4f2a9e1b3d7c0]"; the ids come back as citations the client can show
+ * as email cards.
+ */
+
+import { htmlToText } from './mime.js';
+import { stripQuotedText, describeAddress } from './threadSummary.js';
+import { isSemanticSearchEnabled, isBackfilled, requestEmbeddingBackfill, semanticSearch, rankBySimilarity } from './semanticIndex.js';
+import { getLLM } from './llm.js';
+
+// Retrieval: how many candidates each source contributes, and how many are read in full
+const MAX_CANDIDATES = 20;
+const MAX_SOURCES = 8;
+
+// Budget for the source text sent to the model
+const MAX_SOURCE_CHARS = 2500;
+const MAX_CONTEXT_CHARS = 16000;
+
+const MAX_QUERY_KEYWORDS = 6;
+
+// Shorter bracketed tokens are treated as text, not as (made-up) message ids
+const MIN_ID_LENGTH = 8;
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could',
+    'did', 'do', 'does', 'email', 'emails', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'how', 'i', 'if',
+    'in', 'is', 'it', 'its', 'know', 'me', 'mail', 'my', 'of', 'on', 'or', 'our', 'said', 'say', 'should', 'so',
+    'tell', 'that', 'the', 'their', 'them', 'there', 'they', 'this', 'to', 'us', 'was', 'we', 'were', 'what',
+    'when', 'where', 'which', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your',
+]);
+
+const ANSWER_PROMPT = `You answer questions about the user's email using only the messages provided. Each message starts with its id.
+- After every statement taken from a message, cite it with the message id in square brackets, e.g. "The offsite is on 12 June [18c4f2a9e1b3d7c0]". Cite each source you use; never cite an id that isn't listed.
+- If the messages disagree, prefer the most recent one and say that plans changed.
+- If the messages don't answer the question, say so plainly instead of guessing, and mention anything related that they do say.
+- Keep the answer short: a sentence or two, or a few bullet points. Plain text, no headings.`;
+
+/**
+ * Gmail query for a natural-language question: its distinctive words, any of which may match
+ */
+export function buildKeywordQuery(question) {
+    const words = (question.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+        .map(word => word.replace(/'s$/, ''))
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+    const keywords = [...new Set(words)].slice(0, MAX_QUERY_KEYWORDS);
+
+    if (keywords.length <= 1) return keywords.join('');
+    return `{${keywords.join(' ')}}`;
+}
+
+/**
+ * Candidate messages for a question, most relevant first
+ */
+async function findCandidates(user, provider, question, query) {
+    const { emails: keywordHits } = query
+        ? await provider.search(query, MAX_CANDIDATES)
+        : { emails: [] };
+
+    if (!isSemanticSearchEnabled()) return { candidates: keywordHits, indexing: false };
+
+    const indexing = !isBackfilled(user);
+    if (indexing) await requestEmbeddingBackfill(user);
+
+    const semanticHits = await semanticSearch(user, question, { limit: MAX_CANDIDATES });
+
+    const byId = new Map(keywordHits.map(email => [email.id, email]));
+    for (const email of semanticHits) {
+        if (!byId.has(email.id)) byId.set(email.id, email);
+    }
+
+    return { candidates: await rankBySimilarity(user, question, [...byId.values()]), indexing };
+}
+
+function formatSource(email) {
+    let body = stripQuotedText(email.body_text || htmlToText(email.body_html) || email.snippet || '');
+    if (body.length > MAX_SOURCE_CHARS) body = `${body.slice(0, MAX_SOURCE_CHARS)}\n[...truncated]`;
+
+    return [
+        `--- Message id: ${email.id}`,
+        `From: ${describeAddress(email.from_address)}`,
+        `To: ${(email.to_addresses || []).map(describeAddress).join(', ')}`,
+        `Date: ${email.date}`,
+        `Subject: ${email.subject}`,
+        '',
+        body,
+    ].join('\n');
+}
+
+/**
+ * Read the best candidates in full until MAX_CONTEXT_CHARS is used up
+ */
+async function loadSources(provider, candidates) {
+    const sources = [];
+    let size = 0;
+
+    for (const candidate of candidates.slice(0, MAX_SOURCES)) {
+        let email;
+        try {
+            email = await provider.get(candidate.id);
+        } catch (error) {
+            // Deleted since it was indexed
+            if (error.code !== 404 && error.response?.status !== 404) throw error;
+            continue;
+        }
+
+        const text = formatSource(email);
+        if (sources.length && size + text.length > MAX_CONTEXT_CHARS) break;
+        sources.push({ email, text });
+        size += text.length;
+    }
+
+    return sources;
+}
+
+/**
+ * Keep citation markers that name a source, one id per marker ("[a, b]" becomes
+ * "[a][b]"), and drop markers made up of ids that weren't provided. Brackets
+ * containing words ("[sic]") are left alone.
+ *
+ * @returns {{answer: string, cited: string[]}} cited ids in order of first use
+ */
+function resolveCitations(text, sourceIds) {
+    const cited = [];
+    const answer = text.replace(/(\s*)\[([^\]\n]+)\]/g, (marker, space, inner) => {
+        const ids = inner.split(/\s*[,;]\s*/);
+        if (ids.some(id => /\s/.test(id))) return marker;
+
+        const known = ids.filter(id => sourceIds.has(id));
+        if (!known.length) {
+            return ids.every(id => id.length >= MIN_ID_LENGTH) ? '' : marker;
+        }
+
+        known.forEach(id => cited.includes(id) || cited.push(id));
+        return `${space}${known.map(id => `[${id}]`).join('')}`;
+    });
+    return { answer: answer.trim(), cited };
+}
+
+function toCitation(email) {
+    return {
+        id: email.id,
+        threadId: email.threadId,
+        from: describeAddress(email.from_address),
+        subject: email.subject,
+        date: email.date,
+        snippet: email.snippet,
+    };
+}
+
+/**
+ * Answer a question from the user's mail.
+ *
+ * @param {Object} user - User document
+ * @param {import('../providers/index.js').MailProvider} provider
+ * @param {string} question - e.g. "when is the offsite and who is organising it?"
+ * @param {Object} [options] - { query: Gmail query to use instead of the question's keywords }
+ * @returns {Promise<Object>} { question, query, answer, citations, sources_checked, indexing };
+ *   answer is null when no messages matched
+ */
+export async function askMailbox(user, provider, question, { query } = {}) {
+    const searchQuery = query || buildKeywordQuery(question);
+    const { candidates, indexing } = await findCandidates(user, provider, question, searchQuery);
+    const sources = await loadSources(provider, candidates);
+
+    const result = { question, query: searchQuery, answer: null, citations: [], sources_checked: sources.length, indexing };
+    if (!sources.length) return result;
+
+    const { provider: llm, model } = getLLM(user);
+    const reply = await llm.complete({
+        model,
+        messages: [
+            { role: 'system', content: `${ANSWER_PROMPT}\nToday is ${new Date().toDateString()}.` },
+            { role: 'user', content: `${sources.map(source => source.text).join('\n\n')}\n\n--- Question: ${question}` },
+        ],
+        temperature: 0.2,
+    });
+
+    const byId = new Map(sources.map(source => [source.email.id, source.email]));
+    const { answer, cited } = resolveCitations(reply.content, new Set(byId.keys()));
+
+    return { ...result, answer, citations: cited.map(id => toCitation(byId.get(id))) };
+}
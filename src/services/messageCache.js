@@ -0,0 +1,375 @@
+/**
+ * Message Cache - Per-user message metadata stored in Mongo
+ *
+ * Seeded from Gmail with the last CACHE_WINDOW_DAYS of mail (everything except
+ * spam and trash), then kept current by the history-based webhook pipeline
+ * (jobs/gmailNotification.js). Reads only use it while it's fresh; see isCacheFresh.
+ */
+
+import config from '../config.js';
+import { User } from '../database.js';
+import { MessageMeta } from '../models/MessageMeta.js';
+import { enqueue } from './queue.js';
+
+export const SEED_MESSAGE_CACHE_JOB = 'seed-message-cache';
+
+const MAX_SEED_MESSAGES = 3000;
+const SEED_PAGE_SIZE = 100;
+
+// Queries only use labels every cached message can be checked against
+const FOLDER_LABELS = { inbox: 'INBOX', sent: 'SENT' };
+const FLAG_FILTERS = {
+    unread: { is_read: false },
+    read: { is_read: true },
+    starred: { labels: 'STARRED' },
+    important: { labels: 'IMPORTANT' },
+};
+
+function compareHistoryIds(a, b) {
+    const diff = BigInt(a) - BigInt(b);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+}
+
+/**
+ * Whether history replayed from lastHistoryId keeps the cache correct: it must be
+ * seeded and not behind the webhook's sync cursor (lastHistoryId jumps forward
+ * when a watch is re-registered or history expires).
+ */
+export function isCacheInSync(user) {
+    const cache = user.messageCache;
+    if (!config.messageCache.enabled || !cache?.seededAt || !cache.historyId) return false;
+    return !user.lastHistoryId || compareHistoryIds(user.lastHistoryId, cache.historyId) <= 0;
+}
+
+/**
+ * Whether reads can be served from the cache: in sync, and the Gmail watch is
+ * still delivering the changes that keep it that way
+ */
+export function isCacheFresh(user) {
+    return isCacheInSync(user) && hasLiveWatch(user);
+}
+
+export function hasLiveWatch(user) {
+    return user.watchStatus !== 'revoked' && user.watchExpiration > Date.now();
+}
+
+/**
+ * Queue a (re)seed on the mailbox's queue key, so it never overlaps history processing
+ */
+export async function requestCacheSeed(user) {
+    if (!config.messageCache.enabled) return null;
+
+    return enqueue(SEED_MESSAGE_CACHE_JOB, { userId: String(user._id) }, {
+        key: `mailbox:${user.email}`,
+        unique: true,
+    });
+}
+
+function toDocument(email) {
+    return {
+        threadId: email.threadId,
+        subject: email.subject,
+        snippet: email.snippet,
+        from_address: email.from_address,
+        to_addresses: email.to_addresses,
+        cc_addresses: email.cc_addresses,
+        date: new Date(email.date),
+        labels: email.labels,
+        is_read: email.is_read,
+    };
+}
+
+function toEmail(doc) {
+    return {
+        id: doc.messageId,
+        threadId: doc.threadId,
+        subject: doc.subject,
+        snippet: doc.snippet,
+        from_address: doc.from_address,
+        to_addresses: doc.to_addresses || [],
+        cc_addresses: doc.cc_addresses || [],
+        bcc_addresses: [],
+        date: doc.date.toISOString(),
+        is_read: doc.is_read,
+        labels: doc.labels || [],
+    };
+}
+
+/**
+ * Insert or refresh messages (parsed emails, with or without bodies)
+ */
+export async function upsertMessages(userId, emails) {
+    if (!emails.length) return;
+
+    await MessageMeta.bulkWrite(emails.map(email => ({
+        updateOne: {
+            filter: { userId, messageId: email.id },
+            update: { $set: toDocument(email) },
+            upsert: true,
+        },
+    })), { ordered: false });
+}
+
+/**
+ * Apply label changes: [{ id, labels }] with the message's full label list
+ */
+export async function updateMessageLabels(userId, changes) {
+    if (!changes.length) return;
+
+    await MessageMeta.bulkWrite(changes.map(({ id, labels }) => ({
+        updateOne: {
+            filter: { userId, messageId: id },
+            update: { $set: { labels, is_read: !labels.includes('UNREAD') } },
+        },
+    })), { ordered: false });
+}
+
+/**
+ * Apply the same label delta to many cached messages (batch operations)
+ */
+export async function applyLabelDelta(userId, messageIds, { add = [], remove = [] }) {
+    if (!messageIds.length) return;
+
+    const filter = { userId, messageId: { $in: messageIds } };
+    if (add.length) await MessageMeta.updateMany(filter, { $addToSet: { labels: { $each: add } } });
+    if (remove.length) await MessageMeta.updateMany(filter, { $pull: { labels: { $in: remove } } });
+    if (add.includes('UNREAD')) await MessageMeta.updateMany(filter, { is_read: false });
+    if (remove.includes('UNREAD')) await MessageMeta.updateMany(filter, { is_read: true });
+}
+
+export async function removeMessages(userId, messageIds) {
+    if (!messageIds.length) return;
+    await MessageMeta.deleteMany({ userId, messageId: { $in: messageIds } });
+}
+
+/**
+ * Ids from the list that the cache doesn't hold
+ */
+export async function findUncachedIds(userId, messageIds) {
+    const cached = await MessageMeta.find({ userId, messageId: { $in: messageIds } }).distinct('messageId');
+    const known = new Set(cached);
+    return messageIds.filter(id => !known.has(id));
+}
+
+/**
+ * Record that the cache now reflects the mailbox at historyId (never moves back)
+ */
+export async function advanceCacheHistoryId(user, historyId) {
+    const current = user.messageCache?.historyId;
+    if (current && compareHistoryIds(current, historyId) >= 0) return;
+
+    await User.updateOne({ _id: user._id }, { 'messageCache.historyId': String(historyId) });
+}
+
+export async function setCachedCount(user, label, count) {
+    await User.updateOne({ _id: user._id }, { [`messageCache.counts.${label}`]: count });
+}
+
+export function getCachedCount(user, label) {
+    return user.messageCache?.counts?.[label];
+}
+
+/**
+ * Rebuild a user's cache from Gmail. provider must be the uncached Gmail provider.
+ */
+export async function seedMessageCache(user, provider) {
+    // Take the cursor first: history after it is replayed onto the snapshot
+    const historyId = await provider.getHistoryId();
+    let since = new Date(Date.now() - config.messageCache.windowDays * 24 * 60 * 60 * 1000);
+
+    const emails = [];
+    let pageToken;
+    do {
+        const page = await provider.search(`after:${Math.floor(since.getTime() / 1000)}`, SEED_PAGE_SIZE, pageToken);
+        emails.push(...page.emails);
+        pageToken = page.nextPageToken;
+    } while (pageToken && emails.length < MAX_SEED_MESSAGES);
+
+    // Hit the cap: the cache only covers back to the oldest message we fetched
+    if (pageToken && emails.length) {
+        since = new Date(Math.min(...emails.map(email => new Date(email.date).getTime())));
+    }
+
+    // A mailbox younger than the window fits entirely; Gmail then has nothing more to add
+    const reachedStart = !pageToken
+        && !(await provider.search(`before:${Math.floor(since.getTime() / 1000)}`, 1)).emails.length;
+
+    await MessageMeta.deleteMany({ userId: user._id });
+    await upsertMessages(user._id, emails);
+
+    await User.updateOne({ _id: user._id }, {
+        messageCache: { historyId: String(historyId), since, reachedStart, seededAt: new Date(), counts: {} },
+    });
+
+    console.log(`🗂️ Seeded message cache for ${user.email}: ${emails.length} messages ${reachedStart ? '(whole mailbox)' : `since ${since.toISOString()}`}`);
+    return { count: emails.length, since, reachedStart };
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function addressFilter(field, value) {
+    const pattern = new RegExp(escapeRegex(value), 'i');
+    return { $or: [{ [`${field}.email`]: pattern }, { [`${field}.name`]: pattern }] };
+}
+
+function parseQueryDate(value) {
+    // Gmail accepts YYYY/MM/DD or epoch seconds
+    if (/^\d{9,}$/.test(value)) return new Date(Number(value) * 1000);
+    const date = new Date(value.replace(/\//g, '-') + 'T00:00:00');
+    return isNaN(date) ? null : date;
+}
+
+function parseRelativeAge(value) {
+    const match = value.match(/^(\d+)([dmy])$/);
+    if (!match) return null;
+    const days = { d: 1, m: 30, y: 365 }[match[2]] * Number(match[1]);
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Translate Gmail query syntax into a Mongo filter, or null when the cache can't
+ * answer it exactly (free text searches bodies we don't store, OR/negation, etc.)
+ */
+export function compileCacheQuery(query = '') {
+    const filters = [];
+
+    const tokens = query.match(/(\w+:\([^)]*\)|\w+:"[^"]*"|\S+)/g) || [];
+    for (const token of tokens) {
+        const match = token.match(/^(\w+):(.+)$/);
+        if (!match) return null;
+
+        const operator = match[1].toLowerCase();
+        const value = match[2].replace(/^[("]|[)"]$/g, '').trim();
+        if (!value) return null;
+
+        switch (operator) {
+            case 'from':
+                filters.push(addressFilter('from_address', value));
+                break;
+            case 'to':
+                filters.push(addressFilter('to_addresses', value));
+                break;
+            case 'cc':
+                filters.push(addressFilter('cc_addresses', value));
+                break;
+            case 'subject':
+                for (const word of value.split(/\s+/)) {
+                    filters.push({ subject: new RegExp(escapeRegex(word), 'i') });
+                }
+                break;
+            case 'in': {
+                const label = FOLDER_LABELS[value.toLowerCase()];
+                if (!label) return null;
+                filters.push({ labels: label });
+                break;
+            }
+            case 'is':
+                if (!FLAG_FILTERS[value.toLowerCase()]) return null;
+                filters.push(FLAG_FILTERS[value.toLowerCase()]);
+                break;
+            case 'after': {
+                const date = parseQueryDate(value);
+                if (!date) return null;
+                filters.push({ date: { $gte: date } });
+                break;
+            }
+            case 'before': {
+                const date = parseQueryDate(value);
+                if (!date) return null;
+                filters.push({ date: { $lt: date } });
+                break;
+            }
+            case 'newer_than': {
+                const date = parseRelativeAge(value);
+                if (!date) return null;
+                filters.push({ date: { $gte: date } });
+                break;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Gmail leaves spam and trash out of searches unless asked
+    filters.push({ labels: { $nin: ['SPAM', 'TRASH'] } });
+    return { $and: filters };
+}
+
+/**
+ * Date cursors ("d:<ms>:<messageId>") page by message date, so they stay valid
+ * while mail arrives and work whether the page came from the cache or Gmail
+ */
+export function isDateCursor(token) {
+    return typeof token === 'string' && token.startsWith('d:');
+}
+
+export function encodeDateCursor(email) {
+    return `d:${new Date(email.date).getTime()}:${email.id}`;
+}
+
+export function decodeDateCursor(token) {
+    const [, ms, id = ''] = token.split(':');
+    const date = new Date(Number(ms));
+    return isNaN(date) ? null : { date, id };
+}
+
+function isBeforeCursor(email, cursor) {
+    const time = new Date(email.date).getTime();
+    return time < cursor.date.getTime() || (time === cursor.date.getTime() && email.id < cursor.id);
+}
+
+/**
+ * Newest-first page of cached messages matching a Gmail query.
+ *
+ * @returns {Promise<{emails: Object[], hasMore: boolean, resultSizeEstimate: number}|null>}
+ *   null when the query can't be served from the cache. hasMore is true when the cache
+ *   holds further matches past this page; when it's false, older matches may still
+ *   exist in Gmail unless messageCache.reachedStart.
+ */
+export async function queryCachedMessages(user, query, { maxResults = 20, cursor } = {}) {
+    const filter = compileCacheQuery(query);
+    if (!filter) return null;
+
+    filter.$and.push({ userId: user._id });
+    // Mail imported later can be older than the window; with the whole mailbox cached it counts
+    if (!user.messageCache.reachedStart) filter.$and.push({ date: { $gte: user.messageCache.since } });
+    const total = await MessageMeta.countDocuments(filter);
+
+    if (cursor) {
+        filter.$and.push({
+            $or: [
+                { date: { $lt: cursor.date } },
+                { date: cursor.date, messageId: { $lt: cursor.id } },
+            ],
+        });
+    }
+
+    const docs = await MessageMeta.find(filter)
+        .sort({ date: -1, messageId: -1 })
+        .limit(maxResults + 1)
+        .lean();
+
+    return {
+        emails: docs.slice(0, maxResults).map(toEmail),
+        hasMore: docs.length > maxResults,
+        resultSizeEstimate: total,
+    };
+}
+
+/**
+ * Fetch a page older than a date cursor straight from the provider
+ */
+export async function searchBeforeCursor(provider, query, { maxResults = 20, cursor }) {
+    // before: is exclusive and second-granular; over-fetch the boundary second and trim
+    const before = Math.floor(cursor.date.getTime() / 1000) + 1;
+    const result = await provider.search(`${query} before:${before}`.trim(), maxResults + 1);
+
+    const emails = result.emails.filter(email => isBeforeCursor(email, cursor));
+    return {
+        emails: emails.slice(0, maxResults),
+        hasMore: emails.length > maxResults || Boolean(result.nextPageToken),
+        resultSizeEstimate: result.resultSizeEstimate,
+    };
+}
@@ -0,0 +1,309 @@
+/**
+ * MIME Service - Builds RFC 5322 / RFC 2045 messages for sending
+ */
+
+import crypto from 'crypto';
+
+const CRLF = '\r\n';
+
+function isAscii(str) {
+    return /^[\x00-\x7F]*$/.test(str);
+}
+
+/**
+ * Header values come from users and the model; a bare CR or LF would let them
+ * end the header early and inject their own
+ */
+function stripLineBreaks(value) {
+    return String(value ?? '').replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Encode a header value as RFC 2047 encoded-words when it contains non-ASCII.
+ * Splits on character boundaries so no encoded-word exceeds 75 characters.
+ */
+export function encodeHeaderValue(value) {
+    const str = stripLineBreaks(value);
+    if (isAscii(str)) return str;
+
+    const prefix = '=?UTF-8?B?';
+    const suffix = '?=';
+    // 75 chars max per word, base64 expands 3 bytes -> 4 chars
+    const maxBytes = Math.floor((75 - prefix.length - suffix.length) / 4) * 3;
+
+    const words = [];
+    let chunk = '';
+    for (const char of str) {
+        if (Buffer.byteLength(chunk + char, 'utf-8') > maxBytes) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    if (chunk) words.push(chunk);
+
+    return words
+        .map(word => `${prefix}${Buffer.from(word, 'utf-8').toString('base64')}${suffix}`)
+        .join(`${CRLF} `);
+}
+
+/**
+ * Format a single address. Accepts "a@b.com", "Name <a@b.com>" or { name, email }.
+ */
+export function formatAddress(address) {
+    if (!address) return '';
+
+    let name = null;
+    let email;
+
+    if (typeof address === 'object') {
+        name = address.name ? stripLineBreaks(address.name) : null;
+        email = stripLineBreaks(address.email).trim();
+    } else {
+        const value = stripLineBreaks(address).trim();
+        const match = value.match(/^(?:"((?:[^"\\]|\\.)*)"|([^"<]*?))\s*<([^>]+)>$/);
+        if (match) {
+            name = (match[1]?.replace(/\\(.)/g, '$1') ?? match[2])?.trim() || null;
+            email = match[3].trim();
+        } else {
+            email = value;
+        }
+    }
+
+    if (!email) return '';
+    if (!name) return email;
+
+    if (!isAscii(name)) {
+        return `${encodeHeaderValue(name)} <${email}>`;
+    }
+    // Quote display names containing RFC 5322 specials
+    if (/[()<>\[\]:;@\\,."]/.test(name)) {
+        return `"${name.replace(/(["\\])/g, '\\$1')}" <${email}>`;
+    }
+    return `${name} <${email}>`;
+}
+
+/**
+ * Split "a@b.com, \"Doe, John\" <j@d.com>" on the commas between addresses only
+ */
+export function splitAddressList(value) {
+    const addresses = [];
+    let current = '';
+    let quoted = false;
+    let bracketed = false;
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (quoted && char === '\\') {
+            current += char + (value[++i] ?? '');
+            continue;
+        }
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && char === '<') bracketed = true;
+        else if (!quoted && char === '>') bracketed = false;
+        else if (char === ',' && !quoted && !bracketed) {
+            addresses.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    addresses.push(current);
+
+    return addresses;
+}
+
+/**
+ * Normalize an address list (array or comma separated string) into a header value.
+ */
+export function formatAddressList(addresses) {
+    if (!addresses) return '';
+
+    const list = Array.isArray(addresses)
+        ? addresses
+        : splitAddressList(String(addresses));
+
+    return list
+        .map(addr => formatAddress(typeof addr === 'string' ? addr.trim() : addr))
+        .filter(Boolean)
+        .join(', ');
+}
+
+export function looksLikeHtml(body) {
+    return /<[a-z][\s\S]*>/i.test(body || '');
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export function textToHtml(text) {
+    return escapeHtml(text || '').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Generate a readable plain-text alternative from the HTML produced by compose_email
+ */
+export function htmlToText(html) {
+    if (!html) return '';
+
+    return html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|blockquote|tr)>/gi, '\n\n')
+        .replace(/<a[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => (
+            label.trim() && label.trim() !== href ? `${label} (${href})` : href
+        ))
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function encodeBase64Body(content) {
+    const encoded = Buffer.isBuffer(content)
+        ? content.toString('base64')
+        : Buffer.from(content || '', 'utf-8').toString('base64');
+
+    // RFC 2045: encoded lines must not exceed 76 characters
+    return encoded.match(/.{1,76}/g)?.join(CRLF) || '';
+}
+
+function createBoundary(tag) {
+    return `----=_${tag}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function createMessageId(from) {
+    const domain = (from && String(from).match(/@([^>\s]+)/)?.[1]) || 'luma.mail';
+    return `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+}
+
+function buildAlternativePart(text, html) {
+    const boundary = createBoundary('alt');
+
+    return [
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset="UTF-8"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBase64Body(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset="UTF-8"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBase64Body(html),
+        `--${boundary}--`,
+    ].join(CRLF);
+}
+
+/**
+ * RFC 2231 filename parameter so non-ASCII names survive all clients
+ */
+function formatFilenameParam(param, value) {
+    const filename = stripLineBreaks(value);
+    if (isAscii(filename)) {
+        return `${param}="${filename.replace(/(["\\])/g, '\\$1')}"`;
+    }
+    return `${param}*=UTF-8''${encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+}
+
+function buildAttachmentPart(attachment) {
+    const filename = attachment.filename || 'attachment';
+    const mimeType = stripLineBreaks(attachment.mimeType || 'application/octet-stream');
+    const disposition = attachment.contentId ? 'inline' : 'attachment';
+
+    const headers = [
+        `Content-Type: ${mimeType}; ${formatFilenameParam('name', filename)}`,
+        `Content-Disposition: ${disposition}; ${formatFilenameParam('filename', filename)}`,
+        'Content-Transfer-Encoding: base64',
+    ];
+    if (attachment.contentId) {
+        headers.push(`Content-ID: <${stripLineBreaks(attachment.contentId).replace(/^<|>$/g, '')}>`);
+    }
+
+    return [...headers, '', encodeBase64Body(attachment.content)].join(CRLF);
+}
+
+function buildMultipart(subtype, parts) {
+    const boundary = createBoundary(subtype);
+
+    return [
+        `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+        '',
+        ...parts.flatMap(part => [`--${boundary}`, part]),
+        `--${boundary}--`,
+    ].join(CRLF);
+}
+
+/**
+ * Build a complete MIME message.
+ *
+ * @param {Object} options
+ * @param {string} [options.from]
+ * @param {string|string[]} options.to
+ * @param {string|string[]} [options.cc]
+ * @param {string|string[]} [options.bcc]
+ * @param {string} options.subject
+ * @param {string} [options.html] - HTML body (plain text part is generated from it)
+ * @param {string} [options.text] - Plain text body (used when no HTML given)
+ * @param {string} [options.inReplyTo] - Message-ID of the message being replied to
+ * @param {string} [options.references] - References chain for threading
+ * @param {Array<{filename: string, mimeType: string, content: Buffer, contentId?: string}>} [options.attachments]
+ * @returns {string} RFC 5322 message with CRLF line endings
+ */
+export function buildMimeMessage(options) {
+    const html = options.html ?? textToHtml(options.text);
+    const text = options.text ?? htmlToText(options.html);
+
+    const headers = [];
+    if (options.from) headers.push(`From: ${formatAddressList(options.from)}`);
+    headers.push(`To: ${formatAddressList(options.to)}`);
+    if (options.cc && formatAddressList(options.cc)) headers.push(`Cc: ${formatAddressList(options.cc)}`);
+    // Gmail strips Bcc from the delivered copy but uses it for routing
+    if (options.bcc && formatAddressList(options.bcc)) headers.push(`Bcc: ${formatAddressList(options.bcc)}`);
+    headers.push(`Subject: ${encodeHeaderValue(options.subject || '')}`);
+    headers.push(`Date: ${new Date().toUTCString().replace('GMT', '+0000')}`);
+    headers.push(`Message-ID: ${stripLineBreaks(options.messageId || createMessageId(options.from))}`);
+    if (options.inReplyTo) headers.push(`In-Reply-To: ${stripLineBreaks(options.inReplyTo)}`);
+    if (options.references) headers.push(`References: ${stripLineBreaks(options.references)}`);
+    headers.push('MIME-Version: 1.0');
+
+    const attachments = options.attachments || [];
+    const inline = attachments.filter(a => a.contentId);
+    const regular = attachments.filter(a => !a.contentId);
+
+    // mixed( related( alternative, inline... ), attachments... )
+    let body = buildAlternativePart(text, html);
+    if (inline.length) {
+        body = buildMultipart('related', [body, ...inline.map(buildAttachmentPart)]);
+    }
+    if (regular.length) {
+        body = buildMultipart('mixed', [body, ...regular.map(buildAttachmentPart)]);
+    }
+
+    return [...headers, body].join(CRLF);
+}
+
+/**
+ * Gmail API expects the raw message as base64url
+ */
+export function toBase64Url(message) {
+    return Buffer.from(message, 'utf-8')
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
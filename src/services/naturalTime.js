@@ -0,0 +1,276 @@
+/**
+ * Natural Time - Turns phrases like "tomorrow at 9am", "monday" or "in 2 hours"
+ * into an instant, reading wall-clock times in the user's IANA timezone
+ *
+ * Understands ISO 8601, "in N minutes/hours/days/weeks", today/tonight/tomorrow,
+ * weekdays, "next week", "this weekend", month-day dates ("oct 20", "20 october
+ * 2027") and times ("9am", "9:30 pm", "17:00", "noon", "morning").
+ */
+
+// Phrases that only name a day mean the start of that working morning
+const DEFAULT_HOUR = 8;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december',
+];
+const PARTS_OF_DAY = { morning: 8, afternoon: 13, evening: 18, night: 20, tonight: 20, noon: 12, midnight: 0 };
+
+const UNIT_MS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+};
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone (month is 1-based, weekday 0 = Sunday)
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'long',
+    }).formatToParts(date);
+    const get = (type) => parts.find(part => part.type === type)?.value;
+
+    return {
+        year: Number(get('year')),
+        month: Number(get('month')),
+        day: Number(get('day')),
+        hour: Number(get('hour')),
+        minute: Number(get('minute')),
+        second: Number(get('second')),
+        weekday: WEEKDAYS.indexOf(get('weekday').toLowerCase()),
+    };
+}
+
+function getOffsetMs(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in timeZone. Days past the end of the month roll over.
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getOffsetMs(new Date(guess), timeZone);
+    const result = guess - offset;
+
+    // Near a DST change the offset at the result can differ from the one at the guess
+    const corrected = getOffsetMs(new Date(result), timeZone);
+    return new Date(corrected === offset ? result : guess - corrected);
+}
+
+function addDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Pull the time of day out of the phrase: { time: { hour, minute }, rest } or { rest }
+ */
+function extractTime(text) {
+    const patterns = [
+        [/(?:\bat\s+)?\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\s|$)/, (m) => {
+            const hour = Number(m[1]);
+            if (hour < 1 || hour > 12) return null;
+            const pm = m[3].startsWith('p');
+            return { hour: (hour % 12) + (pm ? 12 : 0), minute: Number(m[2] || 0) };
+        }],
+        [/(?:\bat\s+)?\b(\d{1,2}):(\d{2})\b/, (m) => ({ hour: Number(m[1]), minute: Number(m[2]) })],
+        [/\bat\s+(\d{1,2})$/, (m) => ({ hour: Number(m[1]), minute: 0 })],
+        [/(?:\bat\s+|\bin\s+the\s+|\bthis\s+)?\b(morning|afternoon|evening|night|tonight|noon|midnight)\b/, (m) => ({
+            hour: PARTS_OF_DAY[m[1]],
+            minute: 0,
+            today: m[1] === 'tonight',
+        })],
+    ];
+
+    for (const [pattern, toTime] of patterns) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const time = toTime(match);
+        if (!time || time.hour > 23 || time.minute > 59) return null;
+
+        const rest = (text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length)).trim();
+        return { time, rest: time.today && !rest ? 'today' : rest };
+    }
+
+    return { rest: text };
+}
+
+/**
+ * 1-based month for a full or abbreviated ("oct", "sept") month name, or -1
+ */
+function parseMonth(word) {
+    const index = MONTHS.findIndex(month => word.length >= 3 && month.startsWith(word));
+    return index === -1 ? -1 : index + 1;
+}
+
+/**
+ * The calendar day a phrase names, relative to today's wall-clock date
+ */
+function parseDay(text, today) {
+    const phrase = text.replace(/^(on|this|the)\s+/, '').replace(/\s+/g, ' ').trim();
+
+    if (!phrase || phrase === 'today') return { day: today, implicit: !phrase };
+    if (phrase === 'tomorrow') return { day: addDays(today, 1) };
+
+    const inDays = phrase.match(/^in (a|an|\d+) (day|week)s?$/);
+    if (inDays) {
+        const amount = /^an?$/.test(inDays[1]) ? 1 : Number(inDays[1]);
+        return { day: addDays(today, amount * (inDays[2] === 'week' ? 7 : 1)) };
+    }
+
+    if (phrase === 'next week') {
+        // Next Monday
+        return { day: addDays(today, ((8 - today.weekday) % 7) || 7) };
+    }
+    if (phrase === 'weekend') {
+        return { day: addDays(today, ((6 - today.weekday + 7) % 7) || 7) };
+    }
+
+    const weekday = WEEKDAYS.indexOf(phrase.replace(/^next /, ''));
+    if (weekday !== -1) {
+        // Always the next one after today: "monday" on a Monday means a week out
+        return { day: addDays(today, ((weekday - today.weekday + 7) % 7) || 7) };
+    }
+
+    const iso = phrase.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) return { day: { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) } };
+
+    // "oct 20", "october 20th, 2027", "20 october"
+    const monthFirst = phrase.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?,?(?: (\d{4}))?$/);
+    const dayFirst = phrase.match(/^(\d{1,2})(?:st|nd|rd|th)? (?:of )?([a-z]+)\.?,?(?: (\d{4}))?$/);
+    const parts = monthFirst
+        ? { month: parseMonth(monthFirst[1]), day: Number(monthFirst[2]), year: monthFirst[3] }
+        : dayFirst && { month: parseMonth(dayFirst[2]), day: Number(dayFirst[1]), year: dayFirst[3] };
+
+    if (parts && parts.month !== -1 && parts.day >= 1 && parts.day <= 31) {
+        let year = parts.year ? Number(parts.year) : today.year;
+        // A date without a year that already passed means next year
+        if (!parts.year && (parts.month < today.month || (parts.month === today.month && parts.day < today.day))) {
+            year += 1;
+        }
+        return { day: { year, month: parts.month, day: parts.day } };
+    }
+
+    return null;
+}
+
+/**
+ * Parse a time phrase into a Date, or null when it isn't understood.
+ *
+ * @param {string} text - e.g. "tomorrow at 9am", "next monday", "2026-11-02T09:00"
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA zone wall-clock times are read in (default UTC)
+ * @param {Date} [options.now]
+ */
+export function parseNaturalTime(text, { timeZone = 'UTC', now = new Date() } = {}) {
+    const input = String(text || '').trim().toLowerCase();
+    if (!input) return null;
+
+    // ISO 8601: absolute with an offset, otherwise wall-clock time in timeZone
+    const iso = input.match(/^(\d{4})-(\d{2})-(\d{2})[t ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(z|[+-]\d{2}:?\d{2})?$/);
+    if (iso) {
+        if (iso[6]) {
+            const date = new Date(text.trim());
+            return isNaN(date) ? null : date;
+        }
+        return zonedTimeToDate({
+            year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]),
+            hour: Number(iso[4]), minute: Number(iso[5]),
+        }, timeZone);
+    }
+
+    const relative = input.match(/^in (a|an|\d+) (minute|min|hour|hr)s?$/);
+    if (relative) {
+        const amount = /^an?$/.test(relative[1]) ? 1 : Number(relative[1]);
+        const unit = relative[2].startsWith('h') ? 'hour' : 'minute';
+        return new Date(now.getTime() + amount * UNIT_MS[unit]);
+    }
+
+    const extracted = extractTime(input);
+    if (!extracted) return null;
+
+    const today = getZonedParts(now, timeZone);
+    const parsed = parseDay(extracted.rest, today);
+    if (!parsed || (parsed.implicit && !extracted.time)) return null;
+
+    const { hour, minute } = extracted.time || { hour: DEFAULT_HOUR, minute: 0 };
+    let result = zonedTimeToDate({ ...parsed.day, hour, minute }, timeZone);
+
+    // A bare time that already passed today means tomorrow
+    if (parsed.implicit && result <= now) {
+        result = zonedTimeToDate({ ...addDays(parsed.day, 1), hour, minute }, timeZone);
+    }
+
+    return result;
+}
+
+/**
+ * Human-readable wall-clock time in a timezone, for tool results and prompts
+ */
+export function formatInTimeZone(date, timeZone) {
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short',
+    }).format(date);
+}
+
+/**
+ * First valid IANA zone among the candidates (request, user setting, ...), else UTC
+ */
+export function resolveTimeZone(...candidates) {
+    return candidates.find(isValidTimeZone) || 'UTC';
+}
+
+const MAX_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a time that has to lie in the future (scheduling, snoozing)
+ *
+ * @returns {{date: Date}|{error: string}}
+ */
+export function parseFutureTime(text, { timeZone = 'UTC', now = new Date() } = {}) {
+    if (!text) return { error: 'A time is required' };
+
+    const date = parseNaturalTime(text, { timeZone, now });
+    if (!date) {
+        return { error: `Could not understand the time "${text}". Try e.g. "tomorrow at 9am" or an ISO date.` };
+    }
+    if (date <= now) {
+        return { error: `${formatInTimeZone(date, timeZone)} is in the past` };
+    }
+    if (date - now > MAX_AHEAD_MS) {
+        return { error: 'Times more than a year ahead are not supported' };
+    }
+    return { date };
+}
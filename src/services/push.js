@@ -4,21 +4,15 @@
  */
 
 import { google } from 'googleapis';
-import { getOAuth2Client } from './gmail.js';
+import { getAuthorizedClient } from './gmail.js';
 import config from '../config.js';
 
 /**
  * Register Gmail watch for push notifications
  * Must be called for each user to receive notifications for their inbox
  */
-export async function registerGmailWatch(accessToken, refreshToken) {
-    const oauth2Client = getOAuth2Client();
-    oauth2Client.setCredentials({
-        access_token: accessToken,
-        refresh_token: refreshToken,
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+export async function registerGmailWatch(credentials) {
+    const gmail = google.gmail({ version: 'v1', auth: getAuthorizedClient(credentials) });
 
     try {
         const response = await gmail.users.watch({
@@ -43,14 +37,8 @@ export async function registerGmailWatch(accessToken, refreshToken) {
 /**
  * Stop watching Gmail for a user
  */
-export async function stopGmailWatch(accessToken, refreshToken) {
-    const oauth2Client = getOAuth2Client();
-    oauth2Client.setCredentials({
-        access_token: accessToken,
-        refresh_token: refreshToken,
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+export async function stopGmailWatch(credentials) {
+    const gmail = google.gmail({ version: 'v1', auth: getAuthorizedClient(credentials) });
 
     await gmail.users.stop({ userId: 'me' });
     console.log('Gmail watch stopped');
@@ -58,26 +46,36 @@ export async function stopGmailWatch(accessToken, refreshToken) {
 
 /**
  * Get history of changes since a specific historyId
- * Used to fetch new emails after receiving push notification
+ * Used to sync new, deleted and relabelled emails after a push notification.
+ * Follows nextPageToken, so a burst of changes comes back complete.
+ *
+ * @returns {Promise<{records: Object[], historyId: string}|null>} records plus the
+ *   mailbox's current historyId, or null when startHistoryId is too old
  */
-export async function getHistory(accessToken, refreshToken, startHistoryId) {
-    const oauth2Client = getOAuth2Client();
-    oauth2Client.setCredentials({
-        access_token: accessToken,
-        refresh_token: refreshToken,
-    });
+export async function getHistory(credentials, startHistoryId) {
+    const gmail = google.gmail({ version: 'v1', auth: getAuthorizedClient(credentials) });
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const records = [];
+    let historyId = startHistoryId;
+    let pageToken;
 
     try {
-        const response = await gmail.users.history.list({
-            userId: 'me',
-            startHistoryId,
-            historyTypes: ['messageAdded', 'messageDeleted'],
-            labelId: 'INBOX',
-        });
+        do {
+            const response = await gmail.users.history.list({
+                userId: 'me',
+                startHistoryId,
+                // No labelId filter: archiving and read-state changes happen outside INBOX too
+                historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+                maxResults: 500,
+                pageToken,
+            });
+
+            records.push(...(response.data.history || []));
+            historyId = response.data.historyId || historyId;
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
 
-        return response.data.history || [];
+        return { records, historyId };
     } catch (error) {
         // 404 means startHistoryId is too old, need full sync
         if (error.code === 404) {
@@ -87,6 +85,16 @@ export async function getHistory(accessToken, refreshToken, startHistoryId) {
     }
 }
 
+/**
+ * The mailbox's current historyId, used as the sync cursor after a full resync
+ */
+export async function getCurrentHistoryId(credentials) {
+    const gmail = google.gmail({ version: 'v1', auth: getAuthorizedClient(credentials) });
+
+    const response = await gmail.users.getProfile({ userId: 'me' });
+    return response.data.historyId;
+}
+
 /**
  * Decode Pub/Sub push notification message
  */
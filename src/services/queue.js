@@ -0,0 +1,308 @@
+/**
+ * Job Queue - Durable, retrying background work stored in Mongo
+ *
+ * Jobs survive restarts and are retried with exponential backoff. Jobs that
+ * share a key run strictly one at a time in enqueue order across all instances
+ * (the key holds a Mongo lease while a job runs, renewed with the job's lock on a
+ * heartbeat however long the handler takes). Jobs that run out of attempts move
+ * to the dead-letter collection.
+ */
+
+import mongoose from 'mongoose';
+import config from '../config.js';
+import { Job } from '../models/Job.js';
+import { DeadJob } from '../models/DeadJob.js';
+import { acquireLease, releaseLease, instanceId } from './scheduler.js';
+
+const LOCK_MS = 5 * 60 * 1000; // How long a job's lock outlives its last heartbeat
+const HEARTBEAT_MS = LOCK_MS / 5;
+const POLL_INTERVAL_MS = 2000;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+const CANDIDATE_KEYS = 20; // Keys tried per claim, most overdue first
+
+const handlers = new Map(); // type -> async (payload, job) => void
+const idleWorkers = new Set(); // wake callbacks of workers waiting to poll
+// Keys a worker on this instance holds; leases are per instance, not per worker
+const activeKeys = new Set();
+let running = false;
+
+/**
+ * Register the handler for a job type. Throwing from the handler schedules a retry.
+ */
+export function registerHandler(type, fn) {
+    handlers.set(type, fn);
+}
+
+/**
+ * Persist a job. Resolves once it's stored, so callers can acknowledge upstream.
+ *
+ * @param {string} type - Handler name
+ * @param {Object} payload - Plain JSON data for the handler
+ * @param {Object} [options] - { key: serialization key (defaults to type), maxAttempts, delayMs,
+ *   unique: skip if a job of this type and key is already waiting or running }
+ */
+export async function enqueue(type, payload, { key = type, maxAttempts, delayMs = 0, unique = false } = {}) {
+    if (unique) {
+        const existing = await Job.findOne({ type, key, status: { $in: ['pending', 'running'] } });
+        if (existing) return existing;
+    }
+
+    const job = await Job.create({
+        type,
+        key,
+        payload,
+        ...(maxAttempts && { maxAttempts }),
+        runAt: new Date(Date.now() + delayMs),
+    });
+    wakeWorkers();
+    return job;
+}
+
+/**
+ * Drop a key's jobs that haven't started (e.g. a delayed job that was cancelled).
+ * A job already running finishes; its handler must notice the cancellation itself.
+ */
+export async function cancelJobs(key) {
+    const { deletedCount } = await Job.deleteMany({ key, status: 'pending' });
+    return deletedCount;
+}
+
+function backoffDelay(attempts, error) {
+    // Honour Retry-After from rate-limited Google API responses
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) return retryAfter * 1000;
+
+    const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+    return delay + Math.floor(Math.random() * delay * 0.2);
+}
+
+/**
+ * Put jobs back in the queue whose worker died mid-run
+ */
+async function recoverStaleJobs() {
+    await Job.updateMany(
+        { status: 'running', lockedUntil: { $lt: new Date() } },
+        { status: 'pending', $unset: { lockedBy: 1, lockedUntil: 1 } }
+    );
+}
+
+/**
+ * Take the key's lease and claim its oldest job if that job is due
+ */
+async function claimKey(key, now) {
+    const leaseName = `queue:${key}`;
+    activeKeys.add(key);
+
+    try {
+        if (await acquireLease(leaseName, LOCK_MS)) {
+            const head = await Job.findOne({ key }).sort({ createdAt: 1, _id: 1 });
+            if (head?.status === 'pending' && head.runAt <= now) {
+                const job = await Job.findOneAndUpdate(
+                    { _id: head._id, status: 'pending' },
+                    {
+                        status: 'running',
+                        lockedBy: instanceId,
+                        lockedUntil: new Date(now.getTime() + LOCK_MS),
+                        $inc: { attempts: 1 },
+                    },
+                    { new: true }
+                );
+                // runJob releases the key when it finishes
+                if (job) return job;
+            }
+            await releaseLease(leaseName);
+        }
+    } catch (error) {
+        console.error(`Failed to claim job for ${key}:`, error.message);
+    }
+
+    activeKeys.delete(key);
+    return null;
+}
+
+/**
+ * Claim the next runnable job, or null. The oldest job of a key blocks the rest
+ * of that key, even while it waits out a backoff, so per-key order holds.
+ * Candidates are the keys whose oldest job is due, so one mailbox with a backlog
+ * behind a failing job can't crowd out everyone else's.
+ */
+async function claimNextJob() {
+    const now = new Date();
+    const heads = await Job.aggregate([
+        { $sort: { key: 1, createdAt: 1 } },
+        { $group: { _id: '$key', status: { $first: '$status' }, runAt: { $first: '$runAt' } } },
+        { $match: { _id: { $nin: [...activeKeys] }, status: 'pending', runAt: { $lte: now } } },
+        { $sort: { runAt: 1 } },
+        { $limit: CANDIDATE_KEYS },
+    ]);
+
+    for (const { _id: key } of heads) {
+        if (activeKeys.has(key)) continue;
+
+        const job = await claimKey(key, now);
+        if (job) return job;
+    }
+
+    return null;
+}
+
+async function deadLetter(job, errorMessage) {
+    await DeadJob.create({
+        type: job.type,
+        key: job.key,
+        payload: job.payload,
+        attempts: job.attempts,
+        error: errorMessage,
+        enqueuedAt: job.createdAt,
+    });
+    await Job.deleteOne({ _id: job._id });
+    console.error(`💀 Job ${job.type} (${job.key}) dead-lettered after ${job.attempts} attempts: ${errorMessage}`);
+}
+
+/**
+ * Extend a running job's lock and its key's lease, so a long handler (a cache seed,
+ * an LLM-heavy notification) isn't recovered as stale and run a second time
+ */
+async function renewJobLock(job) {
+    await Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: instanceId },
+        { lockedUntil: new Date(Date.now() + LOCK_MS) }
+    );
+    if (!await acquireLease(`queue:${job.key}`, LOCK_MS)) {
+        console.warn(`⚠️ Job ${job.type} (${job.key}) lost its key lease while running`);
+    }
+}
+
+async function runJob(job) {
+    const handler = handlers.get(job.type);
+    const heartbeat = setInterval(() => {
+        renewJobLock(job).catch(error => console.error(`Failed to renew lock for ${job.key}:`, error.message));
+    }, HEARTBEAT_MS);
+    heartbeat.unref?.();
+
+    try {
+        if (!handler) {
+            await deadLetter(job, `No handler registered for job type "${job.type}"`);
+            return;
+        }
+
+        try {
+            await handler(job.payload, job);
+            await Job.deleteOne({ _id: job._id });
+        } catch (error) {
+            if (job.attempts >= job.maxAttempts) {
+                await deadLetter(job, error.message);
+                return;
+            }
+
+            const delay = backoffDelay(job.attempts, error);
+            console.warn(`Job ${job.type} (${job.key}) attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+            await Job.updateOne(
+                { _id: job._id },
+                {
+                    status: 'pending',
+                    runAt: new Date(Date.now() + delay),
+                    lastError: error.message,
+                    $unset: { lockedBy: 1, lockedUntil: 1 },
+                }
+            );
+        }
+    } finally {
+        clearInterval(heartbeat);
+        await releaseLease(`queue:${job.key}`).catch(() => {});
+        activeKeys.delete(job.key);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => {
+        const wake = () => {
+            clearTimeout(timer);
+            idleWorkers.delete(wake);
+            resolve();
+        };
+        const timer = setTimeout(wake, ms);
+        timer.unref?.();
+        idleWorkers.add(wake);
+    });
+}
+
+// enqueue() on this instance cuts idle workers' poll wait short
+function wakeWorkers() {
+    for (const wake of [...idleWorkers]) wake();
+}
+
+async function workerLoop() {
+    while (running) {
+        let job = null;
+        try {
+            // Skip quietly while Mongo is down
+            if (mongoose.connection.readyState === 1) {
+                job = await claimNextJob();
+                if (job) await runJob(job);
+            }
+        } catch (error) {
+            console.error('Queue worker error:', error);
+        }
+
+        if (!job) await sleep(POLL_INTERVAL_MS);
+    }
+}
+
+/**
+ * Start processing jobs on this instance
+ */
+export function startQueue() {
+    if (running) return;
+    running = true;
+
+    for (let i = 0; i < config.queue.concurrency; i++) {
+        workerLoop();
+    }
+
+    const recovery = setInterval(() => {
+        if (!running) return clearInterval(recovery);
+        if (mongoose.connection.readyState === 1) {
+            recoverStaleJobs().catch(error => console.error('Queue recovery failed:', error.message));
+        }
+    }, LOCK_MS / 5);
+    recovery.unref?.();
+
+    console.log(`📥 Job queue started (${config.queue.concurrency} workers, ${handlers.size} job types)`);
+}
+
+export function stopQueue() {
+    running = false;
+    wakeWorkers();
+}
+
+/**
+ * Queue depth by status plus the dead-letter count
+ */
+export async function getQueueStats() {
+    const [byStatus, dead] = await Promise.all([
+        Job.aggregate([{ $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }]),
+        DeadJob.countDocuments(),
+    ]);
+
+    const stats = { pending: 0, running: 0, dead, by_type: {} };
+    for (const { _id, count } of byStatus) {
+        stats[_id.status] += count;
+        stats.by_type[_id.type] = stats.by_type[_id.type] || { pending: 0, running: 0 };
+        stats.by_type[_id.type][_id.status] = count;
+    }
+    return stats;
+}
+
+/**
+ * Move a dead job back into the queue with fresh attempts
+ */
+export async function retryDeadJob(id) {
+    const dead = await DeadJob.findById(id);
+    if (!dead) return null;
+
+    const job = await enqueue(dead.type, dead.payload, { key: dead.key });
+    await DeadJob.deleteOne({ _id: dead._id });
+    return job;
+}
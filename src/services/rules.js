@@ -0,0 +1,616 @@
+/**
+ * Rules Engine - User-defined "if this, then that" rules for incoming mail
+ *
+ * A rule has conditions (sender, recipients, subject/body patterns, labels, AI
+ * triage categories) and actions (label, archive, mark read, star, forward, notify,
+ * AI draft reply). The webhook pipeline runs every enabled rule on each new inbox
+ * email, after triage so categories can be matched.
+ *
+ * Each run is recorded as a RuleRun, created before any action runs: a retried
+ * notification finds the run and skips it, so forwards and drafts happen at most
+ * once per message.
+ */
+
+import vm from 'vm';
+import mongoose from 'mongoose';
+import { Rule } from '../models/Rule.js';
+import { RuleRun } from '../models/RuleRun.js';
+import { htmlToText, textToHtml } from './mime.js';
+import { sendToUser } from './sse.js';
+import { TRIAGE_CATEGORIES, attachTriage } from './triage.js';
+import { getLLM } from './llm.js';
+import { supportsAction } from './batch.js';
+
+export const RULE_ACTIONS = ['label', 'archive', 'mark_read', 'star', 'forward', 'notify', 'ai_draft'];
+const CONDITION_FIELDS = ['from', 'to', 'subject', 'body', 'text'];
+
+const MAX_RULES_PER_USER = 100;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_ACTIONS = 10;
+// Patterns only see this much of a body
+const MAX_MATCH_BODY_CHARS = 20000;
+// A regex test taking longer than this counts as no match
+const MATCH_TIME_LIMIT_MS = 50;
+const MAX_DRAFT_CONTEXT_CHARS = 4000;
+// Forwarded files stay under Gmail's 25MB message limit
+const MAX_FORWARD_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+export const MAX_DRY_RUN_MESSAGES = 50;
+const RULE_RUN_RETENTION_DAYS = 90;
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Label changes of the actions that only touch labels
+const LABEL_ACTION_CHANGES = {
+    archive: { remove: ['INBOX'] },
+    mark_read: { remove: ['UNREAD'] },
+    star: { add: ['STARRED'] },
+};
+
+// Regex tests run in a vm context so a slow one can be stopped; the main thread
+// serves every user, and the sender of an email controls the text being matched
+const regexSandbox = vm.createContext({});
+const regexTest = new vm.Script('regex.test(value)');
+
+function testWithTimeLimit(regex, value) {
+    regexSandbox.regex = regex;
+    regexSandbox.value = value;
+    try {
+        return regexTest.runInContext(regexSandbox, { timeout: MATCH_TIME_LIMIT_MS });
+    } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+        console.warn(`⚠️ Rule pattern ${regex} timed out; treating it as no match`);
+        return false;
+    } finally {
+        regexSandbox.regex = regexSandbox.value = undefined;
+    }
+}
+
+/**
+ * Constructs that make backtracking blow up: a repeated group that itself
+ * repeats or alternates ("(a+)+", "(a|aa)*"), and backreferences
+ *
+ * @returns {string|null} What's wrong, or null
+ */
+function findBacktrackingRisk(source) {
+    // One entry per open group: whether it contains a quantifier or alternation
+    const groups = [];
+    let risky = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(source[i + 1] || '')) return 'backreferences are not supported';
+            i++;
+        } else if (char === '[') {
+            // Character class: skip to its closing bracket
+            for (i++; i < source.length && source[i] !== ']'; i++) {
+                if (source[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ variable: false });
+            // Skip the "?:", "?=", "?<name>" prefix so its "?" isn't read as a quantifier
+            if (source[i + 1] === '?') i++;
+        } else if (char === ')') {
+            const group = groups.pop();
+            const repeated = /^(?:[*+]|\{\d*,)/.test(source.slice(i + 1));
+            if (group?.variable && repeated) risky = true;
+            if (group?.variable && groups.length) groups[groups.length - 1].variable = true;
+        } else if ('*+?{|'.includes(char) && groups.length) {
+            groups[groups.length - 1].variable = true;
+        }
+    }
+
+    return risky ? 'nested quantifiers such as (a+)+ are not supported' : null;
+}
+
+/**
+ * "/regex/flags" is a regular expression, anything else a case-insensitive substring
+ */
+function compilePattern(pattern) {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+    if (regex) {
+        // g and y make test() stateful across emails
+        const flags = [...new Set(`${regex[2]}i`.replace(/[gy]/g, ''))].join('');
+        const compiled = new RegExp(regex[1], flags);
+        return { source: regex[1], test: (value) => testWithTimeLimit(compiled, value) };
+    }
+    const needle = pattern.toLowerCase();
+    return { test: (value) => value.toLowerCase().includes(needle) };
+}
+
+function formatAddresses(addresses = []) {
+    return addresses.map(a => (a.name ? `${a.name} <${a.email}>` : a.email)).join(', ');
+}
+
+function getBodyText(email) {
+    const body = email.body_text || htmlToText(email.body_html) || email.snippet || '';
+    return body.slice(0, MAX_MATCH_BODY_CHARS);
+}
+
+/**
+ * Whether a rule's conditions need full message bodies (list pages only have snippets)
+ */
+export function needsBody(rule) {
+    return Boolean(rule.conditions?.body || rule.conditions?.text);
+}
+
+/**
+ * Whether an email meets the rule's conditions
+ *
+ * @param {Object} rule - Rule document or plain object
+ * @param {Object} email - Email with label_names, and triage when classified
+ */
+export function matchesRule(rule, email) {
+    const conditions = rule.conditions || {};
+    const checks = [];
+
+    const fields = {
+        from: () => formatAddresses([email.from_address].filter(Boolean)),
+        to: () => formatAddresses([...(email.to_addresses || []), ...(email.cc_addresses || [])]),
+        subject: () => email.subject || '',
+        body: () => getBodyText(email),
+        text: () => `${email.subject || ''}\n${getBodyText(email)}`,
+    };
+    for (const field of CONDITION_FIELDS) {
+        if (conditions[field]) checks.push(() => compilePattern(conditions[field]).test(fields[field]()));
+    }
+
+    if (conditions.labels?.length) {
+        checks.push(() => {
+            const present = new Set([...(email.labels || []), ...(email.label_names || [])].map(label => label.toLowerCase()));
+            return conditions.labels.every(label => present.has(label.toLowerCase()));
+        });
+    }
+
+    if (conditions.categories?.length) {
+        checks.push(() => conditions.categories.includes(email.triage?.category));
+    }
+
+    if (!checks.length) return false;
+    return rule.match === 'any' ? checks.some(check => check()) : checks.every(check => check());
+}
+
+function validatePattern(field, pattern) {
+    if (typeof pattern !== 'string') return `${field} must be a string`;
+    if (pattern.length > MAX_PATTERN_LENGTH) return `${field} is longer than ${MAX_PATTERN_LENGTH} characters`;
+    let compiled;
+    try {
+        compiled = compilePattern(pattern);
+    } catch (error) {
+        return `${field} is not a valid regular expression: ${error.message}`;
+    }
+    const risk = compiled.source && findBacktrackingRisk(compiled.source);
+    return risk ? `${field}: ${risk}` : null;
+}
+
+function validateAction(action, index) {
+    const where = `actions[${index}]`;
+    if (!action || !RULE_ACTIONS.includes(action.type)) {
+        return { error: `${where}.type must be one of: ${RULE_ACTIONS.join(', ')}` };
+    }
+
+    switch (action.type) {
+        case 'label':
+            if (typeof action.label !== 'string' || !action.label.trim()) return { error: `${where}.label is required` };
+            return { action: { type: 'label', label: action.label.trim() } };
+        case 'forward': {
+            const to = Array.isArray(action.to) ? action.to : [action.to];
+            if (!to.length || !to.every(address => typeof address === 'string' && EMAIL_PATTERN.test(address.trim()))) {
+                return { error: `${where}.to must be one or more email addresses` };
+            }
+            return { action: { type: 'forward', to: to.map(address => address.trim()) } };
+        }
+        case 'notify':
+            return { action: { type: 'notify', message: action.message ? String(action.message).slice(0, 500) : undefined } };
+        case 'ai_draft':
+            return { action: { type: 'ai_draft', instructions: action.instructions ? String(action.instructions).slice(0, 1000) : undefined } };
+        default:
+            return { action: { type: action.type } };
+    }
+}
+
+/**
+ * Check and normalize a rule from a request body (API field names)
+ *
+ * @param {Object} input - { name, enabled?, match?, conditions, actions, stop_processing?, position? }
+ * @param {Object} [options] - { partial: only validate the fields given (PATCH) }
+ * @returns {{rule: Object}|{error: string}} rule uses model field names
+ */
+export function validateRule(input, { partial = false } = {}) {
+    const rule = {};
+    const has = (field) => input[field] !== undefined;
+
+    if (!partial || has('name')) {
+        if (typeof input.name !== 'string' || !input.name.trim()) return { error: 'name is required' };
+        rule.name = input.name.trim().slice(0, 100);
+    }
+    if (has('enabled')) rule.enabled = Boolean(input.enabled);
+    if (has('stop_processing')) rule.stopProcessing = Boolean(input.stop_processing);
+    if (has('position')) {
+        if (!Number.isFinite(input.position)) return { error: 'position must be a number' };
+        rule.position = input.position;
+    }
+    if (has('match')) {
+        if (!['all', 'any'].includes(input.match)) return { error: 'match must be all or any' };
+        rule.match = input.match;
+    }
+
+    if (!partial || has('conditions')) {
+        const conditions = input.conditions || {};
+        const normalized = {};
+
+        for (const field of CONDITION_FIELDS) {
+            if (conditions[field] === undefined || conditions[field] === '') continue;
+            const error = validatePattern(`conditions.${field}`, conditions[field]);
+            if (error) return { error };
+            normalized[field] = conditions[field];
+        }
+        if (conditions.labels?.length) {
+            if (!Array.isArray(conditions.labels) || !conditions.labels.every(label => typeof label === 'string')) {
+                return { error: 'conditions.labels must be an array of label names' };
+            }
+            normalized.labels = conditions.labels;
+        }
+        if (conditions.categories?.length) {
+            const categories = [].concat(conditions.categories);
+            const unknown = categories.filter(category => !TRIAGE_CATEGORIES.includes(category));
+            if (unknown.length) {
+                return { error: `Unknown categories: ${unknown.join(', ')}. Use: ${TRIAGE_CATEGORIES.join(', ')}` };
+            }
+            normalized.categories = categories;
+        }
+
+        if (!Object.keys(normalized).length) return { error: 'At least one condition is required' };
+        rule.conditions = normalized;
+    }
+
+    if (!partial || has('actions')) {
+        if (!Array.isArray(input.actions) || !input.actions.length) return { error: 'At least one action is required' };
+        if (input.actions.length > MAX_ACTIONS) return { error: `A rule can have at most ${MAX_ACTIONS} actions` };
+
+        rule.actions = [];
+        for (const [index, action] of input.actions.entries()) {
+            const result = validateAction(action, index);
+            if (result.error) return result;
+            rule.actions.push(result.action);
+        }
+    }
+
+    return { rule };
+}
+
+/**
+ * API shape of a rule
+ */
+export function toRuleResponse(rule) {
+    return {
+        id: String(rule._id),
+        name: rule.name,
+        enabled: rule.enabled,
+        match: rule.match,
+        conditions: rule.conditions,
+        actions: rule.actions,
+        stop_processing: rule.stopProcessing,
+        position: rule.position,
+        run_count: rule.runCount,
+        last_run_at: rule.lastRunAt,
+        created_at: rule.createdAt,
+        updated_at: rule.updatedAt,
+    };
+}
+
+export function toRuleRunResponse(run) {
+    return {
+        id: String(run._id),
+        message_id: run.messageId,
+        thread_id: run.threadId,
+        subject: run.subject,
+        from: run.from,
+        status: run.status,
+        actions: run.actions,
+        created_at: run.createdAt,
+    };
+}
+
+export async function listRules(user) {
+    return Rule.find({ userId: user._id }).sort({ position: 1, createdAt: 1 }).lean();
+}
+
+export async function getRule(user, ruleId) {
+    if (!mongoose.isValidObjectId(ruleId)) return null;
+    return Rule.findOne({ _id: ruleId, userId: user._id }).lean();
+}
+
+/**
+ * @param {Object} rule - Validated rule (validateRule)
+ */
+export async function createRule(user, rule) {
+    const count = await Rule.countDocuments({ userId: user._id });
+    if (count >= MAX_RULES_PER_USER) {
+        throw Object.assign(new Error(`You can have at most ${MAX_RULES_PER_USER} rules`), { code: 409 });
+    }
+
+    // New rules run after the existing ones unless placed explicitly
+    const position = rule.position ?? count;
+    return Rule.create({ ...rule, userId: user._id, position });
+}
+
+export async function updateRule(user, ruleId, changes) {
+    if (!mongoose.isValidObjectId(ruleId)) return null;
+    return Rule.findOneAndUpdate({ _id: ruleId, userId: user._id }, changes, { new: true, runValidators: true }).lean();
+}
+
+export async function deleteRule(user, ruleId) {
+    if (!mongoose.isValidObjectId(ruleId)) return false;
+
+    const { deletedCount } = await Rule.deleteOne({ _id: ruleId, userId: user._id });
+    if (deletedCount) await RuleRun.deleteMany({ ruleId });
+    return deletedCount > 0;
+}
+
+/**
+ * A rule's runs, newest first
+ */
+export async function listRuleRuns(user, ruleId, { limit = 50, before } = {}) {
+    return RuleRun.find({
+        userId: user._id,
+        ruleId,
+        ...(before && { createdAt: { $lt: new Date(before) } }),
+    }).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+function describeAction(action) {
+    switch (action.type) {
+        case 'label': return `label "${action.label}"`;
+        case 'forward': return `forward to ${action.to.join(', ')}`;
+        case 'ai_draft': return action.instructions ? `draft a reply: ${action.instructions}` : 'draft a reply';
+        case 'notify': return action.message ? `notify: ${action.message}` : 'notify';
+        default: return action.type.replace('_', ' ');
+    }
+}
+
+async function generateReplyBody(user, email, instructions) {
+    const { provider, model } = getLLM(user);
+    const reply = await provider.complete({
+        model,
+        messages: [
+            {
+                role: 'system',
+                content: `You write email replies on behalf of ${user.name || user.email}. Write only the reply body as simple HTML (<p>, <br>, <ul>, <li>), with a greeting and a sign-off in their name. Do not include the quoted original and do not make up facts or commitments; leave [placeholders] for anything you don't know.`,
+            },
+            {
+                role: 'user',
+                content: [
+                    `Instructions: ${instructions || 'Write a short, polite reply.'}`,
+                    '',
+                    `From: ${formatAddresses([email.from_address].filter(Boolean))}`,
+                    `Subject: ${email.subject}`,
+                    '',
+                    getBodyText(email).slice(0, MAX_DRAFT_CONTEXT_CHARS),
+                ].join('\n'),
+            },
+        ],
+        temperature: 0.4,
+    });
+
+    return reply.content.trim();
+}
+
+/**
+ * Forwarded copy with the original's headers and (non-inline) files
+ */
+async function buildForward(provider, email, to) {
+    const header = textToHtml([
+        '---------- Forwarded message ---------',
+        `From: ${formatAddresses([email.from_address].filter(Boolean))}`,
+        `Date: ${email.date}`,
+        `Subject: ${email.subject}`,
+        `To: ${formatAddresses(email.to_addresses)}`,
+    ].join('\n'));
+    const original = email.body_html || textToHtml(email.body_text || '');
+
+    const attachments = [];
+    let size = 0;
+    for (const file of (email.attachments || []).filter(a => !a.inline && a.attachmentId)) {
+        if (!provider.getAttachment || size + (file.size || 0) > MAX_FORWARD_ATTACHMENT_BYTES) {
+            throw new Error('Attachments are too large to forward');
+        }
+        const { filename, mimeType, content } = await provider.getAttachment(email.id, file.attachmentId);
+        size += content.length;
+        attachments.push({ filename, mimeType, content });
+    }
+
+    return {
+        to,
+        subject: /^fwd?:/i.test(email.subject || '') ? email.subject : `Fwd: ${email.subject || ''}`,
+        body: `<p>${header}</p>${original}`,
+        attachments,
+    };
+}
+
+/**
+ * Run a rule's actions on one email. Label-only actions go to the provider as a
+ * single change; every action's outcome is reported separately.
+ *
+ * @returns {Promise<{results: Object[], labels: string[]|null}>} labels after the change, if any
+ */
+async function executeActions(user, provider, rule, email) {
+    const results = [];
+    let labels = null;
+
+    const labelActions = rule.actions.filter(action => action.type === 'label' || LABEL_ACTION_CHANGES[action.type]);
+    // Archive needs Gmail labels; on IMAP it fails rather than quietly doing nothing
+    const supported = labelActions.filter(action => supportsAction(provider, action.type));
+    for (const action of labelActions) {
+        if (!supported.includes(action)) {
+            results.push({ type: action.type, ok: false, error: `${action.type} is not supported for ${provider.type} accounts` });
+        }
+    }
+
+    if (supported.length) {
+        const changes = { add: [], remove: [] };
+        try {
+            for (const action of supported) {
+                if (action.type === 'label') {
+                    const { ids } = await provider.resolveLabels([action.label], { create: true });
+                    changes.add.push(...ids);
+                } else {
+                    changes.add.push(...(LABEL_ACTION_CHANGES[action.type].add || []));
+                    changes.remove.push(...(LABEL_ACTION_CHANGES[action.type].remove || []));
+                }
+            }
+            labels = await provider.modify(email.id, changes);
+            results.push(...supported.map(action => ({ type: action.type, ok: true, detail: describeAction(action) })));
+        } catch (error) {
+            results.push(...supported.map(action => ({ type: action.type, ok: false, error: error.message })));
+        }
+    }
+
+    for (const action of rule.actions) {
+        if (labelActions.includes(action)) continue;
+
+        try {
+            if (action.type === 'forward') {
+                // A forward to the mailbox itself would arrive, match and forward again
+                if (action.to.some(address => address.toLowerCase() === user.email.toLowerCase())) {
+                    throw new Error('Refusing to forward to the same mailbox');
+                }
+                const sent = await provider.send(await buildForward(provider, email, action.to));
+                results.push({ type: 'forward', ok: true, detail: `forwarded as ${sent.id}` });
+            } else if (action.type === 'notify') {
+                await sendToUser(user.email, 'rule:notify', {
+                    rule_id: String(rule._id),
+                    rule_name: rule.name,
+                    message: action.message || `New email matched "${rule.name}"`,
+                    email: {
+                        id: email.id,
+                        threadId: email.threadId,
+                        subject: email.subject,
+                        from_address: email.from_address,
+                        snippet: email.snippet,
+                    },
+                });
+                results.push({ type: 'notify', ok: true });
+            } else if (action.type === 'ai_draft') {
+                if (!provider.drafts) throw new Error(`Drafts are not supported for ${provider.type} accounts`);
+                const body = await generateReplyBody(user, email, action.instructions);
+                const draft = await provider.drafts.create({
+                    to: [email.from_address?.email].filter(Boolean),
+                    body,
+                    replyToId: email.id,
+                });
+                results.push({ type: 'ai_draft', ok: true, detail: `draft ${draft.id}` });
+            }
+        } catch (error) {
+            results.push({ type: action.type, ok: false, error: error.message });
+        }
+    }
+
+    return { results, labels };
+}
+
+/**
+ * Claim (rule, message) for a run. False if it ran before (a retried notification).
+ */
+async function claimRun(user, rule, email) {
+    try {
+        return await RuleRun.create({
+            userId: user._id,
+            ruleId: rule._id,
+            messageId: email.id,
+            threadId: email.threadId,
+            subject: email.subject,
+            from: email.from_address?.email,
+            expiresAt: new Date(Date.now() + RULE_RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+        });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+}
+
+/**
+ * Run the user's enabled rules on new emails, in rule order. A rule with
+ * stopProcessing ends the run for an email it matched.
+ *
+ * @param {Object} user - User document
+ * @param {import('../providers/index.js').MailProvider} provider - With label names (withLabelNames)
+ * @param {Object[]} emails - Full new emails, with triage where classified
+ * @returns {Promise<Object[]>} The emails, with labels/label_names/is_read updated where rules changed them
+ */
+export async function runRules(user, provider, emails) {
+    if (!emails.length) return emails;
+
+    const rules = await Rule.find({ userId: user._id, enabled: true }).sort({ position: 1, createdAt: 1 }).lean();
+    if (!rules.length) return emails;
+
+    const results = [];
+    for (const email of emails) {
+        let current = email;
+
+        for (const rule of rules) {
+            if (!matchesRule(rule, current)) continue;
+
+            // Already ran on this message (retried notification); its stopProcessing still holds
+            const run = await claimRun(user, rule, current);
+            if (!run) {
+                if (rule.stopProcessing) break;
+                continue;
+            }
+
+            const { results: actions, labels } = await executeActions(user, provider, rule, current);
+            const failed = actions.some(action => !action.ok);
+
+            await RuleRun.updateOne({ _id: run._id }, { status: failed ? 'failed' : 'completed', actions });
+            await Rule.updateOne({ _id: rule._id }, { $inc: { runCount: 1 }, lastRunAt: new Date() });
+            console.log(`⚙️ Rule "${rule.name}" ran on ${current.id} for ${user.email}${failed ? ' (with failures)' : ''}`);
+
+            if (labels) {
+                const [described] = await provider.describeLabels([{ labels }]);
+                current = { ...current, labels, label_names: described.label_names, is_read: !labels.includes('UNREAD') };
+            }
+            if (rule.stopProcessing) break;
+        }
+
+        results.push(current);
+    }
+
+    return results;
+}
+
+/**
+ * Test a rule against recent inbox mail without running any actions
+ *
+ * @param {Object} rule - Validated rule (saved or not)
+ * @param {Object} [options] - { limit: recent inbox emails to check (max MAX_DRY_RUN_MESSAGES) }
+ */
+export async function dryRunRule(user, provider, rule, { limit = 25 } = {}) {
+    const { emails: recent } = await provider.list({ maxResults: Math.min(limit, MAX_DRY_RUN_MESSAGES) });
+
+    let emails = recent;
+    if (needsBody(rule)) {
+        emails = [];
+        for (const email of recent) {
+            emails.push({ ...email, ...await provider.get(email.id) });
+        }
+    }
+    emails = await attachTriage(user._id, emails);
+
+    const matches = emails.filter(email => matchesRule(rule, email)).map(email => ({
+        id: email.id,
+        threadId: email.threadId,
+        subject: email.subject,
+        from_address: email.from_address,
+        date: email.date,
+        triage: email.triage,
+    }));
+
+    return {
+        checked: emails.length,
+        matched: matches.length,
+        matches,
+        actions: rule.actions.map(describeAction),
+    };
+}
@@ -0,0 +1,130 @@
+/**
+ * Scheduled Send - Emails written now and sent at a later time
+ *
+ * Each scheduled email is a ScheduledEmail document plus a delayed queue job on
+ * its own key (a job waiting for tomorrow would otherwise hold up the mailbox
+ * key). When it's due, the job sends through the same provider as POST /mail/send.
+ *
+ * Sending is at most once: the job marks the email "sending" before handing it to
+ * the provider, and a retry that finds it still "sending" (the worker died mid-send)
+ * marks it failed instead of risking a duplicate.
+ */
+
+import mongoose from 'mongoose';
+import { ScheduledEmail } from '../models/ScheduledEmail.js';
+import { enqueue, cancelJobs } from './queue.js';
+
+export const SCHEDULED_SEND_JOB = 'scheduled-send';
+
+// Attachments are stored in the document until sending; stay clear of Mongo's 16MB limit
+export const MAX_SCHEDULED_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+function jobKey(scheduledId) {
+    return `scheduled-send:${scheduledId}`;
+}
+
+/**
+ * The job carries sendAt so a job left over from before a reschedule does nothing
+ */
+async function enqueueSend(scheduled) {
+    await enqueue(SCHEDULED_SEND_JOB, {
+        scheduledId: String(scheduled._id),
+        sendAt: scheduled.sendAt.toISOString(),
+    }, {
+        key: jobKey(scheduled._id),
+        delayMs: Math.max(scheduled.sendAt.getTime() - Date.now(), 0),
+    });
+}
+
+/**
+ * API shape of a scheduled email (attachment names only)
+ */
+export function toScheduledResponse(scheduled) {
+    const { message } = scheduled;
+    return {
+        id: String(scheduled._id),
+        to: message.to,
+        cc: message.cc,
+        bcc: message.bcc,
+        subject: message.subject,
+        body: message.body,
+        reply_to_message_id: message.replyToId,
+        attachments: (message.attachments || []).map(a => ({ filename: a.filename, mimeType: a.mimeType })),
+        send_at: scheduled.sendAt,
+        timezone: scheduled.timezone,
+        status: scheduled.status,
+        sent_message_id: scheduled.sentMessageId,
+        sent_at: scheduled.sentAt,
+        error: scheduled.error,
+        created_at: scheduled.createdAt,
+    };
+}
+
+/**
+ * @param {Object} message - Compose fields as for MailProvider.send
+ * @param {Date} sendAt
+ */
+export async function scheduleSend(user, message, sendAt, { timezone } = {}) {
+    const scheduled = await ScheduledEmail.create({ userId: user._id, message, sendAt, timezone });
+
+    try {
+        await enqueueSend(scheduled);
+    } catch (error) {
+        await ScheduledEmail.deleteOne({ _id: scheduled._id });
+        throw error;
+    }
+
+    console.log(`🕘 Scheduled email for ${user.email} at ${sendAt.toISOString()}`);
+    return scheduled;
+}
+
+/**
+ * @param {string} [status] - Filter by status; 'all' for every status (default 'scheduled')
+ */
+export async function listScheduledSends(user, { status = 'scheduled', limit = 50 } = {}) {
+    return ScheduledEmail.find({ userId: user._id, ...(status !== 'all' && { status }) })
+        .sort({ sendAt: status === 'scheduled' ? 1 : -1 })
+        .limit(limit)
+        .select('-message.attachments.content')
+        .lean();
+}
+
+export async function getScheduledSend(user, scheduledId) {
+    if (!mongoose.isValidObjectId(scheduledId)) return null;
+    return ScheduledEmail.findOne({ _id: scheduledId, userId: user._id }).select('-message.attachments.content').lean();
+}
+
+/**
+ * Move a still-scheduled email to a new time. Null once it's sending, sent or cancelled.
+ */
+export async function rescheduleSend(user, scheduledId, sendAt) {
+    if (!mongoose.isValidObjectId(scheduledId)) return null;
+
+    const scheduled = await ScheduledEmail.findOneAndUpdate(
+        { _id: scheduledId, userId: user._id, status: 'scheduled' },
+        { sendAt },
+        { new: true }
+    ).select('-message.attachments.content');
+    if (!scheduled) return null;
+
+    await cancelJobs(jobKey(scheduled._id));
+    await enqueueSend(scheduled);
+    return scheduled;
+}
+
+/**
+ * Cancel a still-scheduled email. Null once it's sending, sent or cancelled.
+ */
+export async function cancelScheduledSend(user, scheduledId) {
+    if (!mongoose.isValidObjectId(scheduledId)) return null;
+
+    const scheduled = await ScheduledEmail.findOneAndUpdate(
+        { _id: scheduledId, userId: user._id, status: 'scheduled' },
+        { status: 'cancelled' },
+        { new: true }
+    ).select('-message.attachments.content');
+    if (!scheduled) return null;
+
+    await cancelJobs(jobKey(scheduled._id));
+    return scheduled;
+}
@@ -0,0 +1,123 @@
+/**
+ * Scheduler Service - In-process recurring jobs, coordinated across instances
+ *
+ * Every instance ticks each job on its interval, but a job only runs on the
+ * instance that takes its Mongo lease. The lease is held for the whole interval,
+ * so a job runs at most once per interval across the cluster.
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import mongoose from 'mongoose';
+import { Lease } from '../models/Lease.js';
+
+export const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map(); // name -> { intervalMs, fn, timer, running }
+let started = false;
+
+/**
+ * Try to take (or extend) a named lease. Returns true when this instance holds it.
+ */
+export async function acquireLease(name, durationMs) {
+    const now = new Date();
+
+    try {
+        const lease = await Lease.findOneAndUpdate(
+            {
+                _id: name,
+                $or: [{ expiresAt: { $lte: now } }, { owner: instanceId }],
+            },
+            { owner: instanceId, expiresAt: new Date(now.getTime() + durationMs) },
+            { upsert: true, new: true }
+        );
+        return lease?.owner === instanceId;
+    } catch (error) {
+        // Upsert raced with another instance holding a live lease
+        if (error.code === 11000) return false;
+        throw error;
+    }
+}
+
+export async function releaseLease(name) {
+    await Lease.deleteOne({ _id: name, owner: instanceId });
+}
+
+async function runJob(name) {
+    const job = jobs.get(name);
+    if (!job || job.running) return;
+
+    // Skip quietly while Mongo is down; the next tick retries
+    if (mongoose.connection.readyState !== 1) return;
+
+    job.running = true;
+    try {
+        // Hold the lease slightly less than the interval so the next tick can take it
+        if (!await acquireLease(`job:${name}`, Math.max(job.intervalMs - 1000, 1000))) return;
+
+        const start = Date.now();
+        await job.fn();
+        console.log(`⏰ Job ${name} finished in ${Date.now() - start}ms`);
+    } catch (error) {
+        console.error(`Job ${name} failed:`, error);
+    } finally {
+        job.running = false;
+    }
+}
+
+function scheduleNext(name) {
+    const job = jobs.get(name);
+    if (!job || !started) return;
+
+    // Jitter spreads instances so they don't all hit Mongo at the same moment
+    const delay = job.intervalMs + Math.floor(Math.random() * Math.min(job.intervalMs * 0.1, 30000));
+    job.timer = setTimeout(async () => {
+        await runJob(name);
+        scheduleNext(name);
+    }, delay);
+    job.timer.unref?.();
+}
+
+/**
+ * Register a recurring job. fn runs on one instance per interval.
+ *
+ * @param {string} name - Unique job name (also the lease name)
+ * @param {number} intervalMs - How often the job should run cluster-wide
+ * @param {Function} fn - async () => void
+ * @param {Object} [options] - { runOnStart: run shortly after startScheduler() }
+ */
+export function registerJob(name, intervalMs, fn, { runOnStart = true } = {}) {
+    jobs.set(name, { intervalMs, fn, timer: null, running: false, runOnStart });
+    if (started) startJob(name);
+}
+
+function startJob(name) {
+    const job = jobs.get(name);
+    if (job.runOnStart) {
+        // Give the DB connection a moment after boot
+        job.timer = setTimeout(async () => {
+            await runJob(name);
+            scheduleNext(name);
+        }, 5000);
+        job.timer.unref?.();
+    } else {
+        scheduleNext(name);
+    }
+}
+
+export function startScheduler() {
+    if (started) return;
+    started = true;
+
+    for (const name of jobs.keys()) {
+        startJob(name);
+    }
+    console.log(`⏰ Scheduler started (${jobs.size} jobs, instance ${instanceId})`);
+}
+
+export function stopScheduler() {
+    started = false;
+    for (const job of jobs.values()) {
+        clearTimeout(job.timer);
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Semantic Index - Embeddings of message content, searched by cosine similarity
+ *
+ * Each message gets one unit-length vector of its subject, sender and body
+ * (MessageEmbedding), so cosine similarity is a dot product, computed in a Mongo
+ * aggregation over the user's vectors. The webhook pipeline indexes mail as it
+ * arrives; a backfill job builds the index for older mail the first time a user
+ * searches (or after the embedding model changes).
+ */
+
+import config from '../config.js';
+import { User } from '../database.js';
+import { MessageEmbedding } from '../models/MessageEmbedding.js';
+import { embeddingProvider } from './embeddings.js';
+import { enqueue } from './queue.js';
+import { htmlToText } from './mime.js';
+
+export const EMBEDDING_BACKFILL_JOB = 'embedding-backfill';
+
+// Embedding models take a few thousand tokens; the start of a message carries its meaning
+const MAX_EMBED_CHARS = 6000;
+const BACKFILL_PAGE_SIZE = 100;
+const MAX_BACKFILL_MESSAGES = 5000;
+export const MAX_SEMANTIC_RESULTS = 50;
+
+export function isSemanticSearchEnabled() {
+    return config.embeddings.enabled;
+}
+
+function normalize(vector) {
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return length ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * The text a message is embedded as. Quoted replies are dropped; they belong to
+ * the messages they quote.
+ */
+function toEmbeddingText(email) {
+    const body = (email.body_text || htmlToText(email.body_html) || email.snippet || '')
+        .split('\n')
+        .filter(line => !line.startsWith('>'))
+        .join('\n')
+        .replace(/\s+/g, ' ')
+        .trim();
+    const from = email.from_address?.name || email.from_address?.email || '';
+
+    return `Subject: ${email.subject || ''}\nFrom: ${from}\n\n${body}`.slice(0, MAX_EMBED_CHARS);
+}
+
+function isIndexable(email) {
+    return !email.labels?.includes('SPAM') && !email.labels?.includes('TRASH') && !email.labels?.includes('DRAFT');
+}
+
+/**
+ * Embed and store full emails (with bodies). Emails already indexed with the
+ * current model are skipped.
+ *
+ * @returns {Promise<number>} How many were embedded
+ */
+export async function indexEmails(user, emails) {
+    const candidates = emails.filter(isIndexable);
+    if (!candidates.length) return 0;
+
+    const indexed = await MessageEmbedding.find({
+        userId: user._id,
+        embeddingModel: embeddingProvider.id,
+        messageId: { $in: candidates.map(email => email.id) },
+    }).distinct('messageId');
+    const known = new Set(indexed);
+
+    const pending = candidates.filter(email => !known.has(email.id));
+    if (!pending.length) return 0;
+
+    const vectors = await embeddingProvider.embed(pending.map(toEmbeddingText));
+
+    await MessageEmbedding.bulkWrite(pending.map((email, i) => ({
+        updateOne: {
+            filter: { userId: user._id, messageId: email.id },
+            update: {
+                $set: {
+                    threadId: email.threadId,
+                    subject: email.subject,
+                    snippet: email.snippet,
+                    from_address: email.from_address,
+                    date: new Date(email.date),
+                    embeddingModel: embeddingProvider.id,
+                    vector: normalize(vectors[i]),
+                },
+            },
+            upsert: true,
+        },
+    })), { ordered: false });
+
+    return pending.length;
+}
+
+export async function removeEmbeddings(userId, messageIds) {
+    if (!messageIds.length) return;
+    await MessageEmbedding.deleteMany({ userId, messageId: { $in: messageIds } });
+}
+
+/**
+ * Whether the user's index was built with the current model
+ */
+export function isBackfilled(user) {
+    return user.embeddingIndex?.model === embeddingProvider.id && Boolean(user.embeddingIndex?.backfilledAt);
+}
+
+/**
+ * Queue an index build for the user's older mail, unless one is already under way
+ * (each page job queues the next before it finishes, so a build always has a job
+ * waiting or running)
+ */
+export async function requestEmbeddingBackfill(user) {
+    return enqueue(EMBEDDING_BACKFILL_JOB, { userId: String(user._id) }, {
+        key: `embeddings:${user.email}`,
+        unique: true,
+    });
+}
+
+function formatQueryDate(date) {
+    return `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Index one page of the user's mail from the last EMBEDDINGS_BACKFILL_DAYS.
+ *
+ * @param {Object} state - { pageToken, processed } from the previous page
+ * @returns {Promise<{pageToken: string, processed: number}|null>} Where to continue, or null when done
+ */
+export async function backfillEmbeddings(user, provider, { pageToken, processed = 0 } = {}) {
+    const since = new Date(Date.now() - config.embeddings.backfillDays * 24 * 60 * 60 * 1000);
+    const page = await provider.search(`after:${formatQueryDate(since)}`, BACKFILL_PAGE_SIZE, pageToken);
+
+    // List pages have no bodies; fetch only what isn't indexed yet
+    const indexed = new Set(await MessageEmbedding.find({
+        userId: user._id,
+        embeddingModel: embeddingProvider.id,
+        messageId: { $in: page.emails.map(email => email.id) },
+    }).distinct('messageId'));
+
+    const emails = [];
+    for (const email of page.emails.filter(email => !indexed.has(email.id) && isIndexable(email))) {
+        try {
+            emails.push(await provider.get(email.id));
+        } catch (error) {
+            // Deleted since the page was listed
+            if (error.code !== 404 && error.response?.status !== 404) throw error;
+        }
+    }
+    await indexEmails(user, emails);
+
+    processed += page.emails.length;
+    if (page.nextPageToken && processed < MAX_BACKFILL_MESSAGES) {
+        return { pageToken: page.nextPageToken, processed };
+    }
+
+    await User.updateOne({ _id: user._id }, {
+        embeddingIndex: { model: embeddingProvider.id, backfilledAt: new Date() },
+    });
+    console.log(`🧭 Built semantic index for ${user.email}: ${processed} messages checked`);
+    return null;
+}
+
+/**
+ * Order emails found some other way (e.g. keyword search) by similarity to a
+ * query. Indexed emails use their stored vector; the rest are embedded from
+ * whatever text they carry, which for list results is subject and snippet.
+ *
+ * @returns {Promise<Object[]>} The emails with a score, best first
+ */
+export async function rankBySimilarity(user, query, emails) {
+    if (!emails.length) return [];
+
+    const stored = await MessageEmbedding.find({
+        userId: user._id,
+        embeddingModel: embeddingProvider.id,
+        messageId: { $in: emails.map(email => email.id) },
+    }).select('messageId vector').lean();
+    const vectors = new Map(stored.map(doc => [doc.messageId, doc.vector]));
+
+    const missing = emails.filter(email => !vectors.has(email.id));
+    const [queryVector, ...embedded] = await embeddingProvider.embed([query, ...missing.map(toEmbeddingText)]);
+    missing.forEach((email, i) => vectors.set(email.id, normalize(embedded[i])));
+
+    const unitQuery = normalize(queryVector);
+    return emails
+        .map(email => ({
+            ...email,
+            score: Math.round(vectors.get(email.id).reduce((sum, value, i) => sum + value * unitQuery[i], 0) * 1000) / 1000,
+        }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Messages most similar in meaning to a free-text query
+ *
+ * @param {Object} user - User document
+ * @param {string} query - e.g. "the vendor apologised for the delay"
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object[]>} { id, threadId, subject, snippet, from_address, date, score }, best first
+ */
+export async function semanticSearch(user, query, { limit = 10 } = {}) {
+    const [vector] = await embeddingProvider.embed([query]);
+    const queryVector = normalize(vector);
+
+    const results = await MessageEmbedding.aggregate([
+        { $match: { userId: user._id, embeddingModel: embeddingProvider.id } },
+        {
+            $project: {
+                messageId: 1,
+                threadId: 1,
+                subject: 1,
+                snippet: 1,
+                from_address: 1,
+                date: 1,
+                // Both vectors are unit length, so the dot product is the cosine similarity
+                score: {
+                    $reduce: {
+                        input: { $range: [0, queryVector.length] },
+                        initialValue: 0,
+                        in: {
+                            $add: ['$$value', {
+                                $multiply: [{ $arrayElemAt: ['$vector', '$$this'] }, { $arrayElemAt: [{ $literal: queryVector }, '$$this'] }],
+                            }],
+                        },
+                    },
+                },
+            },
+        },
+        { $sort: { score: -1 } },
+        { $limit: Math.min(limit, MAX_SEMANTIC_RESULTS) },
+    ]);
+
+    return results.map(result => ({
+        id: result.messageId,
+        threadId: result.threadId,
+        subject: result.subject,
+        snippet: result.snippet,
+        from_address: result.from_address,
+        date: result.date,
+        score: Math.round(result.score * 1000) / 1000,
+    }));
+}
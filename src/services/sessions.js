@@ -0,0 +1,172 @@
+/**
+ * Session Service - Short-lived access tokens with rotating refresh tokens
+ *
+ * Refresh tokens look like "<sessionId>.<secret>". Only a hash of the secret is
+ * stored, and it changes on every refresh. Presenting an already-rotated secret
+ * means the token leaked, so the whole session is revoked - except within a few
+ * seconds of the rotation, when it's another tab that refreshed at the same time
+ * and it gets the tokens the first refresh issued.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config.js';
+import { Session } from '../models/Session.js';
+import { createToken } from '../middleware/auth.js';
+
+// Avoid a write on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+// How long the previous refresh token still gets the rotated tokens
+const REFRESH_GRACE_MS = 30 * 1000;
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+function describeDevice(req) {
+    const name = req.body?.device_name;
+    if (name) return String(name).slice(0, 100);
+
+    const ua = req.headers['user-agent'] || '';
+    const browser = ua.match(/(Edg|Chrome|Firefox|Safari)\/[\d.]+/)?.[1] || null;
+    const os = ua.match(/(Windows|Mac OS X|Android|iPhone|iPad|Linux)/)?.[1] || null;
+    return [browser === 'Edg' ? 'Edge' : browser, os].filter(Boolean).join(' on ') || 'Unknown device';
+}
+
+function issueTokens(session, secret) {
+    const accessToken = createToken({ userId: session.userId, sid: session._id });
+
+    return {
+        access_token: accessToken,
+        refresh_token: `${session._id}.${secret}`,
+        expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    };
+}
+
+/**
+ * Whether secretHash belongs to the token rotated away moments ago
+ */
+function isWithinGrace(session, secretHash) {
+    return session.previousRefreshTokenHash === secretHash
+        && Boolean(session.refreshTokenSecret)
+        && Date.now() - session.rotatedAt?.getTime() < REFRESH_GRACE_MS;
+}
+
+/**
+ * Start a new session for a user after sign-in
+ */
+export async function createSession(userId, req) {
+    const secret = newSecret();
+
+    const session = await Session.create({
+        userId,
+        refreshTokenHash: hashSecret(secret),
+        device: describeDevice(req),
+        userAgent: req.headers['user-agent'],
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + config.jwt.refreshTokenDays * 24 * 60 * 60 * 1000),
+    });
+
+    return issueTokens(session, secret);
+}
+
+/**
+ * Exchange a refresh token for a new access token + rotated refresh token.
+ * Returns null when the token is invalid, expired or revoked.
+ */
+export async function refreshSession(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) return null;
+
+    const secretHash = hashSecret(secret);
+    if (session.refreshTokenHash !== secretHash) {
+        if (isWithinGrace(session, secretHash)) return issueTokens(session, session.refreshTokenSecret);
+
+        // An old refresh token was replayed: assume it was stolen
+        await revokeSession(session._id, 'refresh_token_reuse');
+        console.warn(`⚠️ Refresh token reuse detected, session ${session._id} revoked`);
+        return null;
+    }
+
+    const nextSecret = newSecret();
+    // Conditional update so two concurrent refreshes can't both rotate the same secret
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: secretHash },
+        {
+            refreshTokenHash: hashSecret(nextSecret),
+            previousRefreshTokenHash: secretHash,
+            refreshTokenSecret: nextSecret,
+            rotatedAt: new Date(),
+            lastUsedAt: new Date(),
+            ip: req.ip,
+            expiresAt: new Date(Date.now() + config.jwt.refreshTokenDays * 24 * 60 * 60 * 1000),
+        },
+        { new: true }
+    );
+    if (rotated) return issueTokens(rotated, nextSecret);
+
+    // The other refresh won the race; share its tokens
+    const current = await Session.findById(session._id);
+    if (current?.isActive() && isWithinGrace(current, secretHash)) {
+        return issueTokens(current, current.refreshTokenSecret);
+    }
+    return null;
+}
+
+/**
+ * Load a session for an access token; null if it no longer grants access
+ */
+export async function getActiveSession(sessionId) {
+    if (!sessionId) return null;
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) return null;
+
+    if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+        await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+    }
+
+    return session;
+}
+
+export async function listSessions(userId) {
+    return Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    })
+        .select('device userAgent ip lastUsedAt createdAt expiresAt')
+        .sort({ lastUsedAt: -1 });
+}
+
+export async function revokeSession(sessionId, reason = 'logout') {
+    const result = await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user except keepSessionId (omit to revoke all).
+ * Returns the ids that were revoked.
+ */
+export async function revokeUserSessions(userId, { keepSessionId, reason = 'logout' } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (keepSessionId) filter._id = { $ne: keepSessionId };
+
+    const sessions = await Session.find(filter).select('_id');
+    await Session.updateMany(
+        { _id: { $in: sessions.map(s => s._id) } },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    return sessions.map(s => String(s._id));
+}
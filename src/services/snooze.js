@@ -0,0 +1,179 @@
+/**
+ * Snooze Service - Hide a thread from the inbox until a given time
+ *
+ * Snoozing takes the thread's inbox messages out of INBOX and puts them under a
+ * "Snoozed" label, so they stay findable in Gmail too. A delayed queue job on the
+ * snooze's own key puts them back and tells the client with email:unsnoozed.
+ * Gmail only: IMAP has no labels to park messages under.
+ */
+
+import mongoose from 'mongoose';
+import { Snooze } from '../models/Snooze.js';
+import { User } from '../database.js';
+import { getUserMailProvider } from '../providers/index.js';
+import { enqueue, cancelJobs } from './queue.js';
+import { runBatch } from './batch.js';
+import { sendToUser } from './sse.js';
+
+export const UNSNOOZE_JOB = 'unsnooze';
+export const SNOOZED_LABEL = 'Snoozed';
+
+function jobKey(snoozeId) {
+    return `snooze:${snoozeId}`;
+}
+
+/**
+ * The job carries `until` so a job left over from before a re-snooze does nothing
+ */
+async function enqueueUnsnooze(snooze) {
+    await enqueue(UNSNOOZE_JOB, {
+        snoozeId: String(snooze._id),
+        until: snooze.until.toISOString(),
+    }, {
+        key: jobKey(snooze._id),
+        delayMs: Math.max(snooze.until.getTime() - Date.now(), 0),
+    });
+}
+
+export function supportsSnooze(provider) {
+    return provider.type === 'gmail';
+}
+
+/**
+ * API shape of a snooze
+ */
+export function toSnoozeResponse(snooze) {
+    return {
+        id: String(snooze._id),
+        thread_id: snooze.threadId,
+        message_ids: snooze.messageIds,
+        subject: snooze.subject,
+        until: snooze.until,
+        timezone: snooze.timezone,
+        status: snooze.status,
+        restored_at: snooze.restoredAt,
+    };
+}
+
+/**
+ * Snooze the thread an email belongs to. Snoozing an already snoozed thread
+ * moves its wake-up time.
+ *
+ * @param {Object} user - User document
+ * @param {import('../providers/index.js').MailProvider} provider - The user's provider (getUserMailProvider)
+ * @param {string} emailId - Any message in the thread
+ * @param {Date} until
+ */
+export async function snoozeThread(user, provider, emailId, until, { timezone } = {}) {
+    const email = await provider.get(emailId);
+
+    const existing = await Snooze.findOneAndUpdate(
+        { userId: user._id, threadId: email.threadId, status: 'snoozed' },
+        { until, timezone },
+        { new: true }
+    );
+    if (existing) {
+        await cancelJobs(jobKey(existing._id));
+        await enqueueUnsnooze(existing);
+        return existing;
+    }
+
+    const messages = await provider.getThread(email.threadId);
+    const inboxIds = messages.filter(message => message.labels?.includes('INBOX')).map(message => message.id);
+    const messageIds = inboxIds.length ? inboxIds : [email.id];
+
+    const { ids: [labelId] } = await provider.resolveLabels([SNOOZED_LABEL], { create: true });
+    await provider.batchModify(messageIds, { add: [labelId], remove: ['INBOX'] });
+
+    try {
+        const snooze = await Snooze.create({
+            userId: user._id,
+            threadId: email.threadId,
+            messageIds,
+            subject: email.subject,
+            until,
+            timezone,
+        });
+        await enqueueUnsnooze(snooze);
+
+        console.log(`😴 Snoozed thread ${email.threadId} for ${user.email} until ${until.toISOString()}`);
+        return snooze;
+    } catch (error) {
+        // Don't leave the thread hidden with nothing to bring it back
+        await provider.batchModify(messageIds, { add: ['INBOX'], remove: [labelId] }).catch(() => { });
+        throw error;
+    }
+}
+
+export async function listSnoozes(user, { limit = 50 } = {}) {
+    return Snooze.find({ userId: user._id, status: 'snoozed' }).sort({ until: 1 }).limit(limit).lean();
+}
+
+/**
+ * Put a snoozed thread back in the inbox and notify the client.
+ *
+ * @param {string} snoozeId
+ * @param {Object} [options]
+ * @param {Date} [options.until] - Only if the snooze still wakes at this time (the job's check)
+ * @param {string} [options.status] - 'restored' when due, 'cancelled' when ended early
+ * @param {Object} [options.user] - Only this user's snooze
+ * @returns {Promise<Object|null>} The snooze, or null if it isn't active (or moved)
+ */
+export async function unsnoozeThread(snoozeId, { until, status = 'restored', user } = {}) {
+    if (!mongoose.isValidObjectId(snoozeId)) return null;
+
+    const snooze = await Snooze.findOneAndUpdate(
+        {
+            _id: snoozeId,
+            status: 'snoozed',
+            ...(until && { until }),
+            ...(user && { userId: user._id }),
+        },
+        { status, restoredAt: new Date() },
+        { new: true }
+    );
+    if (!snooze) return null;
+
+    const account = user || await User.findById(snooze.userId);
+    if (!account) return snooze;
+
+    const provider = getUserMailProvider(account);
+    try {
+        const { ids: labelIds } = await provider.resolveLabels([SNOOZED_LABEL]);
+
+        // Per-message fallback skips messages deleted while snoozed
+        const { failed } = await runBatch(provider, snooze.messageIds, {
+            action: 'label',
+            changes: { add: ['INBOX'], remove: labelIds },
+        });
+        // Anything else (429, 5xx) must not leave the thread hidden as "restored"
+        const retryable = failed.filter(failure => failure.status !== 404);
+        if (retryable.length) {
+            throw new Error(`Failed to restore ${retryable.length} message(s): ${retryable[0].error}`);
+        }
+    } catch (error) {
+        // Still snoozed, and its job still waiting: the queue retry (or the user) tries again
+        await Snooze.updateOne({ _id: snooze._id }, { status: 'snoozed', $unset: { restoredAt: 1 } });
+        throw error;
+    }
+
+    let emails = [];
+    try {
+        const thread = await provider.getThread(snooze.threadId);
+        emails = thread.filter(email => snooze.messageIds.includes(email.id));
+    } catch (error) {
+        console.error(`Failed to load unsnoozed thread ${snooze.threadId}:`, error.message);
+    }
+
+    await sendToUser(account.email, 'email:unsnoozed', {
+        snooze_id: String(snooze._id),
+        thread_id: snooze.threadId,
+        emails,
+    });
+
+    // Ended early: the wake-up job has nothing left to do
+    if (status !== 'restored') await cancelJobs(jobKey(snooze._id));
+
+    console.log(`⏰ Unsnoozed thread ${snooze.threadId} for ${account.email}`);
+    return snooze;
+}
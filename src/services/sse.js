@@ -5,15 +5,67 @@
 
 import jwt from 'jsonwebtoken';
 import config from '../config.js';
+import { User } from '../database.js';
+import { getActiveSession } from './sessions.js';
+import { stopWatching } from '../providers/index.js';
+import { eventLog } from './eventLog.js';
+import { eventBus } from './eventBus.js';
 
 // Store active SSE connections by user email
 const connections = new Map(); // email -> Set of response objects
 
+// Session behind each connection, so revoking a session can close its streams
+const connectionSessions = new WeakMap(); // response -> sessionId
+
+// Last event id written to each stream
+const connectionLastIds = new WeakMap(); // response -> id
+
+// Per-user chain of pending sends/replays, so event ids reach each stream in order
+const userQueues = new Map(); // email -> Promise
+
+function runForUser(email, task) {
+    const result = (userQueues.get(email) || Promise.resolve()).then(task);
+    const tail = result.catch(() => { });
+    userQueues.set(email, tail);
+    tail.then(() => {
+        if (userQueues.get(email) === tail) userQueues.delete(email);
+    });
+    return result;
+}
+
+function formatEvent(event, data, id) {
+    return `${id != null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Write the events a reconnecting client missed. If the log no longer reaches
+ * back that far, tell it to resync instead.
+ */
+async function replayEvents(res, email, lastId) {
+    const { events, gap } = await eventLog.since(email, lastId);
+
+    if (gap) {
+        // Carry the newest id so the client's Last-Event-ID moves past the gap
+        writeEvent(res, 'email:sync_required', { reason: 'missed_events' }, events[events.length - 1]?.id);
+        console.log(`⏪ SSE replay gap for ${email} after event ${lastId}`);
+        return;
+    }
+
+    for (const { id, event, data } of events) {
+        writeEvent(res, event, data, id);
+    }
+    if (events.length) {
+        console.log(`⏪ SSE replayed ${events.length} events to ${email}`);
+    }
+}
+
 /**
  * SSE endpoint handler
  * Clients connect via: GET /events
+ * Reconnects send Last-Event-ID (EventSource does this itself) or ?last_event_id=
+ * to receive the events they missed.
  */
-export function createSSEHandler(req, res) {
+export async function createSSEHandler(req, res) {
     // Get token from query or header
     const token = req.query.token || req.headers.authorization?.split(' ')[1];
 
@@ -21,14 +73,29 @@ export function createSSEHandler(req, res) {
         return res.status(401).json({ error: 'Token required' });
     }
 
-    let user;
+    let decoded;
     try {
-        user = jwt.verify(token, config.jwt.secret);
+        decoded = jwt.verify(token, config.jwt.secret);
     } catch (error) {
         return res.status(401).json({ error: 'Invalid token' });
     }
 
-    const email = user.sub;
+    // The token only carries ids; connections are keyed by email
+    let user;
+    try {
+        const session = await getActiveSession(decoded.sid);
+        if (!session || String(session.userId) !== String(decoded.userId)) {
+            return res.status(401).json({ error: 'Session revoked or expired' });
+        }
+        user = await User.findById(decoded.userId).select('email');
+    } catch (error) {
+        return res.status(500).json({ error: 'Failed to load user' });
+    }
+    if (!user) {
+        return res.status(401).json({ error: 'User not found' });
+    }
+
+    const email = user.email;
 
     // Set SSE headers
     res.setHeader('Content-Type', 'text/event-stream');
@@ -40,74 +107,170 @@ export function createSSEHandler(req, res) {
     // Send initial connection message
     res.write(`event: connected\ndata: ${JSON.stringify({ email })}\n\n`);
 
-    // Track this connection
-    if (!connections.has(email)) {
-        connections.set(email, new Set());
-    }
-    connections.get(email).add(res);
-
-    console.log(`📱 SSE connected: ${email} (${connections.get(email).size} connections)`);
-
     // Keep-alive ping every 30 seconds
     const keepAlive = setInterval(() => {
         res.write(`: ping\n\n`);
     }, 30000);
 
     // Cleanup on disconnect
+    let closed = false;
     req.on('close', () => {
+        closed = true;
         clearInterval(keepAlive);
-        const userConns = connections.get(email);
-        if (userConns) {
-            userConns.delete(res);
-            if (userConns.size === 0) {
-                connections.delete(email);
+        if (removeConnection(email, res)) {
+            console.log(`📴 SSE disconnected: ${email}`);
+        }
+    });
+
+    const lastId = parseInt(req.headers['last-event-id'] ?? req.query.last_event_id);
+
+    // Replay and register in the user's send queue so no live event slips in between
+    await runForUser(email, async () => {
+        if (closed) return;
+
+        if (lastId >= 0) {
+            try {
+                await replayEvents(res, email, lastId);
+            } catch (error) {
+                console.error(`SSE replay failed for ${email}:`, error.message);
+                res.write(formatEvent('email:sync_required', { reason: 'replay_failed' }));
             }
         }
-        console.log(`📴 SSE disconnected: ${email}`);
+
+        // Track this connection
+        if (!connections.has(email)) {
+            connections.set(email, new Set());
+        }
+        connections.get(email).add(res);
+        connectionSessions.set(res, String(decoded.sid));
+        eventBus.setLocalConnections(getLocalConnectionCount());
+
+        console.log(`📱 SSE connected: ${email} (${connections.get(email).size} connections)`);
     });
 }
 
 /**
- * Send event to a specific user
+ * Forget a connection. Returns false if it was already removed.
  */
-export function sendToUser(email, event, data) {
+function removeConnection(email, res) {
     const userConns = connections.get(email);
+    if (!userConns?.delete(res)) return false;
 
-    if (!userConns || userConns.size === 0) {
-        console.log(`No SSE connections for ${email}`);
-        return false;
+    if (userConns.size === 0) {
+        connections.delete(email);
+        // Nobody left to notify: release any IMAP IDLE connection
+        stopWatching(email);
     }
+    eventBus.setLocalConnections(getLocalConnectionCount());
+    return true;
+}
 
-    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
-
-    for (const res of userConns) {
-        res.write(message);
-    }
+/**
+ * Send event to a specific user, wherever their streams are connected. Every event
+ * is logged with an id first, so users who are offline get it on their next reconnect.
+ *
+ * @returns {Promise<number|undefined>} the event id
+ */
+export function sendToUser(email, event, data) {
+    return runForUser(email, async () => {
+        let id;
+        try {
+            ({ id } = await eventLog.append(email, event, data));
+        } catch (error) {
+            // Still deliver live; only replay is lost
+            console.error(`Failed to log SSE event for ${email}:`, error.message);
+        }
 
-    console.log(`📨 SSE sent to ${email}: ${event}`);
-    return true;
+        await eventBus.publish({ type: 'user', email, event, data, id });
+        return id;
+    });
 }
 
 /**
  * Broadcast to all connected users
  */
 export function broadcast(event, data) {
-    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    return eventBus.publish({ type: 'broadcast', event, data });
+}
+
+/**
+ * Close open streams belonging to revoked sessions, on every instance
+ */
+export function closeSessionConnections(sessionIds) {
+    return eventBus.publish({ type: 'close_sessions', sessionIds: sessionIds.map(String) });
+}
+
+/**
+ * Write an event to a stream unless it already got it (replay and live delivery overlap)
+ */
+function writeEvent(res, event, data, id) {
+    if (id != null) {
+        if (id <= (connectionLastIds.get(res) ?? -1)) return;
+        connectionLastIds.set(res, id);
+    }
+    res.write(formatEvent(event, data, id));
+}
+
+function deliverToUser({ email, event, data, id }) {
+    // Queued behind any replay in progress for this user
+    runForUser(email, () => {
+        const userConns = connections.get(email);
+        if (!userConns || userConns.size === 0) return;
+
+        for (const res of userConns) {
+            writeEvent(res, event, data, id);
+        }
+        console.log(`📨 SSE sent to ${email}: ${event}`);
+    });
+}
+
+function closeLocalSessions(sessionIds) {
+    const revoked = new Set(sessionIds);
 
     for (const [email, userConns] of connections) {
         for (const res of userConns) {
-            res.write(message);
+            if (revoked.has(connectionSessions.get(res))) {
+                res.write(`event: session:revoked\ndata: {}\n\n`);
+                res.end();
+                removeConnection(email, res);
+            }
         }
     }
 }
 
+// Every instance handles every message for the streams it holds
+eventBus.subscribe((message) => {
+    switch (message.type) {
+        case 'user':
+            deliverToUser(message);
+            break;
+        case 'broadcast':
+            for (const userConns of connections.values()) {
+                for (const res of userConns) {
+                    res.write(formatEvent(message.event, message.data));
+                }
+            }
+            break;
+        case 'close_sessions':
+            closeLocalSessions(message.sessionIds);
+            break;
+    }
+});
+
 /**
- * Get count of active connections
+ * Count of streams open on this instance
  */
-export function getConnectionCount() {
+export function getLocalConnectionCount() {
     let count = 0;
     for (const userConns of connections.values()) {
         count += userConns.size;
     }
     return count;
 }
+
+/**
+ * Count of streams open across all instances
+ */
+export function getConnectionCount() {
+    return eventBus.getConnectionCount();
+}
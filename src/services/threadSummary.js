@@ -0,0 +1,174 @@
+/**
+ * Thread Summary Service - Structured AI summaries of email threads
+ *
+ * Summaries are stored per thread together with the id of the newest message they
+ * cover, so a thread is only summarized again once new mail arrives in it.
+ */
+
+import { ThreadSummary } from '../models/ThreadSummary.js';
+import { htmlToText } from './mime.js';
+import { getLLM } from './llm.js';
+
+// Budget for the thread text sent to the model
+const MAX_MESSAGE_CHARS = 3000;
+const MAX_THREAD_CHARS = 40000;
+
+const SUMMARY_PROMPT = `You summarize email threads for a busy reader. Reply with JSON only, in this shape:
+{
+  "overview": "Two or three sentences: what the thread is about and where it stands now",
+  "key_points": ["Important facts, numbers, dates and requests"],
+  "decisions": ["Decisions that were made, and who made them"],
+  "open_questions": ["Questions that have not been answered yet"],
+  "waiting_on": [{ "who": "Person waiting", "waiting_for": "What they need", "from": "Person expected to act" }]
+}
+Use people's names as they appear in the thread. Only use what the thread says, and leave a list empty rather than guessing.`;
+
+// In-flight generations: "<userId>:<threadId>:<lastMessageId>" -> Promise
+const pending = new Map();
+
+/**
+ * Drop quoted history ("> ..." lines and everything after "On ... wrote:");
+ * every earlier message is in the thread already
+ */
+export function stripQuotedText(text) {
+    const lines = [];
+    for (const line of text.split('\n')) {
+        if (/^On .+wrote:\s*$/.test(line.trim())) break;
+        if (!line.startsWith('>')) lines.push(line);
+    }
+    return lines.join('\n').trim();
+}
+
+export function describeAddress(address) {
+    if (!address?.email) return 'Unknown';
+    return address.name ? `${address.name} <${address.email}>` : address.email;
+}
+
+function formatMessage(message, index, total) {
+    let body = stripQuotedText(message.body_text || htmlToText(message.body_html) || message.snippet || '');
+    if (body.length > MAX_MESSAGE_CHARS) body = `${body.slice(0, MAX_MESSAGE_CHARS)}\n[...truncated]`;
+
+    return [
+        `--- Message ${index + 1} of ${total}`,
+        `From: ${describeAddress(message.from_address)}`,
+        `To: ${(message.to_addresses || []).map(describeAddress).join(', ')}`,
+        message.cc_addresses?.length ? `Cc: ${message.cc_addresses.map(describeAddress).join(', ')}` : null,
+        `Date: ${message.date}`,
+        `Subject: ${message.subject}`,
+        '',
+        body,
+    ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * The thread as text within MAX_THREAD_CHARS: the first message plus as many of
+ * the latest as fit, noting how many in between were left out
+ */
+function formatThread(messages) {
+    const formatted = messages.map((message, i) => formatMessage(message, i, messages.length));
+
+    const [first, ...rest] = formatted;
+    const kept = [];
+    let size = first.length;
+    for (let i = rest.length - 1; i >= 0 && size + rest[i].length <= MAX_THREAD_CHARS; i--) {
+        kept.unshift(rest[i]);
+        size += rest[i].length;
+    }
+
+    const omitted = rest.length - kept.length;
+    return [
+        first,
+        ...(omitted ? [`--- [${omitted} message(s) omitted for length]`] : []),
+        ...kept,
+    ].join('\n\n');
+}
+
+function toStringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : [];
+}
+
+function normalizeSummary(raw) {
+    return {
+        overview: typeof raw.overview === 'string' ? raw.overview : '',
+        key_points: toStringList(raw.key_points),
+        decisions: toStringList(raw.decisions),
+        open_questions: toStringList(raw.open_questions),
+        waiting_on: (Array.isArray(raw.waiting_on) ? raw.waiting_on : [])
+            .filter(item => item && typeof item === 'object')
+            .map(item => ({ who: String(item.who || ''), waiting_for: String(item.waiting_for || ''), from: String(item.from || '') })),
+    };
+}
+
+async function generateSummary({ provider, model }, messages) {
+    const reply = await provider.complete({
+        model,
+        messages: [
+            { role: 'system', content: SUMMARY_PROMPT },
+            { role: 'user', content: formatThread(messages) },
+        ],
+        json: true,
+        temperature: 0.2,
+    });
+
+    let raw;
+    try {
+        raw = JSON.parse(reply.content);
+    } catch {
+        raw = null;
+    }
+    // Valid JSON can still be null, an array or a bare value
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('The model did not return a valid summary');
+    }
+    return normalizeSummary(raw);
+}
+
+function toResponse(doc, cached) {
+    return {
+        thread_id: doc.threadId,
+        last_message_id: doc.lastMessageId,
+        message_count: doc.messageCount,
+        summary: doc.summary,
+        generated_at: doc.updatedAt,
+        cached,
+    };
+}
+
+/**
+ * Summary of a thread, generated only when the thread has new messages since the
+ * stored one (or refresh is set).
+ *
+ * @param {Object} user - User document
+ * @param {import('../providers/index.js').MailProvider} provider
+ * @param {string} threadId
+ * @param {Object} [options] - { refresh: regenerate even if nothing changed }
+ * @returns {Promise<Object|null>} null when the thread has no messages
+ */
+export async function getThreadSummary(user, provider, threadId, { refresh = false } = {}) {
+    const messages = await provider.getThread(threadId);
+    if (!messages.length) return null;
+
+    const lastMessageId = messages[messages.length - 1].id;
+
+    if (!refresh) {
+        const stored = await ThreadSummary.findOne({ userId: user._id, threadId }).lean();
+        if (stored?.lastMessageId === lastMessageId) return toResponse(stored, true);
+    }
+
+    // Concurrent requests for the same thread state share one generation
+    const key = `${user._id}:${threadId}:${lastMessageId}`;
+    if (!pending.has(key)) {
+        const generation = (async () => {
+            const llm = getLLM(user);
+            const summary = await generateSummary(llm, messages);
+            return ThreadSummary.findOneAndUpdate(
+                { userId: user._id, threadId },
+                { lastMessageId, messageCount: messages.length, summary, generatedBy: llm.model },
+                { upsert: true, new: true, lean: true }
+            );
+        })().finally(() => pending.delete(key));
+        pending.set(key, generation);
+    }
+
+    return toResponse(await pending.get(key), false);
+}
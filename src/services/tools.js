@@ -0,0 +1,471 @@
+/**
+ * Tool Executor - Runs data tools on the server so the model can look at (and,
+ * after the user confirms, bulk-update) the mailbox within the same turn
+ */
+
+import { htmlToText } from './mime.js';
+import { getBatchChanges, supportsAction, findBatchIds, runBatch } from './batch.js';
+import { parseFutureTime, resolveTimeZone, formatInTimeZone } from './naturalTime.js';
+import { scheduleSend } from './scheduledSend.js';
+import { supportsSnooze, snoozeThread } from './snooze.js';
+import { getThreadSummary } from './threadSummary.js';
+import { isSemanticSearchEnabled, isBackfilled, requestEmbeddingBackfill, semanticSearch } from './semanticIndex.js';
+import { askMailbox } from './mailboxQA.js';
+import { requestConfirmation, takeConfirmation } from './confirmations.js';
+
+// Keep tool results small enough to fit comfortably in the model context
+const MAX_BODY_CHARS = 4000;
+const MAX_SEARCH_RESULTS = 10;
+const MAX_SEMANTIC_RESULTS = 10;
+const MAX_REPORTED_FAILURES = 20;
+
+function formatGmailDate(date) {
+    // Gmail expects YYYY/MM/DD format, not ISO string
+    return `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+function addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+function getDateRange(range, now = new Date()) {
+    const today = startOfDay(now);
+    const weekStart = addDays(today, -today.getDay());
+
+    switch (range) {
+        case 'today':
+            return { after: today };
+        case 'yesterday':
+            return { after: addDays(today, -1), before: today };
+        case 'this_week':
+            return { after: weekStart };
+        case 'last_week':
+            return { after: addDays(weekStart, -7), before: weekStart };
+        case 'this_month':
+            return { after: new Date(today.getFullYear(), today.getMonth(), 1) };
+        default:
+            return {};
+    }
+}
+
+function quote(value) {
+    return /\s/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+/**
+ * Translate search_emails arguments into Gmail query syntax
+ */
+export function buildSearchQuery(args = {}) {
+    const parts = [];
+
+    if (args.sender) parts.push(`from:${quote(args.sender)}`);
+    if (args.subject_keywords) parts.push(`subject:(${args.subject_keywords})`);
+    if (args.body_keywords) parts.push(args.body_keywords);
+    if (args.has_attachment) parts.push('has:attachment');
+
+    const { after, before } = getDateRange(args.date_range);
+    if (after) parts.push(`after:${formatGmailDate(after)}`);
+    if (before) parts.push(`before:${formatGmailDate(before)}`);
+
+    return parts.join(' ');
+}
+
+function summarizeEmail(email) {
+    return {
+        id: email.id,
+        threadId: email.threadId,
+        from: email.from_address?.name
+            ? `${email.from_address.name} <${email.from_address.email}>`
+            : email.from_address?.email,
+        subject: email.subject,
+        date: email.date,
+        snippet: email.snippet,
+        is_read: email.is_read,
+        labels: email.label_names || email.labels,
+    };
+}
+
+function truncate(text, max) {
+    if (!text || text.length <= max) return text;
+    return `${text.slice(0, max)}\n[...truncated]`;
+}
+
+async function resolveEmailId(args, { provider, context }) {
+    if (args.email_id) return args.email_id;
+
+    if (args.list_position && context?.recent_emails?.length) {
+        const email = context.recent_emails[args.list_position - 1];
+        if (email?.id) return email.id;
+    }
+
+    const query = [
+        args.sender ? `from:${quote(args.sender)}` : '',
+        args.subject ? `subject:(${args.subject})` : '',
+    ].filter(Boolean).join(' ') || 'in:inbox';
+
+    // Gmail returns newest first, so the first hit is also the "latest"
+    const { emails } = await provider.search(query, 1);
+    return emails[0]?.id || null;
+}
+
+/**
+ * Gmail's label: operator spells spaces and slashes in names as dashes
+ */
+function labelQueryName(name) {
+    return name.trim().replace(/[\s/]+/g, '-');
+}
+
+/**
+ * Apply label changes to args.email_ids, or to every match of query when given
+ */
+/**
+ * @param {Object} plan - { label, remove, create, email_ids | query }
+ */
+async function relabel(provider, { label, remove = false, create = false, email_ids, query }) {
+    const { ids: [labelId] } = await provider.resolveLabels([label], { create });
+    if (!labelId) return { error: `No label named "${label}"` };
+
+    const { ids, truncated } = query ? await findBatchIds(provider, query) : { ids: email_ids, truncated: false };
+    const changes = remove ? { remove: [labelId] } : { add: [labelId] };
+    const result = await runBatch(provider, ids, { action: 'label', changes });
+
+    return {
+        label,
+        ...(query && { query }),
+        ...result,
+        failed: result.failed.slice(0, MAX_REPORTED_FAILURES),
+        truncated,
+    };
+}
+
+/**
+ * Relabel emails picked by ID right away. A search can match thousands, so those
+ * wait for the user's go-ahead in a later turn, like bulk_update_emails.
+ */
+async function relabelOrPreview(tool, { provider, user, turnId }, plan) {
+    if (!plan.query) return relabel(provider, plan);
+
+    await requestConfirmation(user, tool, plan, turnId);
+    const { emails, resultSizeEstimate } = await provider.search(plan.query, 5);
+    return {
+        requires_confirmation: true,
+        label: plan.label,
+        query: plan.query,
+        matched_estimate: resultSizeEstimate ?? emails.length,
+        examples: emails.map(summarizeEmail),
+    };
+}
+
+/**
+ * Run a relabelling the user confirmed
+ */
+async function confirmRelabel(tool, { provider, user, turnId }) {
+    const confirmed = await takeConfirmation(user, tool, turnId);
+    if (confirmed.error) return { error: confirmed.error };
+    return relabel(provider, confirmed.args);
+}
+
+const executors = {
+    async search_emails(args, { provider }) {
+        const query = buildSearchQuery(args) || 'in:inbox';
+        const { emails, resultSizeEstimate } = await provider.search(query, MAX_SEARCH_RESULTS);
+
+        return {
+            query,
+            total_estimate: resultSizeEstimate,
+            emails: emails.map(summarizeEmail),
+        };
+    },
+
+    async semantic_search(args, { user }) {
+        if (!isSemanticSearchEnabled()) return { error: 'Semantic search is not enabled' };
+        if (!args.query) return { error: 'query is required' };
+
+        const indexing = !isBackfilled(user);
+        if (indexing) await requestEmbeddingBackfill(user);
+
+        const limit = Math.min(args.limit || 5, MAX_SEMANTIC_RESULTS);
+        const emails = await semanticSearch(user, args.query, { limit });
+
+        return {
+            query: args.query,
+            emails: emails.map(email => ({ ...summarizeEmail(email), score: email.score })),
+            ...(indexing && { note: 'Older mail is still being indexed, so results may be incomplete' }),
+        };
+    },
+
+    async ask_mailbox(args, { provider, user }) {
+        if (!args.question) return { error: 'question is required' };
+
+        const result = await askMailbox(user, provider, args.question, { query: args.search_query });
+        if (!result.answer) {
+            return { question: args.question, query: result.query, error: 'No emails matched the question' };
+        }
+
+        return {
+            answer: result.answer,
+            citations: result.citations,
+            ...(result.indexing && { note: 'Older mail is still being indexed, so the answer may be incomplete' }),
+        };
+    },
+
+    async open_email(args, toolContext) {
+        const emailId = await resolveEmailId(args, toolContext);
+        if (!emailId) {
+            return { error: 'No matching email found' };
+        }
+
+        const email = await toolContext.provider.get(emailId);
+
+        return {
+            ...summarizeEmail(email),
+            to: email.to_addresses.map(a => a.email),
+            cc: email.cc_addresses.map(a => a.email),
+            body: truncate(email.body_text || htmlToText(email.body_html), MAX_BODY_CHARS),
+            attachments: (email.attachments || [])
+                .filter(a => !a.inline)
+                .map(a => ({ filename: a.filename, mimeType: a.mimeType, size: a.size })),
+        };
+    },
+
+    async summarize_thread(args, toolContext) {
+        const { provider, user } = toolContext;
+
+        let threadId = args.thread_id;
+        if (!threadId) {
+            const emailId = await resolveEmailId(args, toolContext);
+            if (!emailId) {
+                return { error: 'No matching email found' };
+            }
+            threadId = (await provider.get(emailId)).threadId;
+        }
+
+        const result = await getThreadSummary(user, provider, threadId);
+        if (!result) {
+            return { error: 'Thread not found' };
+        }
+
+        return { thread_id: result.thread_id, message_count: result.message_count, ...result.summary };
+    },
+
+    async update_email(args, toolContext) {
+        const { provider } = toolContext;
+        if (args.action !== 'restore' && !getBatchChanges(args.action)) {
+            return { error: `Unknown action: ${args.action}` };
+        }
+        if (args.action === 'restore' ? !provider.untrash : !supportsAction(provider, args.action)) {
+            return { error: `${args.action} is not supported for ${provider.type} accounts` };
+        }
+
+        const emailId = await resolveEmailId(args, toolContext);
+        if (!emailId) {
+            return { error: 'No matching email found' };
+        }
+
+        const labels = args.action === 'restore'
+            ? await provider.untrash(emailId)
+            : await provider.modify(emailId, getBatchChanges(args.action));
+        const [email] = await provider.describeLabels([{ labels }]);
+
+        return { email_id: emailId, action: args.action, labels: email.label_names };
+    },
+
+    async schedule_email(args, { user, context, turnId }) {
+        if (args.confirm) {
+            const confirmed = await takeConfirmation(user, 'schedule_email', turnId);
+            if (confirmed.error) return { error: confirmed.error };
+
+            const { message, sendAt, timezone } = confirmed.args;
+            const date = new Date(sendAt);
+            const scheduled = await scheduleSend(user, message, date, { timezone });
+            return { scheduled_id: String(scheduled._id), send_at: sendAt, send_at_local: formatInTimeZone(date, timezone) };
+        }
+
+        if (!args.to?.length || !args.subject || !args.body) {
+            return { error: 'to, subject and body are required' };
+        }
+
+        const timeZone = resolveTimeZone(context?.timezone, user.timezone);
+        const { date, error } = parseFutureTime(args.send_at, { timeZone });
+        if (error) return { error };
+
+        const message = {
+            to: args.to,
+            cc: args.cc,
+            bcc: args.bcc,
+            subject: args.subject,
+            body: args.body,
+            replyToId: args.reply_to_message_id,
+            attachments: [],
+        };
+        await requestConfirmation(user, 'schedule_email', { message, sendAt: date.toISOString(), timezone: timeZone }, turnId);
+
+        return {
+            requires_confirmation: true,
+            to: args.to,
+            subject: args.subject,
+            send_at: date.toISOString(),
+            send_at_local: formatInTimeZone(date, timeZone),
+        };
+    },
+
+    async snooze_email(args, toolContext) {
+        const { provider, user, context } = toolContext;
+        if (!supportsSnooze(provider)) {
+            return { error: `Snooze is not supported for ${provider.type} accounts` };
+        }
+
+        const timeZone = resolveTimeZone(context?.timezone, user.timezone);
+        const { date, error } = parseFutureTime(args.until, { timeZone });
+        if (error) return { error };
+
+        const emailId = await resolveEmailId(args, toolContext);
+        if (!emailId) {
+            return { error: 'No matching email found' };
+        }
+
+        const snooze = await snoozeThread(user, provider, emailId, date, { timezone: timeZone });
+        return {
+            snooze_id: String(snooze._id),
+            subject: snooze.subject,
+            until: date.toISOString(),
+            until_local: formatInTimeZone(date, timeZone),
+        };
+    },
+
+    async bulk_update_emails(args, { provider, user, turnId }) {
+        if (args.confirm) {
+            const confirmed = await takeConfirmation(user, 'bulk_update_emails', turnId);
+            if (confirmed.error) return { error: confirmed.error };
+
+            const { action, changes, email_ids, query } = confirmed.args;
+            const { ids, truncated } = query ? await findBatchIds(provider, query) : { ids: email_ids, truncated: false };
+            const result = await runBatch(provider, ids, { action, changes });
+
+            return {
+                action,
+                ...(query && { query }),
+                ...result,
+                failed: result.failed.slice(0, MAX_REPORTED_FAILURES),
+                truncated,
+            };
+        }
+
+        if (!supportsAction(provider, args.action)) {
+            return { error: `${args.action} is not supported for ${provider.type} accounts` };
+        }
+
+        const addLabels = await provider.resolveLabels(args.add_labels || []);
+        const removeLabels = await provider.resolveLabels(args.remove_labels || []);
+        const unknown = [...addLabels.unknown, ...removeLabels.unknown];
+        if (unknown.length) {
+            return { error: `No labels named: ${unknown.join(', ')}` };
+        }
+
+        const changes = getBatchChanges(args.action, { addLabels: addLabels.ids, removeLabels: removeLabels.ids });
+        if (!changes) {
+            return { error: 'Unknown action, or label action without add_labels/remove_labels' };
+        }
+
+        const query = args.email_ids?.length ? null : buildSearchQuery(args);
+        if (!args.email_ids?.length && !query) {
+            return { error: 'Give email_ids or search criteria to select emails' };
+        }
+
+        // Nothing changes until the user has seen what would be affected and said yes
+        await requestConfirmation(user, 'bulk_update_emails', {
+            action: args.action,
+            changes,
+            ...(query ? { query } : { email_ids: args.email_ids }),
+        }, turnId);
+
+        if (!query) {
+            return { requires_confirmation: true, action: args.action, matched: args.email_ids.length };
+        }
+        const { emails, resultSizeEstimate } = await provider.search(query, 5);
+        return {
+            requires_confirmation: true,
+            action: args.action,
+            query,
+            matched_estimate: resultSizeEstimate ?? emails.length,
+            examples: emails.map(summarizeEmail),
+        };
+    },
+
+    async apply_label(args, toolContext) {
+        if (args.confirm) return confirmRelabel('apply_label', toolContext);
+        if (!args.label) return { error: 'label is required' };
+
+        const query = args.email_ids?.length ? null : buildSearchQuery(args);
+        if (!args.email_ids?.length && !query) {
+            return { error: 'Give email_ids or search criteria to select emails' };
+        }
+
+        const create = args.create_if_missing !== false;
+        if (!create) {
+            const { ids: [labelId] } = await toolContext.provider.resolveLabels([args.label]);
+            if (!labelId) return { error: `No label named "${args.label}"` };
+        }
+
+        return relabelOrPreview('apply_label', toolContext, {
+            label: args.label,
+            create,
+            ...(query ? { query } : { email_ids: args.email_ids }),
+        });
+    },
+
+    async remove_label(args, toolContext) {
+        if (args.confirm) return confirmRelabel('remove_label', toolContext);
+        if (!args.label) return { error: 'label is required' };
+
+        const { ids: [labelId] } = await toolContext.provider.resolveLabels([args.label]);
+        if (!labelId) return { error: `No label named "${args.label}"` };
+
+        // Without ids, only emails that carry the label are touched
+        const query = args.email_ids?.length
+            ? null
+            : [buildSearchQuery(args), `label:${labelQueryName(args.label)}`].filter(Boolean).join(' ');
+
+        return relabelOrPreview('remove_label', toolContext, {
+            label: args.label,
+            remove: true,
+            ...(query ? { query } : { email_ids: args.email_ids }),
+        });
+    },
+};
+
+/**
+ * Whether a tool runs on the server (data tools) or is handed to the client (UI tools)
+ */
+export function isServerTool(name) {
+    return Object.hasOwn(executors, name);
+}
+
+/**
+ * Execute a server-side tool. Errors are returned as results so the model can recover.
+ *
+ * @param {string} name - Tool name from AI_TOOLS
+ * @param {Object} args - Parsed tool arguments
+ * @param {Object} toolContext - { provider, user, context } where provider is the user's MailProvider
+ *   and user their User document
+ */
+export async function executeTool(name, args, toolContext) {
+    if (!isServerTool(name)) {
+        return { error: `Unknown server tool: ${name}` };
+    }
+
+    try {
+        return await executors[name](args || {}, toolContext);
+    } catch (error) {
+        console.error(`Tool ${name} failed:`, error.message);
+        return { error: error.message };
+    }
+}
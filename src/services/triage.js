@@ -0,0 +1,310 @@
+/**
+ * Triage Service - AI classification of incoming mail
+ *
+ * The webhook pipeline runs every new inbox email through classifyEmails before
+ * sending email:new, tagging it with a category, a 1-5 priority and a one-line
+ * summary. Results are stored per message (EmailTriage) together with the fields
+ * the inbox list needs, so GET /mail/inbox can filter and sort by them.
+ *
+ * Users correct a category or priority with PATCH /mail/:id/triage. Recent
+ * corrections are shown to the model as examples, and the latest category
+ * correction for a sender is applied to that sender's new mail directly.
+ */
+
+import { EmailTriage } from '../models/EmailTriage.js';
+import { htmlToText } from './mime.js';
+import { getLLM } from './llm.js';
+
+export const TRIAGE_CATEGORIES = ['needs_reply', 'fyi', 'newsletter', 'receipt', 'calendar', 'phishing'];
+export const MAX_PRIORITY = 5;
+
+// Emails per model call, and how much of each one the model sees
+const CLASSIFY_BATCH_SIZE = 10;
+const MAX_BODY_CHARS = 1500;
+const MAX_EXAMPLES = 20;
+
+const TRIAGE_PROMPT = `You triage incoming email for the mailbox owner. For every email, pick one category:
+- needs_reply: a person expects an answer or action from the owner
+- fyi: worth knowing, nothing to do
+- newsletter: newsletters, marketing, digests and other bulk mail
+- receipt: receipts, invoices, order and shipping updates
+- calendar: invitations, meeting updates and event reminders
+- phishing: asks for credentials, payment or urgent action with signs of impersonation (mismatched sender, suspicious links, pressure)
+Rate priority from 1 (can ignore) to 5 (urgent, act today), and write a one-line summary of at most 15 words.
+Reply with JSON only: { "emails": [{ "id": "...", "category": "...", "priority": 3, "summary": "..." }] }`;
+
+/**
+ * API shape of a triage result, attached to emails as `triage`
+ */
+export function toTriage(doc) {
+    return {
+        category: doc.category,
+        priority: doc.priority,
+        summary: doc.summary,
+        corrected: Boolean(doc.correctedAt),
+    };
+}
+
+function senderOf(email) {
+    return email.from_address?.email?.toLowerCase() || '';
+}
+
+function formatEmail(email, owner) {
+    const body = email.body_text || htmlToText(email.body_html) || email.snippet || '';
+    const addressed = (email.to_addresses || []).some(address => address.email?.toLowerCase() === owner);
+
+    return [
+        `--- id: ${email.id}`,
+        `From: ${email.from_address?.name ? `${email.from_address.name} <${email.from_address.email}>` : email.from_address?.email}`,
+        `Owner is: ${addressed ? 'in To' : 'in Cc, Bcc or a list'}`,
+        `Subject: ${email.subject}`,
+        `Labels: ${(email.labels || []).join(', ')}`,
+        '',
+        body.length > MAX_BODY_CHARS ? `${body.slice(0, MAX_BODY_CHARS)} [...]` : body,
+    ].join('\n');
+}
+
+/**
+ * The user's corrections, those for this batch's senders first
+ */
+async function loadCorrections(userId, senders) {
+    const corrected = { userId, correctedAt: { $exists: true } };
+    const [fromSenders, recent] = await Promise.all([
+        EmailTriage.find({ ...corrected, sender: { $in: senders } }).sort({ correctedAt: -1 }).limit(MAX_EXAMPLES).lean(),
+        EmailTriage.find(corrected).sort({ correctedAt: -1 }).limit(MAX_EXAMPLES).lean(),
+    ]);
+
+    const seen = new Set();
+    return [...fromSenders, ...recent].filter(doc => {
+        if (seen.has(doc.messageId)) return false;
+        seen.add(doc.messageId);
+        return true;
+    }).slice(0, MAX_EXAMPLES);
+}
+
+/**
+ * Latest corrected category per sender address
+ */
+function senderPreferences(corrections) {
+    const preferences = new Map();
+    for (const doc of [...corrections].sort((a, b) => b.correctedAt - a.correctedAt)) {
+        const sender = senderOf(doc);
+        if (sender && !preferences.has(sender) && doc.predicted?.category && doc.predicted.category !== doc.category) {
+            preferences.set(sender, doc.category);
+        }
+    }
+    return preferences;
+}
+
+function formatCorrections(corrections) {
+    if (!corrections.length) return '';
+
+    const lines = corrections.map(doc => {
+        const from = doc.predicted?.category && doc.predicted.category !== doc.category
+            ? ` (not ${doc.predicted.category})`
+            : '';
+        return `- From ${doc.from_address?.email}, "${doc.subject}": ${doc.category}${from}, priority ${doc.priority}`;
+    });
+    return `\n\nThe owner corrected these earlier classifications; follow their preferences for similar mail:\n${lines.join('\n')}`;
+}
+
+function normalizeResult(raw) {
+    const priority = Math.round(Number(raw?.priority));
+    return {
+        category: TRIAGE_CATEGORIES.includes(raw?.category) ? raw.category : 'fyi',
+        priority: Number.isFinite(priority) ? Math.min(Math.max(priority, 1), MAX_PRIORITY) : 3,
+        summary: typeof raw?.summary === 'string' ? raw.summary.trim() : '',
+    };
+}
+
+async function classifyBatch({ provider, model }, user, emails, corrections) {
+    const reply = await provider.complete({
+        model,
+        messages: [
+            { role: 'system', content: TRIAGE_PROMPT + formatCorrections(corrections) },
+            { role: 'user', content: emails.map(email => formatEmail(email, user.email.toLowerCase())).join('\n\n') },
+        ],
+        json: true,
+        temperature: 0,
+    });
+
+    let results;
+    try {
+        results = JSON.parse(reply.content).emails;
+    } catch {
+        throw new Error('The model did not return valid triage results');
+    }
+
+    return new Map((Array.isArray(results) ? results : []).map(result => [String(result?.id), normalizeResult(result)]));
+}
+
+function toDocument(email) {
+    return {
+        threadId: email.threadId,
+        subject: email.subject,
+        snippet: email.snippet,
+        from_address: email.from_address,
+        sender: senderOf(email),
+        to_addresses: email.to_addresses,
+        cc_addresses: email.cc_addresses,
+        date: new Date(email.date),
+        labels: email.labels,
+        is_read: email.is_read,
+    };
+}
+
+/**
+ * Classify new emails and store the results. Emails classified before (a retried
+ * notification) keep their stored result.
+ *
+ * @param {Object} user - User document
+ * @param {Object[]} emails - Full emails from the provider
+ * @returns {Promise<Object[]>} The emails with `triage` added where classification succeeded
+ */
+export async function classifyEmails(user, emails) {
+    if (!emails.length) return emails;
+
+    const existing = await EmailTriage.find({ userId: user._id, messageId: { $in: emails.map(email => email.id) } }).lean();
+    const results = new Map(existing.map(doc => [doc.messageId, doc]));
+
+    const pending = emails.filter(email => !results.has(email.id));
+    if (pending.length) {
+        const corrections = await loadCorrections(user._id, [...new Set(pending.map(senderOf).filter(Boolean))]);
+        const preferences = senderPreferences(corrections);
+        // Runs on every new email, so it gets the cheaper model
+        const llm = getLLM(user, { tier: 'fast' });
+
+        for (let i = 0; i < pending.length; i += CLASSIFY_BATCH_SIZE) {
+            const batch = pending.slice(i, i + CLASSIFY_BATCH_SIZE);
+            const classified = await classifyBatch(llm, user, batch, corrections);
+
+            const docs = [];
+            for (const email of batch) {
+                const result = classified.get(email.id);
+                if (!result) continue;
+
+                // A sender the user re-categorized gets that category, unless this one looks like
+                // phishing: the From header is what phishing fakes
+                const preferred = preferences.get(senderOf(email));
+                if (preferred && result.category !== 'phishing') result.category = preferred;
+
+                docs.push({ ...toDocument(email), ...result, messageId: email.id, generatedBy: llm.model });
+            }
+
+            if (docs.length) {
+                await EmailTriage.bulkWrite(docs.map(({ messageId, ...doc }) => ({
+                    updateOne: {
+                        filter: { userId: user._id, messageId },
+                        update: { $setOnInsert: doc },
+                        upsert: true,
+                    },
+                })), { ordered: false });
+            }
+            for (const doc of docs) results.set(doc.messageId, doc);
+        }
+
+        console.log(`🏷️ Triaged ${pending.length} email(s) for ${user.email}`);
+    }
+
+    return emails.map(email => results.has(email.id) ? { ...email, triage: toTriage(results.get(email.id)) } : email);
+}
+
+/**
+ * Add stored triage results to emails from a provider list
+ */
+export async function attachTriage(userId, emails) {
+    if (!emails.length) return emails;
+
+    const docs = await EmailTriage.find({ userId, messageId: { $in: emails.map(email => email.id) } }).lean();
+    const byId = new Map(docs.map(doc => [doc.messageId, doc]));
+
+    return emails.map(email => byId.has(email.id) ? { ...email, triage: toTriage(byId.get(email.id)) } : email);
+}
+
+/**
+ * A page of triaged inbox emails. Page tokens are offsets into the sorted results.
+ *
+ * @param {Object} user - User document
+ * @param {Object} options
+ * @param {string[]} [options.categories] - Only these categories
+ * @param {string} [options.sort] - 'priority' (highest first, then newest) or 'date'
+ * @param {boolean} [options.is_unread]
+ */
+export async function listTriagedInbox(user, { categories, sort = 'date', is_unread, maxResults = 20, pageToken } = {}) {
+    const filter = {
+        userId: user._id,
+        labels: 'INBOX',
+        ...(categories?.length && { category: { $in: categories } }),
+        ...(is_unread !== undefined && { is_read: !is_unread }),
+    };
+    const offset = Math.max(parseInt(pageToken) || 0, 0);
+
+    const [docs, total] = await Promise.all([
+        EmailTriage.find(filter)
+            .sort(sort === 'priority' ? { priority: -1, date: -1, messageId: -1 } : { date: -1, messageId: -1 })
+            .skip(offset)
+            .limit(maxResults)
+            .lean(),
+        EmailTriage.countDocuments(filter),
+    ]);
+
+    return {
+        emails: docs.map(doc => ({
+            id: doc.messageId,
+            threadId: doc.threadId,
+            subject: doc.subject,
+            snippet: doc.snippet,
+            from_address: doc.from_address,
+            to_addresses: doc.to_addresses,
+            cc_addresses: doc.cc_addresses,
+            date: doc.date?.toISOString(),
+            is_read: doc.is_read,
+            labels: doc.labels,
+            triage: toTriage(doc),
+        })),
+        nextPageToken: offset + docs.length < total ? String(offset + docs.length) : undefined,
+        resultSizeEstimate: total,
+    };
+}
+
+/**
+ * Record the user's correction of a triage result
+ *
+ * @param {Object} changes - { category?, priority? }
+ * @returns {Promise<Object|null>} The updated result, or null if the email was never triaged
+ */
+export async function correctTriage(user, messageId, { category, priority }) {
+    const doc = await EmailTriage.findOne({ userId: user._id, messageId });
+    if (!doc) return null;
+
+    // Keep the model's own answer from the first correction on
+    if (!doc.predicted?.category) doc.predicted = { category: doc.category, priority: doc.priority };
+    // Results stored before the sender field existed
+    if (!doc.sender) doc.sender = senderOf(doc);
+
+    if (category !== undefined) doc.category = category;
+    if (priority !== undefined) doc.priority = priority;
+    doc.correctedAt = new Date();
+    await doc.save();
+
+    return doc;
+}
+
+/**
+ * Keep stored labels current from history changes ({ id, labels } per message)
+ */
+export async function updateTriageLabels(userId, changes) {
+    if (!changes.length) return;
+
+    await EmailTriage.bulkWrite(changes.map(({ id, labels }) => ({
+        updateOne: {
+            filter: { userId, messageId: id },
+            update: { $set: { labels, is_read: !labels.includes('UNREAD') } },
+        },
+    })), { ordered: false });
+}
+
+export async function removeTriage(userId, messageIds) {
+    if (!messageIds.length) return;
+    await EmailTriage.deleteMany({ userId, messageId: { $in: messageIds } });
+}